@@ -3,15 +3,26 @@ import cors from "cors";
 import dotenv from "dotenv";
 import { connectDB } from "./config/db.js";
 import { ensureUserIndexes, ensureNotificationIndexes } from "./utils/ensureIndexes.js";
+import { migrateTaskDueDates } from "./utils/migrateDueDates.js";
+import { migrateNotificationPreferences } from "./utils/migrateNotificationPreferences.js";
 import userRoutes from "./routes/userRoutes.js";
 import taskRoutes from "./routes/taskRoutes.js";
 import groupRoutes from "./routes/groupRoutes.js";
 import activityRoutes from "./routes/activityRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
 import eventsRoutes from "./routes/eventsRoutes.js";
+import viewRoutes from "./routes/viewRoutes.js";
+import templateRoutes from "./routes/templateRoutes.js";
 import { authenticate } from "./middleware/auth.js";
 import timeRoutes from "./time-tracker/routes/timeRoutes.js";
 import { startDailySummaryJob } from "./time-tracker/jobs/dailySummaryJob.js";
+import { startFocusSessionJob } from "./time-tracker/jobs/focusSessionJob.js";
+import { startIdleSessionJob } from "./time-tracker/jobs/idleSessionJob.js";
+import { startTrashPurgeJob } from "./jobs/trashPurgeJob.js";
+import { startReminderJob } from "./jobs/reminderJob.js";
+import { startOverdueSweepJob } from "./jobs/overdueSweepJob.js";
+import { startEmailDigestJob } from "./jobs/emailDigestJob.js";
+import { startWebhookDeliveryJob } from "./jobs/webhookDeliveryJob.js";
 
 dotenv.config();
 
@@ -21,8 +32,19 @@ connectDB()
     // Ensure unique indexes exist after connection
     await ensureUserIndexes();
     await ensureNotificationIndexes();
+    // One-time conversion of string due dates (no-op once done)
+    await migrateTaskDueDates();
+    // Boolean notification switch -> per-type/per-channel settings (no-op once done)
+    await migrateNotificationPreferences();
     // Start scheduled jobs
     startDailySummaryJob();
+    startFocusSessionJob();
+    startIdleSessionJob();
+    startTrashPurgeJob();
+    startReminderJob();
+    startOverdueSweepJob();
+    startEmailDigestJob();
+    startWebhookDeliveryJob();
   })
   .catch(err => {
     console.error('MongoDB connection error:', err.message);
@@ -73,6 +95,8 @@ app.use("/api/groups", groupRoutes);
 app.use("/api/activities", activityRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/events", eventsRoutes);
+app.use("/api/views", viewRoutes);
+app.use("/api/templates", templateRoutes);
 app.use("/api/time", authenticate, timeRoutes);
 const PORT = process.env.PORT || 4000; // Using port 4000
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,283 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import path from "path";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Attachment from "../models/Attachment.js";
+import Activity from "../models/Activity.js";
+import { sendEventToUser } from "../utils/sseManager.js";
+import { emitActivity } from "../utils/activityEmitter.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import { getStorage, getStorageForDriver } from "../storage/index.js";
+
+// Helper: load task and the caller's access to it
+const loadTaskWithAccess = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const access = await getTaskAccess(task, req.auth0Id);
+  if (!access.canView) {
+    res.status(403).json({
+      success: false,
+      message: "You don't have access to this task",
+    });
+    return null;
+  }
+
+  return { task, access };
+};
+
+// Helper: load an attachment belonging to the task
+const loadAttachment = async (req, res, task) => {
+  const attachment = mongoose.Types.ObjectId.isValid(req.params.attachmentId)
+    ? await Attachment.findOne({ _id: req.params.attachmentId, taskId: task._id })
+    : null;
+  if (!attachment) {
+    res.status(404).json({ success: false, message: "Attachment not found" });
+    return null;
+  }
+  return attachment;
+};
+
+// Helper: owner + assignees of the task, excluding the actor
+const taskRecipients = (task, actorId) => {
+  const recipients = new Set();
+  if (task.userId) recipients.add(task.userId.toString().trim());
+  (task.assignedTo || []).forEach(a => { if (a) recipients.add(a.toString().trim()); });
+  recipients.delete(actorId && actorId.toString().trim());
+  return recipients;
+};
+
+// Helper: file name safe to use inside a storage key
+const safeFilename = (name) => {
+  const base = path.basename(name || "file").replace(/[^\w.\-]+/g, "_").slice(-100);
+  return base || "file";
+};
+
+// Helper: record an attachment activity (non-blocking)
+const recordAttachmentActivity = async (type, req, task, userName, attachmentName) => {
+  try {
+    const createdActivity = await Activity.create({
+      type,
+      taskId: task._id,
+      taskTitle: task.title,
+      attachmentName,
+      userId: req.auth0Id,
+      userName,
+      groupTag: task.groupTag,
+      timestamp: new Date(),
+    });
+
+    // Emit activity to relevant group members (non-blocking)
+    try {
+      await emitActivity(createdActivity);
+    } catch (e) {
+      // ignore emitter errors
+    }
+    return createdActivity;
+  } catch (e) {
+    console.warn('[activity] attachment activity failed', e.message || e);
+    return null;
+  }
+};
+
+// List a task's attachments, newest first
+export const getAttachments = async (req, res) => {
+  try {
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+
+    const attachments = await Attachment.find({ taskId: loaded.task._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: attachments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching attachments",
+      error: error.message,
+    });
+  }
+};
+
+// Upload one or more files (multipart field "files"); requires edit access
+export const uploadAttachments = async (req, res) => {
+  try {
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+    const { task, access } = loaded;
+
+    if (!access.canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to add attachments to this task",
+      });
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No files uploaded",
+      });
+    }
+
+    const user = await User.findOne({ auth0Id: req.auth0Id }).select('name');
+    const userName = req.userName || user?.name || "Unknown";
+    const storage = getStorage();
+
+    const created = [];
+    try {
+      for (const file of files) {
+        const storageKey = `tasks/${task._id}/${crypto.randomUUID()}-${safeFilename(file.originalname)}`;
+        await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+        try {
+          created.push(await Attachment.create({
+            taskId: task._id,
+            groupTag: task.groupTag || "@personal",
+            userId: req.auth0Id,
+            userName,
+            filename: path.basename(file.originalname || "file").slice(0, 255),
+            contentType: file.mimetype,
+            size: file.size,
+            storageDriver: storage.driver,
+            storageKey,
+          }));
+        } catch (err) {
+          await storage.remove(storageKey).catch(() => {});
+          throw err;
+        }
+      }
+    } catch (err) {
+      // All or nothing: drop whatever made it in before the failure
+      for (const attachment of created) {
+        await storage.remove(attachment.storageKey).catch(() => {});
+        await Attachment.deleteOne({ _id: attachment._id }).catch(() => {});
+      }
+      throw err;
+    }
+
+    const createdActivity = await recordAttachmentActivity(
+      "attachment_added", req, task, userName, created.map(a => a.filename).join(", ")
+    );
+
+    const payload = created.map(a => a.toObject());
+    for (const rid of taskRecipients(task, req.auth0Id)) {
+      try { sendEventToUser(rid, 'attachments_added', { taskId: task._id, attachments: payload }); } catch (e) {}
+    }
+
+    res.status(201).json({
+      success: true,
+      data: payload,
+      activity: createdActivity,
+      message: created.length === 1 ? "Attachment uploaded successfully" : "Attachments uploaded successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error uploading attachments",
+      error: error.message,
+    });
+  }
+};
+
+// Stream an attachment back to the client
+export const downloadAttachment = async (req, res) => {
+  try {
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+
+    const attachment = await loadAttachment(req, res, loaded.task);
+    if (!attachment) return;
+
+    const { stream, size } = await getStorageForDriver(attachment.storageDriver).get(attachment.storageKey);
+
+    const disposition = req.query.inline === "true" ? "inline" : "attachment";
+    res.setHeader("Content-Type", attachment.contentType);
+    if (size !== undefined) res.setHeader("Content-Length", size);
+    res.setHeader(
+      "Content-Disposition",
+      `${disposition}; filename="${safeFilename(attachment.filename)}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+    );
+    res.setHeader("X-Content-Type-Options", "nosniff");
+
+    stream.on("error", (err) => {
+      console.warn('[attachments] download stream failed', err.message || err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.name === "NoSuchKey") {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment file is missing from storage",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Error downloading attachment",
+      error: error.message,
+    });
+  }
+};
+
+// Delete an attachment (uploader, task owner, or group owner/admin)
+export const deleteAttachment = async (req, res) => {
+  try {
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+    const { task, access } = loaded;
+
+    const attachment = await loadAttachment(req, res, task);
+    if (!attachment) return;
+
+    const isUploader = attachment.userId === req.auth0Id;
+    const isModerator = ["owner", "admin"].includes(access.role);
+    if (!isUploader && !access.ownsTask && !isModerator) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to delete this attachment",
+      });
+    }
+
+    await Attachment.deleteOne({ _id: attachment._id });
+    try {
+      await getStorageForDriver(attachment.storageDriver).remove(attachment.storageKey);
+    } catch (e) {
+      console.warn('[attachments] failed to remove stored file', e.message || e);
+    }
+
+    const user = await User.findOne({ auth0Id: req.auth0Id }).select('name');
+    const createdActivity = await recordAttachmentActivity(
+      "attachment_deleted", req, task, req.userName || user?.name || "Unknown", attachment.filename
+    );
+
+    for (const rid of taskRecipients(task, req.auth0Id)) {
+      try { sendEventToUser(rid, 'attachment_deleted', { attachmentId: attachment._id, taskId: task._id }); } catch (e) {}
+    }
+
+    res.status(200).json({
+      success: true,
+      activity: createdActivity,
+      message: "Attachment deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting attachment",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,481 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Group from "../models/Group.js";
+import Activity from "../models/Activity.js";
+import Notification from "../models/Notification.js";
+import { sendEventToUser, sendNotificationToUser } from "../utils/sseManager.js";
+import { emitActivity } from "../utils/activityEmitter.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import { BLOCKED_STATUSES, findOpenBlockers } from "../utils/taskDependencies.js";
+import { spawnNextInstance } from "../utils/recurrence.js";
+import { archiveTasks } from "../utils/taskArchive.js";
+import { recordTaskRevision } from "../utils/taskHistory.js";
+import { syncTaskReminders } from "../utils/reminders.js";
+import { clearResolvedOverdue } from "../utils/overdueSweep.js";
+import { emailNotification } from "../utils/emailNotifications.js";
+import { loadWantsInAppNotification } from "../utils/notificationPreferences.js";
+import { getUserTimeZone, withDueFlags, parseDueDateInput, isBackdated, BACKDATE_ERROR } from "../utils/dueDates.js";
+import {
+  getWorkflow,
+  resolveStatus,
+  getTaskStatusEntry,
+  getNextRank,
+  addStatusChangeTimestamps,
+} from "../utils/workflow.js";
+import { generatePlansForInProgressTask, cancelFuturePlans } from "../time-tracker/services/planGenerationService.js";
+
+const MAX_BULK_TASKS = 100;
+const PRIORITIES = ["High", "Medium", "Low"];
+
+// Accept arrays or comma-separated strings
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : (value ? value.toString().split(',') : []);
+  return [...new Set(items.map(v => (v ?? '').toString().trim()).filter(Boolean))];
+};
+
+// Validate the requested changes once, before touching any task.
+// Returns { changes } or { error }.
+const parseBulkChanges = (input = {}, allowBackdate = false, timeZone) => {
+  if (!input || typeof input !== 'object') {
+    return { error: "changes must be an object" };
+  }
+
+  const changes = {};
+
+  if (input.status !== undefined) {
+    if (!input.status) return { error: "status cannot be empty" };
+    changes.status = input.status.toString().trim();
+  }
+
+  if (input.priority !== undefined) {
+    if (!PRIORITIES.includes(input.priority)) {
+      return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    changes.priority = input.priority;
+  }
+
+  if (input.assignedTo !== undefined) {
+    if (input.assignedTo !== null && !Array.isArray(input.assignedTo)) {
+      return { error: "assignedTo must be an array of user ids" };
+    }
+    changes.assignedTo = toList(input.assignedTo || []);
+  }
+
+  if (input.tags !== undefined) changes.tags = toList(input.tags);
+  if (input.addTags !== undefined) changes.addTags = toList(input.addTags);
+  if (input.removeTags !== undefined) changes.removeTags = toList(input.removeTags);
+
+  // dueDate (+ optional dueTime) is read in the actor's time zone
+  const { value: due, error: dueError } = parseDueDateInput(input, timeZone);
+  if (dueError) return { error: dueError };
+  if (due) {
+    if (!allowBackdate && isBackdated(due, timeZone)) {
+      return { error: BACKDATE_ERROR };
+    }
+    changes.dueDate = due.dueDate;
+    changes.dueHasTime = due.dueHasTime;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: "No supported changes provided (status, priority, assignedTo, tags, addTags, removeTags, dueDate, dueTime)" };
+  }
+
+  return { changes };
+};
+
+// Helper: resolve assignee ids into assignedUsers entries (group members only for group tasks)
+const buildAssignedUsers = async (userIds, group, userCache) => {
+  const lookupUser = async (auth0Id) => {
+    if (!userCache.has(auth0Id)) {
+      userCache.set(auth0Id, await User.findOne({ auth0Id }).select('auth0Id name email picture customPicture'));
+    }
+    return userCache.get(auth0Id);
+  };
+
+  const assignedUsers = [];
+  for (const userId of userIds) {
+    const account = await lookupUser(userId);
+    if (group) {
+      if (group.owner && group.owner.toString().trim() === userId) {
+        if (!account) continue;
+        assignedUsers.push({
+          userId,
+          name: account.name || "Owner",
+          email: account.email || "",
+          picture: account.customPicture || account.picture || null,
+        });
+        continue;
+      }
+      const collaborator = (group.collaborators || []).find(
+        c => c.userId && c.userId.toString().trim() === userId && c.status === "accepted"
+      );
+      if (!collaborator) continue;
+      assignedUsers.push({
+        userId,
+        name: collaborator.name,
+        email: collaborator.email,
+        picture: account ? (account.customPicture || account.picture || null) : null,
+      });
+    } else if (account) {
+      assignedUsers.push({
+        userId,
+        name: account.name || "User",
+        email: account.email || "",
+        picture: account.customPicture || account.picture || null,
+      });
+    }
+  }
+  return assignedUsers;
+};
+
+// Helper: task with the computed isOverdue / isDueToday flags
+const toTaskPayload = (task, timeZone) => {
+  const obj = task.toObject ? task.toObject() : { ...task };
+  return withDueFlags(obj, timeZone);
+};
+
+// Helper: owner + assignees of a task, excluding the actor
+const taskRecipients = (task, actorId) => {
+  const recipients = new Set();
+  if (task.userId) recipients.add(task.userId.toString().trim());
+  (task.assignedTo || []).forEach(a => { if (a) recipients.add(a.toString().trim()); });
+  recipients.delete(actorId && actorId.toString().trim());
+  return recipients;
+};
+
+// Apply one set of changes to a single task. Returns a per-task result entry.
+const applyChangesToTask = async (task, access, changes, ctx) => {
+  const { auth0Id, actorName, userCache } = ctx;
+  const updateData = {};
+
+  if (changes.status) {
+    const workflow = getWorkflow(access.group);
+    const fromEntry = getTaskStatusEntry(workflow, task);
+    const toEntry = resolveStatus(workflow, changes.status);
+    if (!toEntry) {
+      return { taskId: task._id, success: false, status: 400, message: `Unknown status "${changes.status}" for this workflow` };
+    }
+    if (toEntry.category !== task.status && BLOCKED_STATUSES.includes(toEntry.category)) {
+      const openBlockers = await findOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return {
+          taskId: task._id,
+          success: false,
+          status: 409,
+          message: `Task is blocked by ${openBlockers.length} unfinished task(s)`,
+          blockers: openBlockers,
+        };
+      }
+    }
+    updateData.status = toEntry.category;
+    updateData.statusKey = toEntry.key;
+    addStatusChangeTimestamps(task, updateData);
+    if (fromEntry.key !== toEntry.key) {
+      updateData.rank = await getNextRank(task, workflow, toEntry);
+    }
+  }
+
+  if (changes.priority) updateData.priority = changes.priority;
+
+  if (changes.assignedTo) {
+    const assignedUsers = await buildAssignedUsers(changes.assignedTo, access.group, userCache);
+    updateData.assignedTo = assignedUsers.map(u => u.userId);
+    updateData.assignedUsers = assignedUsers;
+  }
+
+  if (changes.tags || changes.addTags || changes.removeTags) {
+    let tags = changes.tags ? [...changes.tags] : [...(task.tags || [])];
+    (changes.addTags || []).forEach(t => { if (!tags.includes(t)) tags.push(t); });
+    if (changes.removeTags) tags = tags.filter(t => !changes.removeTags.includes(t));
+    updateData.tags = tags;
+  }
+
+  if (changes.dueDate !== undefined) {
+    updateData.dueDate = changes.dueDate;
+    updateData.dueHasTime = changes.dueHasTime;
+  }
+
+  const updatedTask = await Task.findByIdAndUpdate(task._id, updateData, {
+    new: true,
+    runValidators: true,
+  });
+
+  await recordTaskRevision(task, updatedTask, { actorId: auth0Id, actorName, source: "bulk" });
+  await syncTaskReminders(updatedTask);
+  await clearResolvedOverdue(updatedTask);
+
+  // Time planning follows base-state transitions, same as single-task updates
+  if (updateData.status && updateData.status !== task.status) {
+    if (updateData.status === "in-progress") {
+      if (updatedTask.timePlanning?.enabled && updatedTask.timePlanning?.autoPlanOnStart) {
+        try {
+          await generatePlansForInProgressTask(updatedTask);
+        } catch (error) {
+          console.error("Error generating plans for task:", error);
+        }
+      }
+    }
+    if (task.status === "in-progress") {
+      try {
+        await cancelFuturePlans(auth0Id, task._id);
+      } catch (error) {
+        console.error("Error canceling future plans:", error);
+      }
+    }
+  }
+
+  let nextInstance = null;
+  if (updateData.status === "completed" && task.status !== "completed" && updatedTask.seriesId) {
+    try {
+      nextInstance = await spawnNextInstance(updatedTask, { actorId: auth0Id, actorName });
+    } catch (error) {
+      console.error("Error spawning next recurring instance:", error);
+    }
+  }
+
+  const oldAssigned = (task.assignedTo || []).map(a => a.toString().trim());
+  const newAssigned = (updatedTask.assignedTo || []).map(a => a.toString().trim());
+
+  return {
+    taskId: task._id,
+    success: true,
+    data: toTaskPayload(updatedTask, ctx.timeZone),
+    ...(nextInstance ? { nextInstance } : {}),
+    addedAssignees: newAssigned.filter(a => !oldAssigned.includes(a)),
+    removedAssignees: oldAssigned.filter(a => !newAssigned.includes(a)),
+  };
+};
+
+// Apply the same changes (or a delete) to many tasks at once.
+// Body: { taskIds: [...], action: "update" | "delete", changes: {...}, allowBackdate }
+// Permissions are checked per task; the response lists the outcome for each one.
+export const bulkUpdateTasks = async (req, res) => {
+  try {
+    const { taskIds, action = "update", allowBackdate = false } = req.body;
+
+    if (!["update", "delete"].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: "action must be update or delete",
+      });
+    }
+
+    const ids = toList(taskIds);
+    if (ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "taskIds must be a non-empty array",
+      });
+    }
+    if (ids.length > MAX_BULK_TASKS) {
+      return res.status(400).json({
+        success: false,
+        message: `A bulk request can change at most ${MAX_BULK_TASKS} tasks`,
+      });
+    }
+
+    const user = await User.findOne({ auth0Id: req.auth0Id }).select('name customPicture picture preferences.timezone');
+    const actorName = req.userName || user?.name || "Unknown";
+    const timeZone = getUserTimeZone(user);
+
+    let changes = null;
+    if (action === "update") {
+      const parsed = parseBulkChanges(req.body.changes, !!allowBackdate, timeZone);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      changes = parsed.changes;
+    }
+
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const tasks = await Task.find({ _id: { $in: validIds } });
+    const taskMap = new Map(tasks.map(t => [t._id.toString(), t]));
+
+    const groupCache = new Map();
+    const loadGroup = async (groupTag) => {
+      if (!groupCache.has(groupTag)) {
+        groupCache.set(groupTag, await Group.findOne({ tag: groupTag }));
+      }
+      return groupCache.get(groupTag);
+    };
+
+    const ctx = { auth0Id: req.auth0Id, actorName, timeZone, userCache: new Map() };
+    const results = [];
+    const affected = []; // { before, after } for successful tasks
+
+    for (const id of ids) {
+      const task = taskMap.get(id);
+      if (!task) {
+        results.push({ taskId: id, success: false, status: 404, message: "Task not found" });
+        continue;
+      }
+
+      try {
+        const isGroupTask = task.groupTag && task.groupTag !== "@personal";
+        const group = isGroupTask ? await loadGroup(task.groupTag) : undefined;
+        const access = await getTaskAccess(task, req.auth0Id, group);
+
+        if (action === "delete") {
+          if (!access.canDelete) {
+            results.push({ taskId: task._id, success: false, status: 403, message: "You don't have permission to delete this task" });
+            continue;
+          }
+          await archiveTasks({ _id: task._id }, { actorId: req.auth0Id, reason: "deleted" });
+          results.push({ taskId: task._id, success: true });
+          affected.push({ before: task, after: null });
+          continue;
+        }
+
+        if (!access.canEdit) {
+          results.push({ taskId: task._id, success: false, status: 403, message: "You don't have permission to update this task" });
+          continue;
+        }
+
+        const result = await applyChangesToTask(task, access, changes, ctx);
+        results.push(result);
+        if (result.success) affected.push({ before: task, after: result.data, result });
+      } catch (error) {
+        results.push({ taskId: task._id, success: false, status: 400, message: error.message });
+      }
+    }
+
+    // Assignment notifications: one row per task, one SSE per person
+    if (action === "update" && changes.assignedTo) {
+      const assignedByUser = new Map();
+      // Tasks each person got an in-app notification for (muted types/groups are skipped)
+      const notifiedByUser = new Map();
+      for (const { after, result } of affected) {
+        for (const userIdStr of result.addedAssignees) {
+          try {
+            if (await loadWantsInAppNotification(userIdStr, 'task_assigned', after.groupTag)) {
+              await Notification.findOneAndUpdate(
+                { userId: userIdStr, type: 'task_assigned', taskId: after._id },
+                {
+                  userId: userIdStr,
+                  type: 'task_assigned',
+                  taskId: after._id,
+                  groupTag: after.groupTag,
+                  groupName: groupCache.get(after.groupTag)?.name || null,
+                  taskTitle: after.title,
+                  acknowledgedAt: null,
+                  archivedAt: null,
+                },
+                { upsert: true, new: true }
+              );
+              if (!notifiedByUser.has(userIdStr)) notifiedByUser.set(userIdStr, []);
+              notifiedByUser.get(userIdStr).push(after._id);
+            }
+            if (!assignedByUser.has(userIdStr)) assignedByUser.set(userIdStr, []);
+            assignedByUser.get(userIdStr).push(after);
+          } catch (e) {
+            console.warn('[notifications] upsert for added assignee failed', userIdStr, e.message || e);
+          }
+        }
+        if (result.removedAssignees.length > 0) {
+          try {
+            await Notification.deleteMany({ userId: { $in: result.removedAssignees }, type: 'task_assigned', taskId: after._id });
+          } catch (e) {
+            console.warn('[notifications] delete for removed assignees failed', e.message || e);
+          }
+        }
+      }
+      for (const [userIdStr, assignedTasks] of assignedByUser) {
+        if (userIdStr === req.auth0Id) continue;
+        // Live event for the in-app notifications; push covers every new assignment otherwise
+        const notifiedTaskIds = notifiedByUser.get(userIdStr) || [];
+        const inApp = notifiedTaskIds.length > 0;
+        const taskIds = inApp ? notifiedTaskIds : assignedTasks.map(t => t._id);
+        try { sendNotificationToUser(userIdStr, { type: 'task_assigned', taskIds, count: taskIds.length }, { inApp }); } catch (e) {}
+        // One email for the whole batch
+        const groupTags = [...new Set(assignedTasks.map(t => t.groupTag))];
+        await emailNotification(userIdStr, 'task_assigned', {
+          tasks: assignedTasks.map(t => ({ taskId: t._id, title: t.title, groupTag: t.groupTag })),
+          groupName: groupTags.length === 1 ? groupCache.get(groupTags[0])?.name || null : null,
+          assignedBy: actorName,
+        });
+      }
+    }
+
+    // One summarized activity per group instead of one per task
+    const byGroup = new Map();
+    for (const { before, after } of affected) {
+      const groupTag = (after || before).groupTag || "@personal";
+      if (!byGroup.has(groupTag)) byGroup.set(groupTag, []);
+      byGroup.get(groupTag).push(before._id);
+    }
+
+    const activities = [];
+    for (const [groupTag, groupTaskIds] of byGroup) {
+      try {
+        const activity = await Activity.create({
+          type: action === "delete" ? "tasks_bulk_deleted" : "tasks_bulk_updated",
+          taskTitle: `${groupTaskIds.length} task${groupTaskIds.length === 1 ? '' : 's'}`,
+          taskIds: groupTaskIds,
+          taskCount: groupTaskIds.length,
+          changes: changes || undefined,
+          userId: req.auth0Id,
+          userName: actorName,
+          groupTag,
+          timestamp: new Date(),
+        });
+        activities.push(activity);
+        try {
+          await emitActivity(activity);
+        } catch (e) {
+          // ignore emitter errors
+        }
+      } catch (e) {
+        console.warn('[activity] bulk activity failed', e.message || e);
+      }
+    }
+
+    // One SSE per recipient carrying all of their affected tasks
+    try {
+      const perRecipient = new Map();
+      for (const { before, after } of affected) {
+        const recipients = new Set([
+          ...taskRecipients(before, req.auth0Id),
+          ...(after ? taskRecipients(after, req.auth0Id) : []),
+        ]);
+        for (const rid of recipients) {
+          if (!perRecipient.has(rid)) perRecipient.set(rid, []);
+          perRecipient.get(rid).push(after || { _id: before._id, groupTag: before.groupTag });
+        }
+      }
+      for (const [rid, items] of perRecipient) {
+        try {
+          if (action === "delete") {
+            sendEventToUser(rid, 'tasks_bulk_deleted', { taskIds: items.map(t => t._id) });
+          } else {
+            sendEventToUser(rid, 'tasks_bulk_updated', { tasks: items });
+          }
+        } catch (e) {}
+      }
+    } catch (e) {
+      console.warn('[sse] bulk task emit failed', e.message || e);
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    res.status(200).json({
+      success: true,
+      data: results.map(({ addedAssignees, removedAssignees, ...rest }) => rest),
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+      activities,
+      message: `${succeeded} of ${results.length} task(s) ${action === "delete" ? "deleted" : "updated"}`,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error applying bulk changes",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,370 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Comment from "../models/Comment.js";
+import Activity from "../models/Activity.js";
+import Notification from "../models/Notification.js";
+import { sendEventToUser, sendNotificationToUser } from "../utils/sseManager.js";
+import { loadWantsInAppNotification } from "../utils/notificationPreferences.js";
+import { emitActivity } from "../utils/activityEmitter.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import { getMentionCandidates, extractMentions } from "../utils/mentions.js";
+
+const EXCERPT_LENGTH = 140;
+
+// Helper: load task and the caller's access to it
+const loadTaskWithAccess = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const access = await getTaskAccess(task, req.auth0Id);
+  if (!access.canView) {
+    res.status(403).json({
+      success: false,
+      message: "You don't have access to this task",
+    });
+    return null;
+  }
+
+  return { task, access };
+};
+
+// Helper: shape a comment for responses/SSE (blank out deleted bodies)
+const formatComment = (comment, pictureMap = new Map()) => {
+  const obj = comment.toObject ? comment.toObject() : { ...comment };
+  if (obj.deletedAt) {
+    obj.body = "";
+    obj.mentions = [];
+  }
+  obj.userPicture = pictureMap.get(obj.userId) || null;
+  return obj;
+};
+
+// Helper: owner + assignees of the task, excluding the actor
+const taskRecipients = (task, actorId) => {
+  const recipients = new Set();
+  if (task.userId) recipients.add(task.userId.toString().trim());
+  (task.assignedTo || []).forEach(a => { if (a) recipients.add(a.toString().trim()); });
+  recipients.delete(actorId && actorId.toString().trim());
+  return recipients;
+};
+
+// Helper: resolve @mentions from the body plus any explicit ids the client sent
+const resolveMentions = async (task, group, body, explicitIds) => {
+  const candidates = await getMentionCandidates(task, group);
+  const candidateIds = new Set(candidates.map(c => c.userId));
+  const mentioned = new Set(extractMentions(body, candidates));
+  if (Array.isArray(explicitIds)) {
+    explicitIds
+      .map(id => id?.toString().trim())
+      .filter(id => id && candidateIds.has(id))
+      .forEach(id => mentioned.add(id));
+  }
+  return Array.from(mentioned);
+};
+
+// Helper: create comment_mention notifications and push them over SSE
+const notifyMentions = async (req, task, group, comment, userIds, authorName) => {
+  const excerpt = comment.body.length > EXCERPT_LENGTH
+    ? `${comment.body.slice(0, EXCERPT_LENGTH - 1)}…`
+    : comment.body;
+
+  for (const userIdStr of userIds) {
+    if (userIdStr === req.auth0Id) continue;
+    try {
+      const inApp = await loadWantsInAppNotification(userIdStr, 'comment_mention', task.groupTag);
+      const notification = inApp ? await Notification.create({
+        userId: userIdStr,
+        type: 'comment_mention',
+        taskId: task._id,
+        taskTitle: task.title,
+        groupId: group?._id || null,
+        groupTag: task.groupTag,
+        groupName: group?.name || null,
+        metadata: {
+          commentId: comment._id,
+          mentionedBy: {
+            userId: req.auth0Id,
+            name: authorName,
+          },
+          excerpt,
+        },
+      }) : null;
+      try {
+        sendNotificationToUser(userIdStr, {
+          type: 'comment_mention',
+          id: notification?._id || null,
+          taskId: task._id,
+          taskTitle: task.title,
+          groupTag: task.groupTag,
+          commentId: comment._id,
+          mentionedBy: { userId: req.auth0Id, name: authorName },
+          excerpt,
+        }, { inApp });
+      } catch (e) {}
+    } catch (e) {
+      console.warn('[notifications] failed to create mention notification', userIdStr, e.message || e);
+    }
+  }
+};
+
+// List comments on a task as threads (oldest first)
+export const getComments = async (req, res) => {
+  try {
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+
+    const comments = await Comment.find({ taskId: loaded.task._id }).sort({ createdAt: 1 });
+
+    const userIds = [...new Set(comments.map(c => c.userId))];
+    const users = await User.find({ auth0Id: { $in: userIds } }).select('auth0Id picture customPicture');
+    const pictureMap = new Map(users.map(u => [u.auth0Id, u.customPicture || u.picture || null]));
+
+    // Build reply trees; replies whose parent is missing are shown at the top level
+    const byId = new Map();
+    comments.forEach(c => byId.set(c._id.toString(), { ...formatComment(c, pictureMap), replies: [] }));
+    const threads = [];
+    for (const node of byId.values()) {
+      const parent = node.parentId ? byId.get(node.parentId.toString()) : null;
+      if (parent) parent.replies.push(node);
+      else threads.push(node);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: threads,
+      count: comments.filter(c => !c.deletedAt).length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching comments",
+      error: error.message,
+    });
+  }
+};
+
+// Create a comment (or a reply with parentId)
+export const createComment = async (req, res) => {
+  try {
+    const { body, parentId = null, mentions } = req.body;
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Comment body is required",
+      });
+    }
+
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+    const { task, access } = loaded;
+
+    if (parentId) {
+      const parent = mongoose.Types.ObjectId.isValid(parentId)
+        ? await Comment.findOne({ _id: parentId, taskId: task._id })
+        : null;
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: "Parent comment not found",
+        });
+      }
+    }
+
+    const user = await User.findOne({ auth0Id: req.auth0Id }).select('name customPicture picture');
+    const authorName = req.userName || user?.name || "Unknown";
+
+    const mentionIds = await resolveMentions(task, access.group, body, mentions);
+
+    const comment = await Comment.create({
+      taskId: task._id,
+      groupTag: task.groupTag || "@personal",
+      parentId: parentId || null,
+      userId: req.auth0Id,
+      userName: authorName,
+      body: body.trim(),
+      mentions: mentionIds,
+    });
+
+    // Create activity for comment creation
+    let createdActivity = null;
+    try {
+      createdActivity = await Activity.create({
+        type: "comment_added",
+        taskId: task._id,
+        taskTitle: task.title,
+        commentId: comment._id,
+        userId: req.auth0Id,
+        userName: authorName,
+        groupTag: task.groupTag,
+        timestamp: new Date(),
+      });
+
+      // Emit activity to relevant group members (non-blocking)
+      try {
+        await emitActivity(createdActivity);
+      } catch (e) {
+        // ignore emitter errors
+      }
+    } catch (e) {
+      console.warn('[activity] comment activity failed', e.message || e);
+    }
+
+    await notifyMentions(req, task, access.group, comment, mentionIds, authorName);
+
+    const pictureMap = new Map([[req.auth0Id, (user && (user.customPicture || user.picture)) || null]]);
+    const payload = { ...formatComment(comment, pictureMap), replies: [] };
+
+    // Push the new comment to owner + assignees
+    for (const rid of taskRecipients(task, req.auth0Id)) {
+      try { sendEventToUser(rid, 'comment_created', payload); } catch (e) {}
+    }
+
+    res.status(201).json({
+      success: true,
+      data: payload,
+      activity: createdActivity,
+      message: "Comment added successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error adding comment",
+      error: error.message,
+    });
+  }
+};
+
+// Edit a comment (author only)
+export const updateComment = async (req, res) => {
+  try {
+    const { body, mentions } = req.body;
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Comment body is required",
+      });
+    }
+
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+    const { task, access } = loaded;
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+      ? await Comment.findOne({ _id: req.params.commentId, taskId: task._id, deletedAt: null })
+      : null;
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+    }
+
+    if (comment.userId !== req.auth0Id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own comments",
+      });
+    }
+
+    const previousMentions = new Set(comment.mentions || []);
+    const mentionIds = await resolveMentions(task, access.group, body, mentions);
+
+    comment.body = body.trim();
+    comment.mentions = mentionIds;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    // Only newly mentioned people get a notification
+    const newlyMentioned = mentionIds.filter(id => !previousMentions.has(id));
+    if (newlyMentioned.length > 0) {
+      await notifyMentions(req, task, access.group, comment, newlyMentioned, comment.userName);
+    }
+
+    const payload = formatComment(comment);
+    for (const rid of taskRecipients(task, req.auth0Id)) {
+      try { sendEventToUser(rid, 'comment_updated', payload); } catch (e) {}
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payload,
+      message: "Comment updated successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error updating comment",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a comment (author, or group owner/admin)
+export const deleteComment = async (req, res) => {
+  try {
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+    const { task, access } = loaded;
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+      ? await Comment.findOne({ _id: req.params.commentId, taskId: task._id, deletedAt: null })
+      : null;
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+    }
+
+    const isAuthor = comment.userId === req.auth0Id;
+    const isModerator = ["owner", "admin"].includes(access.role);
+    if (!isAuthor && !isModerator) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to delete this comment",
+      });
+    }
+
+    // Keep the thread intact when the comment has replies
+    const hasReplies = await Comment.exists({ parentId: comment._id });
+    if (hasReplies) {
+      comment.body = "";
+      comment.mentions = [];
+      comment.deletedAt = new Date();
+      await comment.save();
+    } else {
+      await Comment.findByIdAndDelete(comment._id);
+    }
+
+    // Mentions from a deleted comment are no longer relevant
+    try {
+      await Notification.deleteMany({ type: 'comment_mention', 'metadata.commentId': comment._id });
+    } catch (e) {
+      console.warn('[notifications] failed to delete mention notifications', e.message || e);
+    }
+
+    for (const rid of taskRecipients(task, req.auth0Id)) {
+      try { sendEventToUser(rid, 'comment_deleted', { commentId: comment._id, taskId: task._id }); } catch (e) {}
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Comment deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting comment",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import { sendEventToUser } from "../utils/sseManager.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import { wouldCreateCycle, attachDependencyInfo } from "../utils/taskDependencies.js";
+
+// Helper: emit task_updated to owner + assignees, excluding actor
+const emitTaskUpdated = (task, actorId) => {
+  try {
+    const payload = task.toObject ? task.toObject() : { ...task };
+    const recipients = new Set();
+    if (task.userId) recipients.add(task.userId.toString().trim());
+    (task.assignedTo || []).forEach(a => { if (a) recipients.add(a.toString().trim()); });
+    recipients.delete(actorId && actorId.toString().trim());
+    for (const rid of recipients) {
+      try { sendEventToUser(rid, 'task_updated', payload); } catch (e) {}
+    }
+  } catch (e) {
+    console.warn('[sse] failed to emit task_updated for dependency change', e.message || e);
+  }
+};
+
+// Get blockers and dependents of a task
+export const getDependencies = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+
+    const access = await getTaskAccess(task, req.auth0Id);
+    if (!access.canView) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have access to this task",
+      });
+    }
+
+    const [withDeps] = await attachDependencyInfo([task.toObject()]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        taskId: task._id,
+        blockers: withDeps.blockers,
+        blocking: withDeps.blocking,
+        isBlocked: withDeps.isBlocked,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching task dependencies",
+      error: error.message,
+    });
+  }
+};
+
+// Mark a task as blocked by another task in the same group
+export const addDependency = async (req, res) => {
+  try {
+    const { blockerId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+    if (!blockerId || !mongoose.Types.ObjectId.isValid(blockerId)) {
+      return res.status(400).json({ success: false, message: "A valid blockerId is required" });
+    }
+    if (blockerId.toString() === req.params.id.toString()) {
+      return res.status(400).json({ success: false, message: "A task cannot block itself" });
+    }
+
+    const [task, blocker] = await Promise.all([
+      Task.findById(req.params.id),
+      Task.findById(blockerId),
+    ]);
+
+    if (!task) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+    if (!blocker) {
+      return res.status(404).json({ success: false, message: "Blocking task not found" });
+    }
+
+    const access = await getTaskAccess(task, req.auth0Id);
+    if (!access.canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to update this task",
+      });
+    }
+
+    // Dependencies are only allowed within one group (or one user's personal tasks)
+    const taskGroupTag = task.groupTag || "@personal";
+    const blockerGroupTag = blocker.groupTag || "@personal";
+    const sameScope = taskGroupTag === blockerGroupTag &&
+      (taskGroupTag !== "@personal" || task.userId === blocker.userId);
+
+    if (!sameScope) {
+      return res.status(400).json({
+        success: false,
+        message: "Dependencies can only link tasks in the same group",
+      });
+    }
+
+    const alreadyLinked = (task.blockedBy || []).some(id => id.toString() === blocker._id.toString());
+    if (alreadyLinked) {
+      return res.status(200).json({
+        success: true,
+        data: task,
+        message: "Dependency already exists",
+      });
+    }
+
+    if (await wouldCreateCycle(task._id, blocker._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "This dependency would create a cycle",
+      });
+    }
+
+    const updatedTask = await Task.findByIdAndUpdate(
+      task._id,
+      { $addToSet: { blockedBy: blocker._id } },
+      { new: true }
+    );
+
+    emitTaskUpdated(updatedTask, req.auth0Id);
+
+    const [withDeps] = await attachDependencyInfo([updatedTask.toObject()]);
+
+    res.status(201).json({
+      success: true,
+      data: withDeps,
+      message: "Dependency added successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error adding dependency",
+      error: error.message,
+    });
+  }
+};
+
+// Remove a blocker from a task
+export const removeDependency = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.blockerId)) {
+      return res.status(404).json({ success: false, message: "Dependency not found" });
+    }
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+
+    const access = await getTaskAccess(task, req.auth0Id);
+    if (!access.canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to update this task",
+      });
+    }
+
+    const isLinked = (task.blockedBy || []).some(id => id.toString() === req.params.blockerId);
+    if (!isLinked) {
+      return res.status(404).json({ success: false, message: "Dependency not found" });
+    }
+
+    const updatedTask = await Task.findByIdAndUpdate(
+      task._id,
+      { $pull: { blockedBy: req.params.blockerId } },
+      { new: true }
+    );
+
+    emitTaskUpdated(updatedTask, req.auth0Id);
+
+    const [withDeps] = await attachDependencyInfo([updatedTask.toObject()]);
+
+    res.status(200).json({
+      success: true,
+      data: withDeps,
+      message: "Dependency removed successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error removing dependency",
+      error: error.message,
+    });
+  }
+};
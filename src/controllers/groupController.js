@@ -3,7 +3,15 @@ import User from "../models/User.js";
 import Task from "../models/Task.js";
 import Activity from "../models/Activity.js";
 import Notification from "../models/Notification.js";
-import { sendEventToUser } from "../utils/sseManager.js";
+import TaskTemplate from "../models/TaskTemplate.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { sendEventToUser, sendNotificationToUser } from "../utils/sseManager.js";
+import { emitActivity } from "../utils/activityEmitter.js";
+import { getWorkflow, normalizeWorkflowInput } from "../utils/workflow.js";
+import { archiveTasks } from "../utils/taskArchive.js";
+import { emailNotification } from "../utils/emailNotifications.js";
+import { loadWantsInAppNotification } from "../utils/notificationPreferences.js";
 
 // Helper function to get or create user (preserves custom name and picture)
 const getOrCreateUserFromAuth = async (auth0Id, email, name, picture) => {
@@ -158,7 +166,7 @@ export const createGroup = async (req, res) => {
     );
 
     // Create activity for group creation
-    await Activity.create({
+    const createdActivity = await Activity.create({
       type: "member_added",
       userId: req.auth0Id,
       userName: req.userName || user.name || "Unknown",
@@ -167,6 +175,13 @@ export const createGroup = async (req, res) => {
       timestamp: new Date(),
     });
 
+    // Emit activity to group members and webhooks (non-blocking)
+    try {
+      await emitActivity(createdActivity);
+    } catch (e) {
+      // ignore emitter errors
+    }
+
     res.status(201).json({
       success: true,
       data: group,
@@ -423,7 +438,7 @@ export const updateGroup = async (req, res) => {
   }
 };
 
-// Delete group - owner only (cascade delete tasks and activities)
+// Delete group - owner only (tasks go to the trash, activities are deleted)
 export const deleteGroup = async (req, res) => {
   try {
     const user = await getOrCreateUserFromAuth(
@@ -445,12 +460,26 @@ export const deleteGroup = async (req, res) => {
       });
     }
 
-    // Delete all tasks associated with this group
-    await Task.deleteMany({ groupTag: group.tag });
+    // Move the group's tasks to the trash; their creators can restore them as personal
+    // tasks until the purge job removes them (comments go with the purge)
+    await archiveTasks({ groupTag: group.tag }, { actorId: req.auth0Id, reason: "group_deleted" });
+
+    // Delete the group's task templates
+    await TaskTemplate.deleteMany({ groupTag: group.tag });
+
+    // Delete the group's webhooks and their delivery logs
+    const webhookIds = (await Webhook.find({ groupId: group._id }).select('_id').lean()).map(w => w._id);
+    if (webhookIds.length) {
+      await WebhookDelivery.deleteMany({ webhookId: { $in: webhookIds } });
+      await Webhook.deleteMany({ _id: { $in: webhookIds } });
+    }
 
     // Delete all activities associated with this group
     await Activity.deleteMany({ groupTag: group.tag });
 
+    // Pending invitations and overdue digests point at the group
+    await Notification.deleteMany({ groupId: group._id });
+
     // Remove group from all users' groups array
     await User.updateMany(
       { groups: req.params.id },
@@ -569,26 +598,36 @@ export const inviteUser = async (req, res) => {
 
     // Upsert invitation notification for the invited user and emit SSE
     try {
-      await Notification.findOneAndUpdate(
-        { userId: userId, type: 'invitation', groupId: updatedGroup._id },
-        {
-          userId: userId,
-          type: 'invitation',
-          groupId: updatedGroup._id,
-          groupTag: updatedGroup.tag,
-          groupName: updatedGroup.name,
-          invitedAt: new Date(),
-          acknowledgedAt: null,
-          metadata: {
-            invitedBy: {
-              userId: req.auth0Id,
-              name: req.userName || user.name || 'Unknown',
+      const inApp = await loadWantsInAppNotification(userId, 'invitation', updatedGroup.tag);
+      if (inApp) {
+        await Notification.findOneAndUpdate(
+          { userId: userId, type: 'invitation', groupId: updatedGroup._id },
+          {
+            userId: userId,
+            type: 'invitation',
+            groupId: updatedGroup._id,
+            groupTag: updatedGroup.tag,
+            groupName: updatedGroup.name,
+            invitedAt: new Date(),
+            acknowledgedAt: null,
+            archivedAt: null,
+            metadata: {
+              invitedBy: {
+                userId: req.auth0Id,
+                name: req.userName || user.name || 'Unknown',
+              },
             },
           },
-        },
-        { upsert: true, new: true }
-      );
-      try { sendEventToUser(userId, 'notification', { type: 'invitation', groupId: updatedGroup._id, groupName: updatedGroup.name, groupTag: updatedGroup.tag }); } catch (e) {}
+          { upsert: true, new: true }
+        );
+      }
+      try { sendNotificationToUser(userId, { type: 'invitation', groupId: updatedGroup._id, groupName: updatedGroup.name, groupTag: updatedGroup.tag }, { inApp }); } catch (e) {}
+      await emailNotification(userId, 'invitation', {
+        groupName: updatedGroup.name,
+        groupTag: updatedGroup.tag,
+        role,
+        invitedBy: req.userName || user.name || 'Someone',
+      });
     } catch (e) {
       console.warn('[notifications] invite upsert failed', e.message || e);
     }
@@ -658,7 +697,7 @@ export const acceptInvitation = async (req, res) => {
       const activityType = previousLeaveActivity ? "member_rejoined" : "member_added";
 
       // Create activity
-      await Activity.create({
+      const createdActivity = await Activity.create({
         type: activityType,
         userId: req.auth0Id,
         userName: req.userName || user.name || "Unknown",
@@ -666,6 +705,13 @@ export const acceptInvitation = async (req, res) => {
         groupTag: group.tag,
         timestamp: new Date(),
       });
+
+      // Emit activity to group members and webhooks (non-blocking)
+      try {
+        await emitActivity(createdActivity);
+      } catch (e) {
+        // ignore emitter errors
+      }
     }
 
     // Clear pending invitation notifications for this group
@@ -800,7 +846,7 @@ export const updateMemberRole = async (req, res) => {
     const updatedGroup = await Group.findById(req.params.id);
 
     // Create activity
-    await Activity.create({
+    const createdActivity = await Activity.create({
       type: "member_role_changed",
       userId: req.auth0Id,
       userName: req.userName || user.name || "Unknown",
@@ -809,6 +855,13 @@ export const updateMemberRole = async (req, res) => {
       timestamp: new Date(),
     });
 
+    // Emit activity to group members and webhooks (non-blocking)
+    try {
+      await emitActivity(createdActivity);
+    } catch (e) {
+      // ignore emitter errors
+    }
+
     res.status(200).json({
       success: true,
       data: updatedGroup,
@@ -873,7 +926,7 @@ export const exitGroup = async (req, res) => {
     }
 
     // Create activity
-    await Activity.create({
+    const createdActivity = await Activity.create({
       type: "member_removed",
       userId: req.auth0Id,
       userName: req.userName || user.name || "Unknown",
@@ -882,6 +935,13 @@ export const exitGroup = async (req, res) => {
       timestamp: new Date(),
     });
 
+    // Emit activity to group members and webhooks (non-blocking)
+    try {
+      await emitActivity(createdActivity);
+    } catch (e) {
+      // ignore emitter errors
+    }
+
     const updatedGroup = await Group.findById(req.params.id);
 
     res.status(200).json({
@@ -937,6 +997,9 @@ export const removeMember = async (req, res) => {
     );
     await group.save();
 
+    // A pending invitation is withdrawn along with the member
+    await Notification.deleteMany({ userId: req.params.userId, type: 'invitation', groupId: group._id });
+
     // Remove group from user's groups array
     const memberUser = await User.findOne({ auth0Id: req.params.userId });
     if (memberUser) {
@@ -948,7 +1011,7 @@ export const removeMember = async (req, res) => {
     }
 
     // Create activity
-    await Activity.create({
+    const createdActivity = await Activity.create({
       type: "member_removed",
       userId: req.auth0Id,
       userName: req.userName || user.name || "Unknown",
@@ -957,6 +1020,13 @@ export const removeMember = async (req, res) => {
       timestamp: new Date(),
     });
 
+    // Emit activity to group members and webhooks (non-blocking)
+    try {
+      await emitActivity(createdActivity);
+    } catch (e) {
+      // ignore emitter errors
+    }
+
     const updatedGroup = await Group.findById(req.params.id);
 
     res.status(200).json({
@@ -1044,3 +1114,113 @@ export const getGroupMembers = async (req, res) => {
   }
 };
 
+// Get the group's ordered workflow statuses (default board if none are defined)
+export const getGroupStatuses = async (req, res) => {
+  try {
+    const group = await Group.findOne({
+      _id: req.params.id,
+      $or: [
+        { owner: req.auth0Id },
+        { "collaborators.userId": req.auth0Id, "collaborators.status": "accepted" },
+      ],
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you don't have access",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: getWorkflow(group),
+      isDefault: !group.statuses || group.statuses.length === 0,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching group statuses",
+      error: error.message,
+    });
+  }
+};
+
+// Replace the group's workflow statuses - owner or admin only.
+// Tasks in removed columns move to the first remaining column of the same base state.
+export const updateGroupStatuses = async (req, res) => {
+  try {
+    const group = await Group.findOne({
+      _id: req.params.id,
+      $or: [
+        { owner: req.auth0Id },
+        { collaborators: { $elemMatch: { userId: req.auth0Id, role: "admin", status: "accepted" } } },
+      ],
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you don't have permission",
+      });
+    }
+
+    const { statuses, error } = normalizeWorkflowInput(req.body.statuses);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Changing a column's base state would silently start/complete its tasks
+    const previous = getWorkflow(group);
+    for (const status of statuses) {
+      const existing = previous.find(p => p.key === status.key);
+      if (existing && existing.category !== status.category) {
+        return res.status(400).json({
+          success: false,
+          message: `Status "${status.key}" already maps to ${existing.category}; add a new status instead of changing its base state`,
+        });
+      }
+    }
+
+    group.statuses = statuses;
+    await group.save();
+
+    // Re-home tasks whose column was removed
+    const removed = previous.filter(p => !statuses.some(s => s.key === p.key));
+    for (const column of removed) {
+      const replacement = statuses.find(s => s.category === column.category);
+      await Task.updateMany(
+        { groupTag: group.tag, statusKey: column.key },
+        { $set: { statusKey: replacement.key } }
+      );
+    }
+
+    // Let members refresh their boards
+    const workflow = getWorkflow(group);
+    const recipients = new Set([group.owner]);
+    (group.collaborators || []).forEach(c => {
+      if (c.status === "accepted") recipients.add(c.userId);
+    });
+    recipients.delete(req.auth0Id);
+    for (const rid of recipients) {
+      try {
+        sendEventToUser(rid, 'group_statuses_updated', { groupId: group._id, groupTag: group.tag, statuses: workflow });
+      } catch (e) {}
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workflow,
+      message: "Group statuses updated successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error updating group statuses",
+      error: error.message,
+    });
+  }
+};
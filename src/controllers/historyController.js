@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import TaskRevision from "../models/TaskRevision.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import { TRACKED_FIELDS } from "../utils/taskHistory.js";
+import { updateTask } from "./taskController.js";
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+// Helper: load task and make sure the caller can see it
+const loadVisibleTask = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const access = await getTaskAccess(task, req.auth0Id);
+  if (!access.canView) {
+    res.status(403).json({
+      success: false,
+      message: "You don't have access to this task",
+    });
+    return null;
+  }
+
+  return task;
+};
+
+// Revision history for a task, newest first.
+// Query: limit, before (revision id cursor), field (only revisions that touched this field)
+export const getTaskHistory = async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+
+    const { before, field } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+
+    const query = { taskId: task._id };
+    if (field) {
+      if (!TRACKED_FIELDS.includes(field)) {
+        return res.status(400).json({
+          success: false,
+          message: `field must be one of: ${TRACKED_FIELDS.join(', ')}`,
+        });
+      }
+      query["changes.field"] = field;
+    }
+    if (before) {
+      if (!mongoose.Types.ObjectId.isValid(before)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      query._id = { $lt: before };
+    }
+
+    const revisions = await TaskRevision.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = revisions.length > limit;
+    const page = hasMore ? revisions.slice(0, limit) : revisions;
+
+    res.status(200).json({
+      success: true,
+      data: page,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching task history",
+      error: error.message,
+    });
+  }
+};
+
+// Put a task back the way it was right after a given revision.
+// Undoes every later revision's field changes and applies them through updateTask,
+// so permissions, status hooks and history recording behave like a normal edit.
+export const revertTaskToRevision = async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+
+    const revision = mongoose.Types.ObjectId.isValid(req.params.revisionId)
+      ? await TaskRevision.findOne({ _id: req.params.revisionId, taskId: task._id })
+      : null;
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    const laterRevisions = await TaskRevision.find({ taskId: task._id, _id: { $gt: revision._id } })
+      .sort({ _id: -1 })
+      .lean();
+    if (laterRevisions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Task is already at this revision",
+      });
+    }
+
+    // Walk back from the newest change; the oldest later revision's "from" wins
+    const target = {};
+    for (const later of laterRevisions) {
+      for (const change of later.changes) {
+        target[change.field] = change.from;
+      }
+    }
+
+    const body = {};
+    for (const [field, value] of Object.entries(target)) {
+      if (field === "status" || field === "statusKey" || field === "dueHasTime") continue;
+      if (field === "progress" && value === null) continue;
+      if (field === "dueDate") continue;
+      body[field] = value;
+    }
+    if ("dueDate" in target || "dueHasTime" in target) {
+      // Date-only values go back as YYYY-MM-DD so they stay zone-independent
+      const dueDate = "dueDate" in target
+        ? target.dueDate
+        : (task.dueDate ? task.dueDate.toISOString() : null);
+      const dueHasTime = "dueHasTime" in target ? target.dueHasTime : task.dueHasTime;
+      body.dueDate = !dueDate ? "" : (dueHasTime ? dueDate : String(dueDate).slice(0, 10));
+    }
+    if ("status" in target || "statusKey" in target) {
+      body.status = target.statusKey || target.status || task.statusKey || task.status;
+    }
+    // The original due date may be in the past by now
+    body.allowBackdate = true;
+
+    req.body = body;
+    req.revision = { source: "revert", revertedTo: revision._id };
+    return updateTask(req, res);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error reverting task",
+      error: error.message,
+    });
+  }
+};
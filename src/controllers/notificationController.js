@@ -1,118 +1,42 @@
-import Group from "../models/Group.js";
-import Task from "../models/Task.js";
 import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { parseInboxFilters, getInboxPage, countUnread } from "../utils/notificationInbox.js";
 
-const EMPTY_RESPONSE = {
-  notifications: [],
-  pendingInvitationsCount: 0,
-  taskAssignmentsCount: 0,
-  totalUnreadCount: 0,
-};
-
-const uniqueObjectIds = (items) => {
-  const set = new Set();
-  for (const value of items) {
-    if (!value) continue;
-    set.add(value.toString());
-  }
-  return Array.from(set);
-};
+const loadPreferences = (auth0Id) =>
+  User.findOne({ auth0Id }).select('preferences').lean();
 
+// Inbox, newest first, with cursor pagination
+// GET /api/notifications?unread=&type=&archived=&limit=&cursor=
 export const getNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.auth0Id })
-      .sort({ createdAt: -1 })
-      .lean();
-
-    if (!notifications.length) {
-      return res.status(200).json({ success: true, data: EMPTY_RESPONSE });
+    const { filters, error: filterError } = parseInboxFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
     }
 
-    const groupIds = uniqueObjectIds(notifications.map((n) => n.groupId).filter(Boolean));
-    const taskIds = uniqueObjectIds(notifications.map((n) => n.taskId).filter(Boolean));
-
-    const [groups, tasks] = await Promise.all([
-      groupIds.length ? Group.find({ _id: { $in: groupIds } }).lean() : [],
-      taskIds.length ? Task.find({ _id: { $in: taskIds } }).lean() : [],
-    ]);
-
-    const groupMap = new Map(groups.map((g) => [g._id.toString(), g]));
-    const taskMap = new Map(tasks.map((t) => [t._id.toString(), t]));
-
-    const formatted = [];
-    const staleNotificationIds = [];
-
-    for (const notif of notifications) {
-      if (notif.type === "invitation") {
-        const groupId = notif.groupId ? notif.groupId.toString() : null;
-        const group = groupId ? groupMap.get(groupId) : null;
-        if (!group) {
-          staleNotificationIds.push(notif._id);
-          continue;
-        }
-        const collaborator = (group.collaborators || []).find(
-          (c) => c.userId === req.auth0Id && c.status === "pending"
-        );
-        if (!collaborator) {
-          staleNotificationIds.push(notif._id);
-          continue;
-        }
-        formatted.push({
-          id: notif._id.toString(),
-          type: "invitation",
-          groupId: group._id.toString(),
-          groupName: group.name,
-          groupTag: group.tag,
-          invitedAt: collaborator.invitedAt || notif.invitedAt || notif.createdAt,
-          createdAt: notif.createdAt,
-          acknowledgedAt: notif.acknowledgedAt,
-        });
-      } else if (notif.type === "task_assigned") {
-        const taskId = notif.taskId ? notif.taskId.toString() : null;
-        const task = taskId ? taskMap.get(taskId) : null;
-        if (!task) {
-          staleNotificationIds.push(notif._id);
-          continue;
-        }
-        const stillAssigned = Array.isArray(task.assignedTo)
-          ? task.assignedTo.some((id) => id && id.toString().trim() === req.auth0Id)
-          : false;
-        if (!stillAssigned) {
-          staleNotificationIds.push(notif._id);
-          continue;
-        }
-        formatted.push({
-          id: notif._id.toString(),
-          type: "task_assigned",
-          taskId: task._id.toString(),
-          taskTitle: task.title,
-          groupTag: task.groupTag,
-          createdAt: notif.createdAt,
-          acknowledgedAt: notif.acknowledgedAt,
-        });
-      }
+    const user = await loadPreferences(req.auth0Id);
+    const { limit, cursor } = req.query;
+    const { notifications, pageInfo, error } = await getInboxPage(req.auth0Id, user, filters, { limit, cursor });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
     }
 
-    if (staleNotificationIds.length) {
-      await Notification.deleteMany({ _id: { $in: staleNotificationIds } });
-    }
-
-    const pendingInvitationsCount = formatted.filter(
-      (n) => n.type === "invitation" && !n.acknowledgedAt
-    ).length;
-    const taskAssignmentsCount = formatted.filter(
-      (n) => n.type === "task_assigned" && !n.acknowledgedAt
-    ).length;
-    const totalUnreadCount = pendingInvitationsCount + taskAssignmentsCount;
+    // The badge counts come with the first page only; later pages just load more
+    const { byType, ...counts } = cursor ? {} : await countUnread(req.auth0Id, user);
 
     return res.status(200).json({
       success: true,
       data: {
-        notifications: formatted,
-        pendingInvitationsCount,
-        taskAssignmentsCount,
-        totalUnreadCount,
+        notifications,
+        ...counts,
       },
+      pageInfo,
     });
   } catch (error) {
     return res.status(500).json({
@@ -123,6 +47,21 @@ export const getNotifications = async (req, res) => {
   }
 };
 
+// Unread counts (overall and per type) without loading the notifications themselves
+export const getUnreadCount = async (req, res) => {
+  try {
+    const user = await loadPreferences(req.auth0Id);
+    const counts = await countUnread(req.auth0Id, user);
+    return res.status(200).json({ success: true, data: counts });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error counting notifications",
+      error: error.message,
+    });
+  }
+};
+
 export const getRawNotificationsForUser = async (req, res) => {
   try {
     const docs = await Notification.find({ userId: req.params.userId })
@@ -171,6 +110,68 @@ export const markAllNotificationsAsRead = async (req, res) => {
   }
 };
 
+// Move a notification out of the inbox (kept, and listed with ?archived=true)
+export const archiveNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, userId: req.auth0Id },
+      { $set: { archivedAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ success: false, message: "Notification not found" });
+    }
+    return res.status(200).json({ success: true, message: "Notification archived" });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error archiving notification",
+      error: error.message,
+    });
+  }
+};
+
+export const unarchiveNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, userId: req.auth0Id },
+      { $set: { archivedAt: null } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ success: false, message: "Notification not found" });
+    }
+    return res.status(200).json({ success: true, message: "Notification moved back to the inbox" });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error restoring notification",
+      error: error.message,
+    });
+  }
+};
+
+// Archive every notification that has been read
+export const archiveReadNotifications = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.auth0Id, acknowledgedAt: { $ne: null }, archivedAt: null },
+      { $set: { archivedAt: new Date() } }
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Read notifications archived",
+      archivedCount: result.modifiedCount || 0,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error archiving notifications",
+      error: error.message,
+    });
+  }
+};
+
 export const deleteNotification = async (req, res) => {
   try {
     const result = await Notification.findOneAndDelete({
@@ -215,6 +216,10 @@ export const clearTaskNotifications = async (req, res) => {
 
 export default {
   getNotifications,
+  getUnreadCount,
+  archiveNotification,
+  unarchiveNotification,
+  archiveReadNotifications,
   getRawNotificationsForUser,
   markNotificationAsRead,
   markAllNotificationsAsRead,
@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+import PushSubscription from "../models/PushSubscription.js";
+import { getVapidPublicKey, isPushEnabled } from "../push/index.js";
+
+const MAX_DEVICES_PER_USER = 20;
+
+// Devices are listed without their keys
+const toDevice = (subscription) => ({
+  id: subscription._id.toString(),
+  deviceName: subscription.deviceName || "",
+  userAgent: subscription.userAgent || "",
+  createdAt: subscription.createdAt,
+  lastUsedAt: subscription.lastUsedAt,
+});
+
+// VAPID public key the browser needs for pushManager.subscribe()
+export const getPushConfig = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: isPushEnabled(),
+      publicKey: getVapidPublicKey(),
+    },
+  });
+};
+
+// List the current user's registered devices
+export const getPushSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await PushSubscription.find({ userId: req.auth0Id })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.status(200).json({
+      success: true,
+      data: subscriptions.map(toDevice),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching push subscriptions",
+      error: error.message,
+    });
+  }
+};
+
+// Register (or refresh) a device. Body: { subscription: { endpoint, keys: { p256dh, auth } }, deviceName }
+export const createPushSubscription = async (req, res) => {
+  try {
+    const { subscription, deviceName } = req.body || {};
+    const endpoint = subscription?.endpoint;
+    const keys = subscription?.keys;
+
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint)) {
+      return res.status(400).json({
+        success: false,
+        message: "subscription.endpoint must be an https URL",
+      });
+    }
+    if (!keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string' || !keys.p256dh || !keys.auth) {
+      return res.status(400).json({
+        success: false,
+        message: "subscription.keys must include p256dh and auth",
+      });
+    }
+
+    const existing = await PushSubscription.findOne({ endpoint });
+    if (!existing) {
+      const count = await PushSubscription.countDocuments({ userId: req.auth0Id });
+      if (count >= MAX_DEVICES_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${MAX_DEVICES_PER_USER} devices can be registered; revoke one first`,
+        });
+      }
+    }
+
+    // The same browser re-subscribing (or switching accounts) replaces its old entry
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        userId: req.auth0Id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        deviceName: typeof deviceName === 'string' ? deviceName.trim().slice(0, 100) : (existing?.deviceName || ""),
+        userAgent: (req.headers['user-agent'] || "").slice(0, 300),
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: toDevice(saved),
+      message: existing ? "Device updated" : "Device registered",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error registering push subscription",
+      error: error.message,
+    });
+  }
+};
+
+// Revoke one of the current user's devices
+export const deletePushSubscription = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.subscriptionId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+    const deleted = await PushSubscription.findOneAndDelete({
+      _id: req.params.subscriptionId,
+      userId: req.auth0Id,
+    });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+    res.status(200).json({
+      success: true,
+      message: "Device revoked",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error revoking push subscription",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getPushConfig,
+  getPushSubscriptions,
+  createPushSubscription,
+  deletePushSubscription,
+};
@@ -0,0 +1,280 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import TaskSeries from "../models/TaskSeries.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import { normalizeRecurrenceRule, pinDayOfMonth, buildSeriesTemplate } from "../utils/recurrence.js";
+import { loadUserTimeZone } from "../utils/dueDates.js";
+
+// Template fields that can be edited on a series (and are pushed to open instances)
+const EDITABLE_TEMPLATE_FIELDS = ["title", "description", "category", "priority", "tags", "documentationLink"];
+
+// Helper: parse optional endDate (null clears it)
+const parseEndDate = (value) => {
+  if (value === undefined) return { skip: true };
+  if (value === null || value === "") return { endDate: null };
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return { error: "Invalid endDate" };
+  return { endDate: d };
+};
+
+// Changing a series affects every future instance, so being assigned isn't enough:
+// it takes ownership or an editor/admin/owner role in the group
+const canManageSeries = (access) =>
+  access.canView && (access.ownsTask || ["editor", "admin", "owner"].includes(access.role));
+
+// Helper: load a series and check access (series carry userId/groupTag/assignedTo like a task)
+const loadSeries = async (req, res, { requireEdit }) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.seriesId)) {
+    res.status(404).json({ success: false, message: "Series not found" });
+    return null;
+  }
+
+  const series = await TaskSeries.findById(req.params.seriesId);
+  if (!series) {
+    res.status(404).json({ success: false, message: "Series not found" });
+    return null;
+  }
+
+  const access = await getTaskAccess(
+    { userId: series.userId, groupTag: series.groupTag, assignedTo: series.template?.assignedTo || [] },
+    req.auth0Id
+  );
+  if (requireEdit ? !canManageSeries(access) : !access.canView) {
+    res.status(403).json({
+      success: false,
+      message: requireEdit ? "You don't have permission to edit this series" : "You don't have access to this series",
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// Make a task recurring (or update the rule of its existing series)
+export const setTaskRecurrence = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+
+    const access = await getTaskAccess(task, req.auth0Id);
+    if (!canManageSeries(access)) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to change this task's recurrence",
+      });
+    }
+
+    const { rule: parsedRule, error } = normalizeRecurrenceRule(req.body.rule || req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const rule = pinDayOfMonth(parsedRule, task, await loadUserTimeZone(task.userId));
+
+    const parsedEnd = parseEndDate(req.body.endDate);
+    if (parsedEnd.error) {
+      return res.status(400).json({ success: false, message: parsedEnd.error });
+    }
+
+    let series = task.seriesId ? await TaskSeries.findById(task.seriesId) : null;
+
+    if (series) {
+      series.rule = rule;
+      if (!parsedEnd.skip) series.endDate = parsedEnd.endDate;
+      series.active = true;
+      series.stoppedAt = null;
+      series.stoppedBy = null;
+      await series.save();
+    } else {
+      series = await TaskSeries.create({
+        userId: task.userId,
+        groupTag: task.groupTag || "@personal",
+        rule,
+        endDate: parsedEnd.skip ? null : parsedEnd.endDate,
+        template: buildSeriesTemplate(task),
+        occurrenceCount: 1,
+        lastInstanceId: task._id,
+      });
+      task.seriesId = series._id;
+      await task.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { task, series },
+      message: "Recurrence saved successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error saving recurrence",
+      error: error.message,
+    });
+  }
+};
+
+// Stop the series a task belongs to (existing instances are kept)
+export const stopTaskRecurrence = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Task not found" });
+    }
+
+    const task = await Task.findById(req.params.id);
+    if (!task || !task.seriesId) {
+      return res.status(404).json({ success: false, message: "Recurring task not found" });
+    }
+
+    const access = await getTaskAccess(task, req.auth0Id);
+    if (!canManageSeries(access)) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to change this task's recurrence",
+      });
+    }
+
+    const series = await TaskSeries.findByIdAndUpdate(
+      task.seriesId,
+      { active: false, stoppedAt: new Date(), stoppedBy: req.auth0Id },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: series,
+      message: "Recurrence stopped",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error stopping recurrence",
+      error: error.message,
+    });
+  }
+};
+
+// Get a series with its instances (newest first)
+export const getSeries = async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, { requireEdit: false });
+    if (!series) return;
+
+    const instances = await Task.find({ seriesId: series._id })
+      .sort({ createdAt: -1 })
+      .select('title status dueDate completedAt assignedTo createdAt nextInstanceId');
+
+    res.status(200).json({
+      success: true,
+      data: { series, instances },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching series",
+      error: error.message,
+    });
+  }
+};
+
+// Edit a series rule/template; template edits also apply to instances that aren't completed
+export const updateSeries = async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, { requireEdit: true });
+    if (!series) return;
+
+    if (req.body.rule !== undefined) {
+      const { rule, error } = normalizeRecurrenceRule(req.body.rule);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      // Keep the day a monthly series already repeats on; otherwise pin it to the latest instance
+      if (rule.frequency === "monthly" && !rule.dayOfMonth) {
+        if (series.rule?.frequency === "monthly" && series.rule.dayOfMonth) {
+          rule.dayOfMonth = series.rule.dayOfMonth;
+        } else {
+          const latest = series.lastInstanceId
+            ? await Task.findById(series.lastInstanceId).setOptions({ includeArchived: true }).lean()
+            : null;
+          rule.dayOfMonth = pinDayOfMonth(rule, latest, await loadUserTimeZone(series.userId)).dayOfMonth;
+        }
+      }
+      series.rule = rule;
+    }
+
+    const parsedEnd = parseEndDate(req.body.endDate);
+    if (parsedEnd.error) {
+      return res.status(400).json({ success: false, message: parsedEnd.error });
+    }
+    if (!parsedEnd.skip) series.endDate = parsedEnd.endDate;
+
+    if (typeof req.body.active === 'boolean') {
+      series.active = req.body.active;
+      series.stoppedAt = req.body.active ? null : new Date();
+      series.stoppedBy = req.body.active ? null : req.auth0Id;
+    }
+
+    const templateUpdates = {};
+    const templateInput = req.body.template || {};
+    EDITABLE_TEMPLATE_FIELDS.forEach(field => {
+      if (templateInput[field] !== undefined) {
+        series.template[field] = templateInput[field];
+        templateUpdates[field] = templateInput[field];
+      }
+    });
+
+    await series.save();
+
+    let updatedInstances = 0;
+    if (Object.keys(templateUpdates).length > 0) {
+      const result = await Task.updateMany(
+        { seriesId: series._id, status: { $ne: "completed" } },
+        { $set: templateUpdates },
+        { runValidators: true }
+      );
+      updatedInstances = result.modifiedCount || 0;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: series,
+      updatedInstances,
+      message: "Series updated successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error updating series",
+      error: error.message,
+    });
+  }
+};
+
+// Stop a series by id
+export const stopSeries = async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, { requireEdit: true });
+    if (!series) return;
+
+    series.active = false;
+    series.stoppedAt = new Date();
+    series.stoppedBy = req.auth0Id;
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      data: series,
+      message: "Recurrence stopped",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error stopping series",
+      error: error.message,
+    });
+  }
+};
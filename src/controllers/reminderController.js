@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Reminder from "../models/Reminder.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import {
+  normalizeReminderOffsets,
+  getEffectiveReminderOffsets,
+  syncTaskReminders,
+} from "../utils/reminders.js";
+
+// Helper: load task and the caller's access to it
+const loadTaskWithAccess = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const access = await getTaskAccess(task, req.auth0Id);
+  if (!access.canView) {
+    res.status(403).json({
+      success: false,
+      message: "You don't have access to this task",
+    });
+    return null;
+  }
+
+  return { task, access };
+};
+
+// Helper: the task's reminder settings plus the caller's scheduled reminders
+const buildReminderPayload = async (task, auth0Id) => {
+  const user = await User.findOne({ auth0Id }).select('preferences').lean();
+  const reminders = await Reminder.find({ taskId: task._id, userId: auth0Id, status: { $in: ["pending", "sent"] } })
+    .sort({ remindAt: 1 })
+    .lean();
+
+  return {
+    taskId: task._id,
+    // null = everyone uses their own defaults
+    offsets: Array.isArray(task.reminderOffsets) ? task.reminderOffsets : null,
+    effectiveOffsets: getEffectiveReminderOffsets(task, user),
+    reminders: reminders.map(r => ({
+      _id: r._id,
+      offsetMinutes: r.offsetMinutes,
+      remindAt: r.remindAt,
+      status: r.status,
+      sentAt: r.sentAt,
+    })),
+  };
+};
+
+// Reminder settings for a task and the caller's upcoming/sent reminders
+export const getTaskReminders = async (req, res) => {
+  try {
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+
+    res.status(200).json({
+      success: true,
+      data: await buildReminderPayload(loaded.task, req.auth0Id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reminders",
+      error: error.message,
+    });
+  }
+};
+
+// Override reminder offsets for everyone on the task.
+// Body: { offsets: [minutes before due, ...] } or { offsets: null } to go back to each user's defaults
+export const updateTaskReminders = async (req, res) => {
+  try {
+    const loaded = await loadTaskWithAccess(req, res);
+    if (!loaded) return;
+    const { task, access } = loaded;
+
+    if (!access.canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to change reminders for this task",
+      });
+    }
+
+    const { offsets } = req.body;
+    if (offsets === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "offsets is required (an array of minutes, or null for defaults)",
+      });
+    }
+
+    let update;
+    if (offsets === null) {
+      update = { $unset: { reminderOffsets: 1 } };
+    } else {
+      const { offsets: normalized, error } = normalizeReminderOffsets(offsets);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      update = { $set: { reminderOffsets: normalized } };
+    }
+
+    const updatedTask = await Task.findByIdAndUpdate(task._id, update, { new: true, runValidators: true });
+    await syncTaskReminders(updatedTask);
+
+    res.status(200).json({
+      success: true,
+      data: await buildReminderPayload(updatedTask, req.auth0Id),
+      message: "Reminders updated successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error updating reminders",
+      error: error.message,
+    });
+  }
+};
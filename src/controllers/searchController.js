@@ -0,0 +1,37 @@
+import { parseTaskFilters, searchTasks as runTaskSearch } from "../utils/taskSearch.js";
+
+// Search tasks with filters, sorting and cursor pagination
+// GET /api/tasks/search?q=&status=&priority=&assignee=&tags=&dueFrom=&dueTo=&overdue=&group=&sort=&order=&limit=&cursor=
+export const searchTasks = async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseTaskFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const { sort, order, limit, cursor } = req.query;
+    const { tasks, pageInfo, error } = await runTaskSearch(req.auth0Id, filters, { sort, order, limit, cursor });
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: tasks,
+      pageInfo,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error searching tasks",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,311 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Activity from "../models/Activity.js";
+import { sendEventToUser } from "../utils/sseManager.js";
+import { emitActivity } from "../utils/activityEmitter.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import { computeChecklistProgress, resequenceSubtasks } from "../utils/checklist.js";
+import { getUserTimeZone, loadUserTimeZone, withDueFlags } from "../utils/dueDates.js";
+
+// Helper: serialize task with up-to-date isOverdue / isDueToday flags
+const toTaskPayload = (task, timeZone) => {
+  const obj = task.toObject ? task.toObject() : { ...task };
+  withDueFlags(obj, timeZone);
+  obj.subtasks = [...(obj.subtasks || [])].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  return obj;
+};
+
+// Helper: load task and verify the current user may edit it
+const loadEditableTask = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({ success: false, message: "Task not found" });
+    return null;
+  }
+
+  const access = await getTaskAccess(task, req.auth0Id);
+  if (!access.canEdit) {
+    res.status(403).json({
+      success: false,
+      message: "You don't have permission to update this task",
+    });
+    return null;
+  }
+
+  return task;
+};
+
+// Helper: recompute derived progress and persist the task. Once the last item is
+// gone the derived value is cleared, so progress can be set by hand again.
+const saveWithProgress = async (task) => {
+  task.subtasks = resequenceSubtasks(task);
+  const progress = computeChecklistProgress(task.subtasks);
+  task.progress = progress === null ? undefined : progress;
+  await task.save();
+  return task;
+};
+
+// Helper: record the checklist activity and push SSE updates, same as updateTask
+const publishChecklistChange = async (req, task, type, subtaskTitle) => {
+  let createdActivity = null;
+  let user = null;
+  try {
+    user = await User.findOne({ auth0Id: req.auth0Id }).select('name preferences.timezone');
+    createdActivity = await Activity.create({
+      type,
+      taskId: task._id,
+      taskTitle: task.title,
+      subtaskTitle: subtaskTitle || undefined,
+      userId: req.auth0Id,
+      userName: req.userName || user?.name || "Unknown",
+      groupTag: task.groupTag,
+      timestamp: new Date(),
+    });
+
+    // Emit activity to relevant group members (non-blocking)
+    try {
+      await emitActivity(createdActivity);
+    } catch (e) {
+      // ignore emitter errors
+    }
+  } catch (e) {
+    console.warn('[activity] checklist activity failed', e.message || e);
+  }
+
+  // Emit task_updated to owner + assignees, excluding actor
+  const payload = toTaskPayload(task, getUserTimeZone(user));
+  try {
+    const recipients = new Set();
+    if (task.userId) recipients.add(task.userId.toString().trim());
+    (task.assignedTo || []).forEach(a => { if (a) recipients.add(a.toString().trim()); });
+    recipients.delete(req.auth0Id && req.auth0Id.toString().trim());
+    for (const rid of recipients) {
+      try { sendEventToUser(rid, 'task_updated', payload); } catch (e) {}
+    }
+  } catch (e) {
+    console.warn('[sse] failed to emit task_updated for checklist change', e.message || e);
+  }
+
+  return { payload, activity: createdActivity };
+};
+
+// Add a checklist item
+export const createSubtask = async (req, res) => {
+  try {
+    const { title } = req.body;
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Subtask title is required",
+      });
+    }
+
+    const task = await loadEditableTask(req, res);
+    if (!task) return;
+
+    task.subtasks.push({
+      title: title.trim(),
+      completed: false,
+      order: task.subtasks.length,
+      createdBy: req.auth0Id,
+      createdAt: new Date(),
+    });
+    await saveWithProgress(task);
+
+    const { payload, activity } = await publishChecklistChange(req, task, "subtask_added", title.trim());
+
+    res.status(201).json({
+      success: true,
+      data: payload,
+      activity,
+      message: "Subtask added successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error adding subtask",
+      error: error.message,
+    });
+  }
+};
+
+// Rename a checklist item
+export const updateSubtask = async (req, res) => {
+  try {
+    const { title } = req.body;
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Subtask title is required",
+      });
+    }
+
+    const task = await loadEditableTask(req, res);
+    if (!task) return;
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: "Subtask not found",
+      });
+    }
+
+    subtask.title = title.trim();
+    await saveWithProgress(task);
+
+    const { payload } = await publishChecklistChange(req, task, "subtask_updated", subtask.title);
+
+    res.status(200).json({
+      success: true,
+      data: payload,
+      message: "Subtask updated successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error updating subtask",
+      error: error.message,
+    });
+  }
+};
+
+// Toggle a checklist item (or set it explicitly with { completed })
+export const toggleSubtask = async (req, res) => {
+  try {
+    const task = await loadEditableTask(req, res);
+    if (!task) return;
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: "Subtask not found",
+      });
+    }
+
+    const completed = typeof req.body?.completed === 'boolean' ? req.body.completed : !subtask.completed;
+    if (completed === subtask.completed) {
+      return res.status(200).json({
+        success: true,
+        data: toTaskPayload(task, await loadUserTimeZone(req.auth0Id)),
+        message: "Subtask unchanged",
+      });
+    }
+
+    subtask.completed = completed;
+    subtask.completedAt = completed ? new Date() : null;
+    subtask.completedBy = completed ? req.auth0Id : null;
+    await saveWithProgress(task);
+
+    const { payload, activity } = await publishChecklistChange(
+      req,
+      task,
+      completed ? "subtask_completed" : "subtask_reopened",
+      subtask.title
+    );
+
+    res.status(200).json({
+      success: true,
+      data: payload,
+      activity,
+      message: completed ? "Subtask completed" : "Subtask reopened",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error toggling subtask",
+      error: error.message,
+    });
+  }
+};
+
+// Reorder checklist items: body { subtaskIds: [...] } listing every item in the new order
+export const reorderSubtasks = async (req, res) => {
+  try {
+    const { subtaskIds } = req.body;
+    if (!Array.isArray(subtaskIds)) {
+      return res.status(400).json({
+        success: false,
+        message: "subtaskIds must be an array",
+      });
+    }
+
+    const task = await loadEditableTask(req, res);
+    if (!task) return;
+
+    const requested = subtaskIds.map(id => id?.toString());
+    const existing = task.subtasks.map(s => s._id.toString());
+    const isPermutation = requested.length === existing.length &&
+      new Set(requested).size === requested.length &&
+      requested.every(id => existing.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: "subtaskIds must list every subtask of this task exactly once",
+      });
+    }
+
+    requested.forEach((id, index) => {
+      task.subtasks.id(id).order = index;
+    });
+    await saveWithProgress(task);
+
+    const { payload, activity } = await publishChecklistChange(req, task, "subtasks_reordered");
+
+    res.status(200).json({
+      success: true,
+      data: payload,
+      activity,
+      message: "Subtasks reordered successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error reordering subtasks",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a checklist item
+export const deleteSubtask = async (req, res) => {
+  try {
+    const task = await loadEditableTask(req, res);
+    if (!task) return;
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: "Subtask not found",
+      });
+    }
+
+    const subtaskTitle = subtask.title;
+    subtask.deleteOne();
+    await saveWithProgress(task);
+
+    const { payload, activity } = await publishChecklistChange(req, task, "subtask_deleted", subtaskTitle);
+
+    res.status(200).json({
+      success: true,
+      data: payload,
+      activity,
+      message: "Subtask deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting subtask",
+      error: error.message,
+    });
+  }
+};
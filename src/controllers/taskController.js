@@ -3,16 +3,29 @@ import User from "../models/User.js";
 import Activity from "../models/Activity.js";
 import Group from "../models/Group.js";
 import Notification from "../models/Notification.js";
-import { sendEventToUser } from "../utils/sseManager.js";
+import { sendEventToUser, sendNotificationToUser } from "../utils/sseManager.js";
 import { emitActivity } from "../utils/activityEmitter.js";
 import { generatePlansForInProgressTask, cancelFuturePlans } from "../time-tracker/services/planGenerationService.js";
-
-// Helper: start of today (used for dueDate validation)
-const startOfToday = () => {
-  const d = new Date();
-  d.setHours(0,0,0,0);
-  return d;
-};
+import { computeChecklistProgress, normalizeSubtasksInput } from "../utils/checklist.js";
+import { BLOCKED_STATUSES, findOpenBlockers, attachDependencyInfo } from "../utils/taskDependencies.js";
+import TaskSeries from "../models/TaskSeries.js";
+import { normalizeRecurrenceRule, buildSeriesTemplate, spawnNextInstance } from "../utils/recurrence.js";
+import { buildTaskAccessQuery } from "../utils/taskQuery.js";
+import { archiveTasks, getTrashRetentionDays } from "../utils/taskArchive.js";
+import { recordTaskRevision } from "../utils/taskHistory.js";
+import { getUserTimeZone, withDueFlags, parseDueDateInput, isBackdated, BACKDATE_ERROR } from "../utils/dueDates.js";
+import { syncTaskReminders } from "../utils/reminders.js";
+import { clearResolvedOverdue } from "../utils/overdueSweep.js";
+import { emailNotification } from "../utils/emailNotifications.js";
+import { loadWantsInAppNotification } from "../utils/notificationPreferences.js";
+import {
+  getWorkflowForGroupTag,
+  resolveStatus,
+  getTaskStatusEntry,
+  getNextRank,
+  getRankForPosition,
+  addStatusChangeTimestamps,
+} from "../utils/workflow.js";
 
 // Helper function to get or create user - using atomic operation to prevent duplicates
 const getOrCreateUserFromAuth = async (auth0Id, email, name, picture) => {
@@ -92,44 +105,6 @@ const getOrCreateUserFromAuth = async (auth0Id, email, name, picture) => {
   return user;
 };
 
-// Helper function to add status change timestamps to update data
-const addStatusChangeTimestamps = (task, updateData) => {
-  if (!updateData.status || updateData.status === task.status) {
-    return updateData;
-  }
-
-  const now = new Date();
-  const newStatus = updateData.status;
-  const oldStatus = task.status;
-
-  // Record when task moves to in-progress
-  if (newStatus === "in-progress" && oldStatus !== "in-progress") {
-    updateData.startedAt = now;
-  }
-
-  // Record when task moves to completed
-  if (newStatus === "completed" && oldStatus !== "completed") {
-    updateData.completedAt = now;
-    // If startedAt wasn't set, set it to completedAt (task was completed without going through in-progress)
-    if (!task.startedAt) {
-      updateData.startedAt = now;
-    }
-  }
-
-  // Clear timestamps if moving back from completed/in-progress to pending
-  if (newStatus === "pending") {
-    if (oldStatus === "in-progress") {
-      updateData.startedAt = null;
-    }
-    if (oldStatus === "completed") {
-      updateData.completedAt = null;
-      updateData.startedAt = null;
-    }
-  }
-
-  return updateData;
-};
-
 // Get all tasks for the authenticated user
 export const getTasks = async (req, res) => {
   try {
@@ -141,86 +116,32 @@ export const getTasks = async (req, res) => {
       req.userPicture
     );
 
-    // Get all groups user has access to (owner or accepted collaborator)
-    const accessibleGroups = await Group.find({
-      $or: [
-        { owner: req.auth0Id },
-        { "collaborators.userId": req.auth0Id, "collaborators.status": "accepted" },
-      ],
-    });
-
-    const accessibleGroupTags = accessibleGroups.map(g => g.tag);
-
     // Optional: Filter by groupTag if provided
+    // Without it, show personal tasks AND only group tasks where user is assigned
     const { groupTag } = req.query;
-    
-    let query;
-    
-    if (groupTag) {
-      // Normalize groupTag
-      let normalizedGroupTag = groupTag.toLowerCase();
-      if (!normalizedGroupTag.startsWith('@')) {
-        normalizedGroupTag = `@${normalizedGroupTag}`;
-      }
+    const { query, error } = await buildTaskAccessQuery(req.auth0Id, { groupTag });
 
-      if (normalizedGroupTag === "@personal") {
-        // Personal tasks: userId matches and groupTag is @personal or null
-        query = {
-          userId: req.auth0Id,
-          $or: [
-            { groupTag: "@personal" },
-            { groupTag: { $exists: false } },
-            { groupTag: null },
-          ],
-        };
-      } else {
-        // Group tasks: must be in accessible groups
-        if (!accessibleGroupTags.includes(normalizedGroupTag)) {
-          return res.status(403).json({
-            success: false,
-            message: "You don't have access to this group",
-          });
-        }
-        // Show all tasks in this group (if user has access)
-        query = {
-          groupTag: normalizedGroupTag,
-        };
-      }
-    } else {
-      // "All Tasks" - show personal tasks AND only group tasks where user is assigned
-      query = {
-        $or: [
-          // User's personal tasks
-          { userId: req.auth0Id, $or: [{ groupTag: "@personal" }, { groupTag: { $exists: false } }, { groupTag: null }] },
-          // Group tasks where user is assigned (assignedTo includes current user)
-          { 
-            groupTag: { $in: accessibleGroupTags },
-            assignedTo: { $in: [req.auth0Id] }
-          },
-        ],
-      };
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
     }
 
     const tasks = await Task.find(query)
       .sort({ createdAt: -1 });
 
-    // Compute up-to-date isOverdue flag for each task before returning
-    const today = startOfToday();
+    // Compute up-to-date isOverdue / isDueToday flags (in the user's time zone) before returning
+    const timeZone = getUserTimeZone(user);
     const tasksForResponse = tasks.map((t) => {
       const obj = t.toObject ? t.toObject() : { ...t };
-      try {
-        if (obj.dueDate) {
-          const due = new Date(obj.dueDate);
-          obj.isOverdue = due < today && obj.status !== 'completed';
-        } else {
-          obj.isOverdue = false;
-        }
-      } catch (e) {
-        obj.isOverdue = false;
-      }
+      withDueFlags(obj, timeZone);
       return obj;
     });
 
+    // Include each task's blockers and the tasks it blocks
+    await attachDependencyInfo(tasksForResponse);
+
     res.status(200).json({
       success: true,
       data: tasksForResponse,
@@ -260,18 +181,10 @@ export const getTaskById = async (req, res) => {
       });
     }
 
-    // Ensure returned task has up-to-date isOverdue flag
+    // Ensure returned task has up-to-date isOverdue / isDueToday flags
+    const timeZone = getUserTimeZone(user);
     const taskObj = task.toObject ? task.toObject() : { ...task };
-    try {
-      if (taskObj.dueDate) {
-        const due = new Date(taskObj.dueDate);
-        taskObj.isOverdue = due < startOfToday() && taskObj.status !== 'completed';
-      } else {
-        taskObj.isOverdue = false;
-      }
-    } catch (e) {
-      taskObj.isOverdue = false;
-    }
+    withDueFlags(taskObj, timeZone);
 
     res.status(200).json({
       success: true,
@@ -299,7 +212,20 @@ export const createTask = async (req, res) => {
 
     // Create task with userId (using auth0Id)
     // Always override userId from request body to use auth0Id
-    const { userId, groupTag, ...restBody } = req.body;
+    const { userId, groupTag, recurrence, ...restBody } = req.body;
+
+    // Optional task-level recurrence rule (validated before anything is created)
+    let recurrenceRule = null;
+    if (recurrence) {
+      const { rule, error } = normalizeRecurrenceRule(recurrence.rule || recurrence);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      recurrenceRule = rule;
+    }
     
     // Normalize groupTag
     let normalizedGroupTag = groupTag || "@personal";
@@ -393,20 +319,75 @@ export const createTask = async (req, res) => {
       assignedTo: normalizedAssignedTo, // Use normalized assignedTo
       assignedUsers: assignedUsersData, // Store assigned user info
     };
+    // Dependencies are linked through /:id/dependencies so scope and cycles are checked
+    delete taskData.blockedBy;
+    // Reminder overrides are set through /:id/reminders
+    delete taskData.reminderOffsets;
+    delete taskData.seriesId;
+    delete taskData.nextInstanceId;
+
+    // Initial column: custom status key or base state, placed at the bottom of the column
+    const workflow = await getWorkflowForGroupTag(normalizedGroupTag);
+    const statusEntry = resolveStatus(workflow, restBody.status || "pending");
+    if (!statusEntry) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status "${restBody.status}" for this workflow`,
+        statuses: workflow.map(s => s.key),
+      });
+    }
+    taskData.status = statusEntry.category;
+    taskData.statusKey = statusEntry.key;
+    taskData.rank = await getNextRank(taskData, workflow, statusEntry);
+
+    // Initial checklist items (optional); progress is derived from them
+    if (restBody.subtasks !== undefined) {
+      taskData.subtasks = normalizeSubtasksInput(restBody.subtasks, req.auth0Id);
+      const checklistProgress = computeChecklistProgress(taskData.subtasks);
+      if (checklistProgress !== null) taskData.progress = checklistProgress;
+    }
 
-    // Validate dueDate unless client explicitly allows backdate
-    if (taskData.dueDate) {
-      const due = new Date(taskData.dueDate);
-      if (!req.body.allowBackdate && due < startOfToday()) {
+    // Parse dueDate/dueTime in the user's time zone; reject past dates unless backdating is allowed
+    const timeZone = getUserTimeZone(user);
+    delete taskData.dueTime;
+    delete taskData.dueHasTime;
+    const { value: due, error: dueError } = parseDueDateInput(req.body, timeZone);
+    if (dueError) {
+      return res.status(400).json({
+        success: false,
+        message: dueError,
+      });
+    }
+    if (due) {
+      if (!req.body.allowBackdate && isBackdated(due, timeZone)) {
         return res.status(400).json({
           success: false,
-          message: 'Due date cannot be in the past. Set allowBackdate=true to permit past dates.'
+          message: BACKDATE_ERROR,
         });
       }
+      Object.assign(taskData, due);
     }
 
     const task = await Task.create(taskData);
 
+    // Start a recurring series with this task as the first instance
+    if (recurrenceRule) {
+      const series = await TaskSeries.create({
+        userId: task.userId,
+        groupTag: task.groupTag,
+        rule: recurrenceRule,
+        endDate: recurrence.endDate ? new Date(recurrence.endDate) : null,
+        template: buildSeriesTemplate(task),
+        occurrenceCount: 1,
+        lastInstanceId: task._id,
+      });
+      task.seriesId = series._id;
+      await task.save();
+    }
+
+    // Schedule due-date reminders for the owner and assignees
+    await syncTaskReminders(task);
+
     // Create activity for task creation
     const createdActivity = await Activity.create({
       type: "task_created",
@@ -437,21 +418,32 @@ export const createTask = async (req, res) => {
           const userIdStr = assignee ? assignee.toString().trim() : null;
           if (!userIdStr) continue;
           try {
-            await Notification.findOneAndUpdate(
-              { userId: userIdStr, type: 'task_assigned', taskId: task._id },
-              {
-                userId: userIdStr,
-                type: 'task_assigned',
-                taskId: task._id,
-                groupTag: task.groupTag,
+            const inApp = await loadWantsInAppNotification(userIdStr, 'task_assigned', task.groupTag);
+            if (inApp) {
+              await Notification.findOneAndUpdate(
+                { userId: userIdStr, type: 'task_assigned', taskId: task._id },
+                {
+                  userId: userIdStr,
+                  type: 'task_assigned',
+                  taskId: task._id,
+                  groupTag: task.groupTag,
+                  groupName: group?.name || null,
+                  taskTitle: task.title,
+                  acknowledgedAt: null,
+                  archivedAt: null,
+                },
+                { upsert: true, new: true }
+              );
+            }
+            // Emit SSE notification to user (or push it)
+            try { sendNotificationToUser(userIdStr, { type: 'task_assigned', taskId: task._id, taskTitle: task.title, groupTag: task.groupTag }, { inApp }); } catch (e) {}
+            if (userIdStr !== req.auth0Id) {
+              await emailNotification(userIdStr, 'task_assigned', {
+                tasks: [{ taskId: task._id, title: task.title, groupTag: task.groupTag }],
                 groupName: group?.name || null,
-                taskTitle: task.title,
-                acknowledgedAt: null,
-              },
-              { upsert: true, new: true }
-            );
-            // Emit SSE notification to user
-            try { sendEventToUser(userIdStr, 'notification', { type: 'task_assigned', taskId: task._id, taskTitle: task.title, groupTag: task.groupTag }); } catch (e) {}
+                assignedBy: req.userName || user.name || "Someone",
+              });
+            }
           } catch (e) {
             // continue on errors per-user
             console.warn('[notifications] failed to upsert for assignee', userIdStr, e.message || e);
@@ -465,17 +457,8 @@ export const createTask = async (req, res) => {
     // Emit task_updated to assignees so they receive the new task immediately
     try {
       const taskPayload = task.toObject ? task.toObject() : { ...task };
-      // Compute isOverdue for payload
-      try {
-        if (taskPayload.dueDate) {
-          const due = new Date(taskPayload.dueDate);
-          taskPayload.isOverdue = due < startOfToday() && taskPayload.status !== 'completed';
-        } else {
-          taskPayload.isOverdue = false;
-        }
-      } catch (e) {
-        taskPayload.isOverdue = false;
-      }
+      // Compute isOverdue / isDueToday for payload
+      withDueFlags(taskPayload, timeZone);
 
       const recipients = new Set();
       (taskPayload.assignedTo || []).forEach(a => { if (a) recipients.add(a.toString().trim()); });
@@ -491,18 +474,9 @@ export const createTask = async (req, res) => {
       console.warn('[sse] failed to emit task_updated on create', e.message || e);
     }
 
-    // Compute isOverdue before returning
+    // Compute isOverdue / isDueToday before returning
     const taskObj = task.toObject ? task.toObject() : { ...task };
-    try {
-      if (taskObj.dueDate) {
-        const due = new Date(taskObj.dueDate);
-        taskObj.isOverdue = due < startOfToday() && taskObj.status !== 'completed';
-      } else {
-        taskObj.isOverdue = false;
-      }
-    } catch (e) {
-      taskObj.isOverdue = false;
-    }
+    withDueFlags(taskObj, timeZone);
 
     res.status(201).json({
       success: true,
@@ -549,6 +523,22 @@ export const updateTask = async (req, res) => {
     const updateData = { ...req.body };
     delete updateData.userId;
 
+    // Checklist items are managed through /subtasks; progress is derived while a checklist exists
+    delete updateData.subtasks;
+    // Series links are managed through /recurrence
+    delete updateData.seriesId;
+    delete updateData.nextInstanceId;
+    // Dependencies are managed through /dependencies
+    delete updateData.blockedBy;
+    // Reminder overrides are managed through /reminders
+    delete updateData.reminderOffsets;
+    // Columns are set through `status`; manual ordering through PATCH /:id/status
+    delete updateData.statusKey;
+    delete updateData.rank;
+    if (task.subtasks && task.subtasks.length > 0) {
+      delete updateData.progress;
+    }
+
     // Handle assignedTo and assignedUsers update
     if (updateData.assignedTo) {
       let assignedUsersData = [];
@@ -642,21 +632,70 @@ export const updateTask = async (req, res) => {
       updateData.groupTag = normalizedGroupTag;
     }
 
+    // Map the requested status (custom key or base state) onto the target group's workflow.
+    // Moving to another group keeps the base state and lands in that group's matching column.
+    const targetGroupTag = updateData.groupTag || task.groupTag;
+    const groupChanged = !!updateData.groupTag && updateData.groupTag !== task.groupTag;
+    if (updateData.status || groupChanged) {
+      const workflow = await getWorkflowForGroupTag(targetGroupTag);
+      const currentEntry = groupChanged ? null : getTaskStatusEntry(workflow, task);
+      const entry = resolveStatus(workflow, updateData.status || task.status);
+      if (!entry) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown status "${updateData.status}" for this workflow`,
+          statuses: workflow.map(s => s.key),
+        });
+      }
+      updateData.status = entry.category;
+      updateData.statusKey = entry.key;
+      if (!currentEntry || currentEntry.key !== entry.key) {
+        updateData.rank = await getNextRank(
+          { _id: task._id, userId: task.userId, groupTag: targetGroupTag },
+          workflow,
+          entry
+        );
+      }
+    }
+
+    // Refuse to start or complete a task while its blockers are still open
+    if (updateData.status && updateData.status !== task.status && BLOCKED_STATUSES.includes(updateData.status)) {
+      const openBlockers = await findOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Task is blocked by ${openBlockers.length} unfinished task(s)`,
+          blockers: openBlockers,
+        });
+      }
+    }
+
     // Add status change timestamps if status is being updated
     const oldStatus = task.status;
     if (updateData.status) {
       addStatusChangeTimestamps(task, updateData);
     }
 
-    // Validate dueDate on update unless allowBackdate is explicitly provided
-    if (updateData.dueDate) {
-      const due = new Date(updateData.dueDate);
-      if (!req.body.allowBackdate && due < startOfToday()) {
+    // Parse dueDate/dueTime in the user's time zone; reject past dates unless backdating is allowed
+    const timeZone = getUserTimeZone(user);
+    delete updateData.dueDate;
+    delete updateData.dueTime;
+    delete updateData.dueHasTime;
+    const { value: due, error: dueError } = parseDueDateInput(req.body, timeZone, task);
+    if (dueError) {
+      return res.status(400).json({
+        success: false,
+        message: dueError,
+      });
+    }
+    if (due) {
+      if (!req.body.allowBackdate && isBackdated(due, timeZone)) {
         return res.status(400).json({
           success: false,
-          message: 'Due date cannot be in the past. Set allowBackdate=true to permit past dates.'
+          message: BACKDATE_ERROR,
         });
       }
+      Object.assign(updateData, due);
     }
 
     const updatedTask = await Task.findByIdAndUpdate(
@@ -668,6 +707,18 @@ export const updateTask = async (req, res) => {
       }
     );
 
+    // Field-level history (reverts pass their context through req.revision)
+    await recordTaskRevision(task, updatedTask, {
+      actorId: req.auth0Id,
+      actorName: req.userName || user.name || "Unknown",
+      source: req.revision?.source || "update",
+      revertedTo: req.revision?.revertedTo || null,
+    });
+
+    // Due date, assignees or completion may have changed
+    await syncTaskReminders(updatedTask);
+    await clearResolvedOverdue(updatedTask);
+
     // Handle time planning based on status change
     if (updateData.status && oldStatus !== updateData.status) {
       // Task moved to in-progress: generate plans if auto-planning is enabled
@@ -693,6 +744,20 @@ export const updateTask = async (req, res) => {
       }
     }
 
+    // Completing a recurring instance spawns the next one
+    let nextInstance = null;
+    if (updateData.status === "completed" && oldStatus !== "completed" && updatedTask.seriesId) {
+      try {
+        nextInstance = await spawnNextInstance(updatedTask, {
+          actorId: req.auth0Id,
+          actorName: req.userName || user.name || "Unknown",
+        });
+      } catch (error) {
+        console.error("Error spawning next recurring instance:", error);
+        // Don't fail the request if the next instance can't be created
+      }
+    }
+
     // Create activity for task update (if significant changes)
     if (updateData.title || updateData.description || updateData.status) {
       const updatedActivity = await Activity.create({
@@ -714,18 +779,9 @@ export const updateTask = async (req, res) => {
       }
     }
 
-    // Compute isOverdue before returning
+    // Compute isOverdue / isDueToday before returning
     const updatedObj = updatedTask.toObject ? updatedTask.toObject() : { ...updatedTask };
-    try {
-      if (updatedObj.dueDate) {
-        const due = new Date(updatedObj.dueDate);
-        updatedObj.isOverdue = due < startOfToday() && updatedObj.status !== 'completed';
-      } else {
-        updatedObj.isOverdue = false;
-      }
-    } catch (e) {
-      updatedObj.isOverdue = false;
-    }
+    withDueFlags(updatedObj, timeZone);
 
     // Handle notifications for added/removed assignees
     try {
@@ -740,20 +796,31 @@ export const updateTask = async (req, res) => {
         const group = updatedTask.groupTag ? await Group.findOne({ tag: updatedTask.groupTag }) : null;
         for (const userIdStr of added) {
           try {
-            await Notification.findOneAndUpdate(
-              { userId: userIdStr, type: 'task_assigned', taskId: updatedTask._id },
-              {
-                userId: userIdStr,
-                type: 'task_assigned',
-                taskId: updatedTask._id,
-                groupTag: updatedTask.groupTag,
+            const inApp = await loadWantsInAppNotification(userIdStr, 'task_assigned', updatedTask.groupTag);
+            if (inApp) {
+              await Notification.findOneAndUpdate(
+                { userId: userIdStr, type: 'task_assigned', taskId: updatedTask._id },
+                {
+                  userId: userIdStr,
+                  type: 'task_assigned',
+                  taskId: updatedTask._id,
+                  groupTag: updatedTask.groupTag,
+                  groupName: group?.name || null,
+                  taskTitle: updatedTask.title,
+                  acknowledgedAt: null,
+                  archivedAt: null,
+                },
+                { upsert: true, new: true }
+              );
+            }
+            try { sendNotificationToUser(userIdStr, { type: 'task_assigned', taskId: updatedTask._id, taskTitle: updatedTask.title, groupTag: updatedTask.groupTag }, { inApp }); } catch (e) {}
+            if (userIdStr !== req.auth0Id) {
+              await emailNotification(userIdStr, 'task_assigned', {
+                tasks: [{ taskId: updatedTask._id, title: updatedTask.title, groupTag: updatedTask.groupTag }],
                 groupName: group?.name || null,
-                taskTitle: updatedTask.title,
-                acknowledgedAt: null,
-              },
-              { upsert: true, new: true }
-            );
-            try { sendEventToUser(userIdStr, 'notification', { type: 'task_assigned', taskId: updatedTask._id, taskTitle: updatedTask.title, groupTag: updatedTask.groupTag }); } catch (e) {}
+                assignedBy: req.userName || user.name || "Someone",
+              });
+            }
           } catch (e) {
             console.warn('[notifications] upsert for added assignee failed', userIdStr, e.message || e);
           }
@@ -792,6 +859,7 @@ export const updateTask = async (req, res) => {
     res.status(200).json({
       success: true,
       data: updatedObj,
+      nextInstance,
       message: "Task updated successfully",
     });
   } catch (error) {
@@ -867,8 +935,10 @@ export const deleteTask = async (req, res) => {
     const taskTitle = task.title;
     const groupTag = task.groupTag;
 
-    // Delete the task
-    await Task.findByIdAndDelete(req.params.id);
+    // Move the task to the trash. Comments, notifications and dependency links are kept
+    // (archived tasks are hidden everywhere) so a restore brings everything back; the
+    // purge job removes them for good after the retention period.
+    await archiveTasks({ _id: task._id }, { actorId: req.auth0Id, reason: "deleted" });
 
     // Create activity for task deletion
     const deletedActivity = await Activity.create({
@@ -897,13 +967,6 @@ export const deleteTask = async (req, res) => {
       // Exclude actor (deleter)
       recipients.delete(req.auth0Id && req.auth0Id.toString().trim());
 
-      // Delete any task_assigned notifications for this task for all users
-      try {
-        await Notification.deleteMany({ type: 'task_assigned', taskId: task._id });
-      } catch (err) {
-        console.warn('[notifications] failed to bulk-delete task_assigned notifications on task delete', err && err.message ? err.message : err);
-      }
-
       // Emit notification_removed and task_deleted to recipients
       for (const rid of recipients) {
         try {
@@ -919,7 +982,8 @@ export const deleteTask = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: "Task deleted successfully",
+      message: "Task moved to trash",
+      retentionDays: getTrashRetentionDays(),
     });
   } catch (error) {
     res.status(500).json({
@@ -941,7 +1005,7 @@ export const updateTaskStatus = async (req, res) => {
       req.userPicture
     );
 
-    const { status } = req.body;
+    const { status: requestedStatus, position } = req.body;
 
     // Find task first (without strict access check yet)
     const task = await Task.findById(req.params.id);
@@ -1044,10 +1108,44 @@ export const updateTaskStatus = async (req, res) => {
       });
     }
 
+    // Resolve the target column in the task's workflow (custom key or base state)
+    const workflow = await getWorkflowForGroupTag(task.groupTag);
+    const fromEntry = getTaskStatusEntry(workflow, task);
+    const toEntry = requestedStatus ? resolveStatus(workflow, requestedStatus) : fromEntry;
+    if (!toEntry) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status "${requestedStatus}" for this workflow`,
+        statuses: workflow.map(s => s.key),
+      });
+    }
+    // Base state the task moves to; time planning and recurrence follow this, not the column
+    const status = toEntry.category;
+    const columnChanged = fromEntry.key !== toEntry.key;
+
+    // Refuse to start or complete a task while its blockers are still open
+    if (status !== task.status && BLOCKED_STATUSES.includes(status)) {
+      const openBlockers = await findOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Task is blocked by ${openBlockers.length} unfinished task(s)`,
+          blockers: openBlockers,
+        });
+      }
+    }
+
     // Prepare update data with status change timestamps
-    const updateData = { status };
+    const updateData = { status, statusKey: toEntry.key };
     addStatusChangeTimestamps(task, updateData);
 
+    // Position within the column: explicit drop position, or the bottom when changing columns
+    if (position !== undefined && position !== null) {
+      updateData.rank = await getRankForPosition(task, workflow, toEntry, position);
+    } else if (columnChanged || typeof task.rank !== 'number') {
+      updateData.rank = await getNextRank(task, workflow, toEntry);
+    }
+
     const updatedTask = await Task.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -1057,6 +1155,17 @@ export const updateTaskStatus = async (req, res) => {
       }
     );
 
+    // Field-level history
+    await recordTaskRevision(task, updatedTask, {
+      actorId: req.auth0Id,
+      actorName: req.userName || user.name || "Unknown",
+      source: "status",
+    });
+
+    // Completing a task cancels its pending reminders; reopening re-schedules them
+    await syncTaskReminders(updatedTask);
+    await clearResolvedOverdue(updatedTask);
+
     // Handle time planning based on status change
     if (task.status !== status) {
       // Task moved to in-progress: generate plans if auto-planning is enabled
@@ -1082,9 +1191,23 @@ export const updateTaskStatus = async (req, res) => {
       }
     }
 
-    // Create activity for task moved (if status changed)
+    // Completing a recurring instance spawns the next one
+    let nextInstance = null;
+    if (status === "completed" && task.status !== "completed" && updatedTask.seriesId) {
+      try {
+        nextInstance = await spawnNextInstance(updatedTask, {
+          actorId: req.auth0Id,
+          actorName: req.userName || user.name || "Unknown",
+        });
+      } catch (error) {
+        console.error("Error spawning next recurring instance:", error);
+        // Don't fail the request if the next instance can't be created
+      }
+    }
+
+    // Create activity for task moved (if the column changed)
     let createdActivity = null;
-    if (task.status !== status) {
+    if (columnChanged) {
       createdActivity = await Activity.create({
         type: "task_moved",
         taskId: updatedTask._id,
@@ -1096,6 +1219,8 @@ export const updateTaskStatus = async (req, res) => {
         groupTag: updatedTask.groupTag,
         fromStatus: task.status,
         toStatus: status,
+        fromStatusKey: fromEntry.key,
+        toStatusKey: toEntry.key,
         timestamp: new Date(),
       });
 
@@ -1109,20 +1234,14 @@ export const updateTaskStatus = async (req, res) => {
 
     // Return the updated task and the created activity (if any) so the frontend can
     // immediately prepend the activity to the sidebar without re-fetching activities.
-    // Compute isOverdue for updatedTask before returning
+    // Compute isOverdue / isDueToday for updatedTask before returning
     const updatedObj = updatedTask.toObject ? updatedTask.toObject() : { ...updatedTask };
-    try {
-      if (updatedObj.dueDate) {
-        const due = new Date(updatedObj.dueDate);
-        updatedObj.isOverdue = due < startOfToday() && updatedObj.status !== 'completed';
-      } else {
-        updatedObj.isOverdue = false;
-      }
-    } catch (e) {
-      updatedObj.isOverdue = false;
-    }
+    withDueFlags(updatedObj, getUserTimeZone(user));
 
     const responsePayload = { success: true, data: updatedObj, message: "Task status updated successfully" };
+    if (nextInstance) {
+      responsePayload.nextInstance = nextInstance;
+    }
 
     if (createdActivity) {
       // Ensure the returned activity includes the server-stored user picture
@@ -1288,6 +1407,15 @@ export const updateTaskProgress = async (req, res) => {
       });
     }
 
+    // Progress is derived from completed checklist items when a checklist exists
+    if (task.subtasks && task.subtasks.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Progress is derived from this task's checklist. Toggle subtasks instead.",
+        progress: computeChecklistProgress(task.subtasks),
+      });
+    }
+
     const updatedTask = await Task.findByIdAndUpdate(
       req.params.id,
       { progress },
@@ -1297,18 +1425,16 @@ export const updateTaskProgress = async (req, res) => {
       }
     );
 
-    // Compute isOverdue before returning
+    // Field-level history
+    await recordTaskRevision(task, updatedTask, {
+      actorId: req.auth0Id,
+      actorName: req.userName || user.name || "Unknown",
+      source: "progress",
+    });
+
+    // Compute isOverdue / isDueToday before returning
     const updatedObj = updatedTask.toObject ? updatedTask.toObject() : { ...updatedTask };
-    try {
-      if (updatedObj.dueDate) {
-        const due = new Date(updatedObj.dueDate);
-        updatedObj.isOverdue = due < startOfToday() && updatedObj.status !== 'completed';
-      } else {
-        updatedObj.isOverdue = false;
-      }
-    } catch (e) {
-      updatedObj.isOverdue = false;
-    }
+    withDueFlags(updatedObj, getUserTimeZone(user));
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,414 @@
+import mongoose from "mongoose";
+import TaskTemplate from "../models/TaskTemplate.js";
+import Group from "../models/Group.js";
+import User from "../models/User.js";
+import { createTask } from "./taskController.js";
+import { getAccessibleGroupTags, normalizeGroupTag } from "../utils/taskQuery.js";
+import { getWorkflow, resolveStatus } from "../utils/workflow.js";
+import {
+  extractTemplateVariables,
+  renderTemplateString,
+  normalizeTimePlanningDefaults,
+} from "../utils/templates.js";
+import { getUserTimeZone, todayKey } from "../utils/dueDates.js";
+
+const PRIORITIES = ["High", "Medium", "Low"];
+
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : (value ? value.toString().split(',') : []);
+  return items.map(v => (v ?? '').toString().trim()).filter(Boolean);
+};
+
+// Helper: the user's role for templates in a group tag ("@personal" -> the user owns their own)
+const getGroupRole = async (groupTag, auth0Id) => {
+  const group = await Group.findOne({ tag: groupTag });
+  if (!group) return { group: null, role: null };
+  if (group.owner === auth0Id) return { group, role: "owner" };
+  const collaborator = (group.collaborators || []).find(
+    c => c.userId === auth0Id && c.status === "accepted"
+  );
+  return { group, role: collaborator?.role || null };
+};
+
+// Helper: what the user may do with a template
+const getTemplateAccess = async (template, auth0Id) => {
+  if (!template.groupTag || template.groupTag === "@personal") {
+    const isOwner = template.userId === auth0Id;
+    return { group: null, canView: isOwner, canManage: isOwner };
+  }
+  const { group, role } = await getGroupRole(template.groupTag, auth0Id);
+  return {
+    group,
+    canView: !!role,
+    canManage: ["owner", "admin"].includes(role),
+  };
+};
+
+// Helper: load a template the user can see
+const loadTemplate = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "Template not found" });
+    return null;
+  }
+
+  const template = await TaskTemplate.findById(req.params.id);
+  if (!template) {
+    res.status(404).json({ success: false, message: "Template not found" });
+    return null;
+  }
+
+  const access = await getTemplateAccess(template, req.auth0Id);
+  if (!access.canView) {
+    res.status(404).json({ success: false, message: "Template not found" });
+    return null;
+  }
+
+  return { template, access };
+};
+
+// Validate template fields from the request body.
+// Returns { data } with only the provided fields, or { error }.
+const parseTemplateInput = (body, group, { partial = false } = {}) => {
+  const data = {};
+
+  for (const key of ["name", "title"]) {
+    if (body[key] !== undefined || !partial) {
+      if (!body[key] || typeof body[key] !== 'string' || !body[key].trim()) {
+        return { error: `Template ${key} is required` };
+      }
+      data[key] = body[key].trim();
+    }
+  }
+
+  for (const key of ["description", "category", "documentationLink"]) {
+    if (body[key] !== undefined) data[key] = body[key] ? body[key].toString() : "";
+  }
+
+  if (body.priority !== undefined) {
+    if (!PRIORITIES.includes(body.priority)) {
+      return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    data.priority = body.priority;
+  }
+
+  if (body.tags !== undefined) data.tags = toList(body.tags);
+
+  if (body.subtasks !== undefined) {
+    if (!Array.isArray(body.subtasks)) return { error: "subtasks must be an array" };
+    data.subtasks = body.subtasks
+      .map(s => (typeof s === 'string' ? s : s?.title))
+      .filter(s => typeof s === 'string' && s.trim())
+      .map(s => s.trim());
+  }
+
+  if (body.status !== undefined) {
+    if (body.status && !resolveStatus(getWorkflow(group), body.status)) {
+      return { error: `Unknown status "${body.status}" for this workflow` };
+    }
+    data.status = body.status || null;
+  }
+
+  if (body.dueInDays !== undefined) {
+    if (body.dueInDays === null || body.dueInDays === "") {
+      data.dueInDays = null;
+    } else {
+      const days = Number(body.dueInDays);
+      if (!Number.isInteger(days) || days < 0) {
+        return { error: "dueInDays must be a non-negative whole number" };
+      }
+      data.dueInDays = days;
+    }
+  }
+
+  if (body.timePlanning !== undefined) {
+    const { timePlanning, error } = normalizeTimePlanningDefaults(body.timePlanning);
+    if (error) return { error };
+    data.timePlanning = timePlanning;
+  }
+
+  return { data };
+};
+
+// Helper: template with the variables it expects
+const formatTemplate = (template, access) => ({
+  ...(template.toObject ? template.toObject() : template),
+  variables: extractTemplateVariables(template.title, template.description),
+  canManage: access.canManage,
+});
+
+// List templates: own personal templates plus templates of the user's groups
+export const getTemplates = async (req, res) => {
+  try {
+    const groupTag = normalizeGroupTag(req.query.groupTag);
+    const accessibleGroupTags = await getAccessibleGroupTags(req.auth0Id);
+
+    let query;
+    if (groupTag === "@personal") {
+      query = { userId: req.auth0Id, groupTag: "@personal" };
+    } else if (groupTag) {
+      if (!accessibleGroupTags.includes(groupTag)) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have access to this group",
+        });
+      }
+      query = { groupTag };
+    } else {
+      query = {
+        $or: [
+          { userId: req.auth0Id, groupTag: "@personal" },
+          { groupTag: { $in: accessibleGroupTags } },
+        ],
+      };
+    }
+
+    const templates = await TaskTemplate.find(query).sort({ name: 1 });
+
+    // Resolve manage rights once per group
+    const manageByGroup = new Map();
+    for (const tag of new Set(templates.map(t => t.groupTag))) {
+      if (tag === "@personal") continue;
+      const { role } = await getGroupRole(tag, req.auth0Id);
+      manageByGroup.set(tag, ["owner", "admin"].includes(role));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: templates.map(t => formatTemplate(t, {
+        canManage: t.groupTag === "@personal" ? t.userId === req.auth0Id : !!manageByGroup.get(t.groupTag),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching templates",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single template
+export const getTemplateById = async (req, res) => {
+  try {
+    const loaded = await loadTemplate(req, res);
+    if (!loaded) return;
+
+    res.status(200).json({
+      success: true,
+      data: formatTemplate(loaded.template, loaded.access),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching template",
+      error: error.message,
+    });
+  }
+};
+
+// Create a template (group templates: owner or admin only)
+export const createTemplate = async (req, res) => {
+  try {
+    const groupTag = normalizeGroupTag(req.body.groupTag) || "@personal";
+
+    let group = null;
+    if (groupTag !== "@personal") {
+      const groupRole = await getGroupRole(groupTag, req.auth0Id);
+      if (!["owner", "admin"].includes(groupRole.role)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only group owners and admins can manage group templates",
+        });
+      }
+      group = groupRole.group;
+    }
+
+    const { data, error } = parseTemplateInput(req.body, group);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const template = await TaskTemplate.create({
+      ...data,
+      userId: req.auth0Id,
+      groupTag,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatTemplate(template, { canManage: true }),
+      message: "Template created successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error creating template",
+      error: error.message,
+    });
+  }
+};
+
+// Update a template (personal: creator; group: owner or admin)
+export const updateTemplate = async (req, res) => {
+  try {
+    const loaded = await loadTemplate(req, res);
+    if (!loaded) return;
+    const { template, access } = loaded;
+
+    if (!access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: "Only group owners and admins can manage group templates",
+      });
+    }
+
+    const { data, error } = parseTemplateInput(req.body, access.group, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const updatedTemplate = await TaskTemplate.findByIdAndUpdate(
+      template._id,
+      { $set: data },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: formatTemplate(updatedTemplate, access),
+      message: "Template updated successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error updating template",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a template (personal: creator; group: owner or admin)
+export const deleteTemplate = async (req, res) => {
+  try {
+    const loaded = await loadTemplate(req, res);
+    if (!loaded) return;
+
+    if (!loaded.access.canManage) {
+      return res.status(403).json({
+        success: false,
+        message: "Only group owners and admins can manage group templates",
+      });
+    }
+
+    await TaskTemplate.findByIdAndDelete(loaded.template._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Template deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting template",
+      error: error.message,
+    });
+  }
+};
+
+// Create a task from a template.
+// Body: { variables, groupTag (personal templates only), dueDate, dueTime, assignedTo, timePlanning, allowBackdate }
+// Fills {{variables}} in title/description, applies timePlanning defaults and hands off to createTask.
+export const createTaskFromTemplate = async (req, res) => {
+  try {
+    const loaded = await loadTemplate(req, res);
+    if (!loaded) return;
+    const { template, access } = loaded;
+
+    const { variables = {}, dueDate, dueTime, assignedTo, allowBackdate, timePlanning: planningOverrides } = req.body;
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({
+        success: false,
+        message: "variables must be an object",
+      });
+    }
+
+    const { timePlanning: overrides, error: planningError } = normalizeTimePlanningDefaults(planningOverrides);
+    if (planningError) {
+      return res.status(400).json({
+        success: false,
+        message: planningError,
+      });
+    }
+
+    // Dates are the user's calendar days
+    const user = await User.findOne({ auth0Id: req.auth0Id }).select('name preferences.timezone');
+    const timeZone = getUserTimeZone(user);
+    const builtIns = {
+      date: todayKey(timeZone),
+      user: req.userName || user?.name || "",
+      group: access.group?.name || "Personal",
+    };
+    const values = { ...builtIns, ...variables };
+
+    const title = renderTemplateString(template.title, values);
+    const description = renderTemplateString(template.description, values);
+    const missing = [...new Set([...title.missing, ...description.missing])];
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing template variables: ${missing.join(', ')}`,
+        missingVariables: missing,
+      });
+    }
+
+    // Group templates always create tasks in their group
+    const groupTag = template.groupTag !== "@personal"
+      ? template.groupTag
+      : (req.body.groupTag || "@personal");
+
+    const mergedPlanning = template.timePlanning || overrides
+      ? { ...(template.timePlanning || {}), ...(overrides || {}) }
+      : undefined;
+
+    req.body = {
+      title: title.text,
+      description: description.text,
+      category: template.category,
+      priority: template.priority,
+      documentationLink: template.documentationLink,
+      tags: template.tags,
+      subtasks: template.subtasks,
+      groupTag,
+      ...(template.status ? { status: template.status } : {}),
+      ...(dueDate !== undefined
+        ? { dueDate }
+        : (template.dueInDays !== null && template.dueInDays !== undefined ? { dueDate: todayKey(timeZone, new Date(), template.dueInDays) } : {})),
+      ...(dueTime !== undefined ? { dueTime } : {}),
+      ...(assignedTo !== undefined ? { assignedTo } : {}),
+      ...(mergedPlanning ? { timePlanning: mergedPlanning } : {}),
+      ...(allowBackdate ? { allowBackdate } : {}),
+    };
+
+    await createTask(req, res);
+
+    if (res.statusCode === 201) {
+      try {
+        await TaskTemplate.findByIdAndUpdate(template._id, { $inc: { usageCount: 1 } });
+      } catch (e) {
+        // usage stats are best-effort
+      }
+    }
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error creating task from template",
+      error: error.message,
+    });
+  }
+};
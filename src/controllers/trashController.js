@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Group from "../models/Group.js";
+import Activity from "../models/Activity.js";
+import Notification from "../models/Notification.js";
+import { sendEventToUser } from "../utils/sseManager.js";
+import { emitActivity } from "../utils/activityEmitter.js";
+import { getTaskAccess } from "../utils/taskAccess.js";
+import { getAccessibleGroupTags } from "../utils/taskQuery.js";
+import { getTrashRetentionDays } from "../utils/taskArchive.js";
+import { getWorkflow, resolveStatus, getNextRank } from "../utils/workflow.js";
+import { syncTaskReminders } from "../utils/reminders.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// List archived tasks the user can restore: their own tasks, plus tasks deleted
+// from groups they still belong to. Each item carries the date it will be purged.
+export const getTrash = async (req, res) => {
+  try {
+    const accessibleGroupTags = await getAccessibleGroupTags(req.auth0Id);
+    const retentionDays = getTrashRetentionDays();
+
+    const tasks = await Task.find({
+      archived: true,
+      $or: [
+        { userId: req.auth0Id },
+        { groupTag: { $in: accessibleGroupTags }, archivedReason: "deleted" },
+      ],
+    })
+      .sort({ archivedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: tasks.map(t => ({
+        ...t,
+        purgeAt: t.archivedAt ? new Date(new Date(t.archivedAt).getTime() + retentionDays * DAY_MS) : null,
+      })),
+      retentionDays,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching trash",
+      error: error.message,
+    });
+  }
+};
+
+// Restore an archived task. Tasks whose group was deleted come back as the
+// creator's personal tasks.
+export const restoreTask = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found in trash",
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, archived: true });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found in trash",
+      });
+    }
+
+    const isGroupTask = task.groupTag && task.groupTag !== "@personal";
+    const group = isGroupTask && task.archivedReason !== "group_deleted"
+      ? await Group.findOne({ tag: task.groupTag })
+      : null;
+
+    let groupTag = task.groupTag || "@personal";
+    if (isGroupTask && !group) {
+      // The group is gone: only the creator can take the task back
+      if (task.userId !== req.auth0Id) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the task creator can restore tasks from a deleted group",
+        });
+      }
+      groupTag = "@personal";
+    } else {
+      const access = await getTaskAccess(task, req.auth0Id, group || undefined);
+      if (!access.canDelete) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have permission to restore this task",
+        });
+      }
+    }
+
+    // Put it back at the bottom of its column (the column may have been removed meanwhile)
+    const workflow = getWorkflow(groupTag === "@personal" ? null : group);
+    const entry = resolveStatus(workflow, task.statusKey) || resolveStatus(workflow, task.status);
+    const rank = await getNextRank({ _id: task._id, userId: task.userId, groupTag }, workflow, entry);
+
+    const restoredTask = await Task.findOneAndUpdate(
+      { _id: task._id, archived: true },
+      {
+        $set: {
+          archived: false,
+          archivedAt: null,
+          archivedBy: null,
+          archivedReason: null,
+          groupTag,
+          statusKey: entry.key,
+          rank,
+        },
+      },
+      { new: true }
+    );
+
+    // Reminders were dropped and notifications hidden when the task was archived
+    await syncTaskReminders(restoredTask);
+    await Notification.updateMany({ taskId: task._id, hiddenAt: { $ne: null } }, { $set: { hiddenAt: null } });
+
+    const user = await User.findOne({ auth0Id: req.auth0Id }).select('name customPicture picture');
+
+    let createdActivity = null;
+    try {
+      createdActivity = await Activity.create({
+        type: "task_restored",
+        taskId: restoredTask._id,
+        taskTitle: restoredTask.title,
+        userId: req.auth0Id,
+        userName: req.userName || user?.name || "Unknown",
+        groupTag: restoredTask.groupTag,
+        timestamp: new Date(),
+      });
+
+      // Emit activity to relevant group members (non-blocking)
+      try {
+        await emitActivity(createdActivity);
+      } catch (e) {
+        // ignore emitter errors
+      }
+    } catch (e) {
+      console.warn('[activity] restore activity failed', e.message || e);
+    }
+
+    const restoredObj = restoredTask.toObject();
+
+    // Let owner + assignees put the task back on their boards
+    try {
+      const recipients = new Set();
+      if (restoredObj.userId) recipients.add(restoredObj.userId.toString().trim());
+      (restoredObj.assignedTo || []).forEach(a => { if (a) recipients.add(a.toString().trim()); });
+      recipients.delete(req.auth0Id && req.auth0Id.toString().trim());
+      for (const rid of recipients) {
+        try { sendEventToUser(rid, 'task_restored', restoredObj); } catch (e) {}
+      }
+    } catch (e) {
+      console.warn('[sse] task restore emit failed', e.message || e);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: restoredObj,
+      activity: createdActivity,
+      message: "Task restored successfully",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Error restoring task",
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,31 @@
+import crypto from "crypto";
 import User from "../models/User.js";
 import Task from "../models/Task.js";
 import Group from "../models/Group.js";
+import PushSubscription from "../models/PushSubscription.js";
+import { isValidTimeZone } from "../utils/dueDates.js";
+import { normalizeReminderOffsets, syncUserReminders } from "../utils/reminders.js";
+import {
+  normalizeNotificationPreferences,
+  normalizeMutedGroups,
+  normalizeQuietHours,
+  EMAIL_DIGEST_FREQUENCIES,
+} from "../utils/notificationPreferences.js";
+import { setClientPreferences } from "../utils/sseManager.js";
+import { getStorage, getStorageForDriver } from "../storage/index.js";
+
+// Preferences a user can change through updateUser
+const PREFERENCE_KEYS = [
+  "theme",
+  "notifications",
+  "mutedGroups",
+  "quietHours",
+  "emailDigest",
+  "timezone",
+  "reminderOffsets",
+];
+// Preferences that change when (or whether) reminders fire
+const REMINDER_PREFERENCE_KEYS = ["notifications", "mutedGroups", "timezone", "reminderOffsets"];
 
 // Get or create user from Auth0 token
 export const getOrCreateUser = async (req, res) => {
@@ -149,15 +174,80 @@ export const updateUser = async (req, res) => {
 
     // Build update object only with provided fields
     const updateData = {};
+    const unsetData = {};
     if (name !== undefined && name !== null) {
       updateData.name = name;
     }
     if (preferences !== undefined && preferences !== null) {
-      updateData.preferences = preferences;
+      if (typeof preferences !== 'object' || Array.isArray(preferences)) {
+        return res.status(400).json({
+          success: false,
+          message: "preferences must be an object",
+        });
+      }
+      // Merge individual preferences so omitted ones keep their current values
+      for (const [key, value] of Object.entries(preferences)) {
+        if (!PREFERENCE_KEYS.includes(key)) continue;
+        if (key === "timezone" && value !== null && value !== "" && !isValidTimeZone(value)) {
+          return res.status(400).json({
+            success: false,
+            message: "preferences.timezone must be an IANA time zone such as \"Europe/Berlin\"",
+          });
+        }
+        if (key === "reminderOffsets") {
+          // null goes back to the built-in default
+          if (value === null) {
+            unsetData["preferences.reminderOffsets"] = 1;
+            continue;
+          }
+          const { offsets, error } = normalizeReminderOffsets(value);
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: `preferences.reminderOffsets: ${error}`,
+            });
+          }
+          updateData["preferences.reminderOffsets"] = offsets;
+          continue;
+        }
+        if (key === "notifications") {
+          // Partial { <type>: { inApp, email } } object; omitted types/channels are kept
+          const { set, error } = normalizeNotificationPreferences(value);
+          if (error) {
+            return res.status(400).json({ success: false, message: error });
+          }
+          Object.assign(updateData, set);
+          continue;
+        }
+        if (key === "mutedGroups") {
+          const { groups, error } = normalizeMutedGroups(value);
+          if (error) {
+            return res.status(400).json({ success: false, message: error });
+          }
+          updateData["preferences.mutedGroups"] = groups;
+          continue;
+        }
+        if (key === "quietHours") {
+          // Partial { enabled, start, end }; omitted fields are kept
+          const { set, error } = normalizeQuietHours(value);
+          if (error) {
+            return res.status(400).json({ success: false, message: error });
+          }
+          Object.assign(updateData, set);
+          continue;
+        }
+        if (key === "emailDigest" && !EMAIL_DIGEST_FREQUENCIES.includes(value)) {
+          return res.status(400).json({
+            success: false,
+            message: `preferences.emailDigest must be one of: ${EMAIL_DIGEST_FREQUENCIES.join(', ')}`,
+          });
+        }
+        updateData[`preferences.${key}`] = key === "timezone" ? (value || null) : value;
+      }
     }
 
     // Only proceed if there's something to update
-    if (Object.keys(updateData).length === 0) {
+    if (Object.keys(updateData).length === 0 && Object.keys(unsetData).length === 0) {
       return res.status(200).json({
         success: true,
         data: existingUser,
@@ -168,7 +258,7 @@ export const updateUser = async (req, res) => {
     // Update existing user
     const user = await User.findOneAndUpdate(
       { auth0Id: req.auth0Id },
-      { $set: updateData },
+      { $set: updateData, ...(Object.keys(unsetData).length ? { $unset: unsetData } : {}) },
       { new: true, runValidators: true }
     );
 
@@ -179,6 +269,21 @@ export const updateUser = async (req, res) => {
       });
     }
 
+    // Live SSE delivery filters on the new preferences straight away
+    try {
+      setClientPreferences(req.auth0Id, user.toObject().preferences);
+    } catch (e) {}
+
+    // Re-schedule reminders when anything that decides when they fire changed
+    const changedKeys = [...Object.keys(updateData), ...Object.keys(unsetData)];
+    if (REMINDER_PREFERENCE_KEYS.some(key => changedKeys.some(path => path.startsWith(`preferences.${key}`)))) {
+      try {
+        await syncUserReminders(req.auth0Id);
+      } catch (e) {
+        console.warn('[reminders] failed to re-sync reminders after preference change', e.message || e);
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: user,
@@ -222,7 +327,27 @@ export const logoutUser = async (req, res) => {
   }
 };
 
-// Upload profile picture (store base64 in MongoDB)
+// Profile pictures: data URLs up to 2 MB, kept in storage under a random id that
+// changes with every upload
+const PROFILE_PICTURE_MAX_BYTES = 2 * 1024 * 1024;
+const PROFILE_PICTURE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const DATA_URL = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+const PICTURE_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const pictureKey = (pictureId) => `profile-pictures/${pictureId}`;
+const pictureUrl = (pictureId) => `/api/users/pictures/${pictureId}`;
+
+// Helper: drop a stored picture (a leftover file is only wasted space, so just log)
+const removeStoredPicture = async (stored) => {
+  if (!stored?.key) return;
+  try {
+    await getStorageForDriver(stored.driver).remove(stored.key);
+  } catch (err) {
+    console.warn('[users] failed to remove profile picture', stored.key, err && err.message ? err.message : err);
+  }
+};
+
+// Upload profile picture (base64 data URL in the body; the file goes to storage)
 export const uploadProfilePicture = async (req, res) => {
   try {
     const { imageBase64 } = req.body;
@@ -235,18 +360,31 @@ export const uploadProfilePicture = async (req, res) => {
     }
 
     // Validate base64 format
-    if (!imageBase64.startsWith('data:image/')) {
+    const match = typeof imageBase64 === 'string' ? DATA_URL.exec(imageBase64) : null;
+    if (!match) {
       return res.status(400).json({
         success: false,
         message: "Invalid image format. Must be base64 encoded image.",
       });
     }
 
-    const user = await User.findOneAndUpdate(
-      { auth0Id: req.auth0Id },
-      { customPicture: imageBase64 },
-      { new: true, runValidators: true }
-    );
+    const contentType = match[1].toLowerCase();
+    if (!PROFILE_PICTURE_TYPES.includes(contentType)) {
+      return res.status(415).json({
+        success: false,
+        message: `Image type ${contentType} is not allowed`,
+      });
+    }
+
+    const image = Buffer.from(match[2], 'base64');
+    if (image.length > PROFILE_PICTURE_MAX_BYTES) {
+      return res.status(413).json({
+        success: false,
+        message: `Image is too large (max ${PROFILE_PICTURE_MAX_BYTES} bytes)`,
+      });
+    }
+
+    const user = await User.findOne({ auth0Id: req.auth0Id });
 
     if (!user) {
       return res.status(404).json({
@@ -255,6 +393,25 @@ export const uploadProfilePicture = async (req, res) => {
       });
     }
 
+    const previous = user.customPictureStorage?.key
+      ? { driver: user.customPictureStorage.driver, key: user.customPictureStorage.key }
+      : null;
+
+    const storage = getStorage();
+    const pictureId = crypto.randomUUID();
+    const key = pictureKey(pictureId);
+    await storage.put(key, image, { contentType });
+
+    user.customPicture = pictureUrl(pictureId);
+    user.customPictureStorage = { driver: storage.driver, key, contentType };
+    try {
+      await user.save();
+    } catch (err) {
+      await storage.remove(key).catch(() => {});
+      throw err;
+    }
+    await removeStoredPicture(previous);
+
     res.status(200).json({
       success: true,
       data: { customPicture: user.customPicture },
@@ -269,6 +426,50 @@ export const uploadProfilePicture = async (req, res) => {
   }
 };
 
+// Serve an uploaded profile picture. Public, since image tags can't send the token;
+// the id is random and changes with every upload, so it can be cached for good.
+export const getProfilePicture = async (req, res) => {
+  try {
+    const { pictureId } = req.params;
+    const user = PICTURE_ID.test(pictureId)
+      ? await User.findOne({ "customPictureStorage.key": pictureKey(pictureId) }).select('customPictureStorage').lean()
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Picture not found",
+      });
+    }
+
+    const { driver, key, contentType } = user.customPictureStorage;
+    const { stream, size } = await getStorageForDriver(driver).get(key);
+
+    res.setHeader("Content-Type", contentType);
+    if (size !== undefined) res.setHeader("Content-Length", size);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+
+    stream.on("error", (err) => {
+      console.warn('[users] picture stream failed', err.message || err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.name === "NoSuchKey") {
+      return res.status(404).json({
+        success: false,
+        message: "Picture is missing from storage",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Error fetching profile picture",
+      error: error.message,
+    });
+  }
+};
+
 // Deactivate account (set isActive to false, keep all data)
 export const deactivateAccount = async (req, res) => {
   try {
@@ -317,9 +518,11 @@ export const deleteAccount = async (req, res) => {
     // Delete all tasks where user is the owner (individual tasks only)
     // Note: Future collaborative tasks will not be deleted as they have collaborators
     await Task.deleteMany({ userId: req.auth0Id });
+    await PushSubscription.deleteMany({ userId: req.auth0Id });
 
     // Delete the user
     await User.findOneAndDelete({ auth0Id: req.auth0Id });
+    await removeStoredPicture(user.customPictureStorage);
 
     res.status(200).json({
       success: true,
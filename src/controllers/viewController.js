@@ -0,0 +1,281 @@
+import mongoose from "mongoose";
+import SavedView from "../models/SavedView.js";
+import { parseTaskFilters, searchTasks, SEARCH_SORT_KEYS } from "../utils/taskSearch.js";
+import { getAccessibleGroupTags, normalizeGroupTag } from "../utils/taskQuery.js";
+
+// Helper: validate name/filters/sort/sharing from the request body.
+// Returns { data } with only the provided fields, or { error }.
+const parseViewInput = async (body, auth0Id, { partial = false } = {}) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: "View name is required" };
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    data.description = body.description ? body.description.toString() : "";
+  }
+
+  if (body.filters !== undefined || !partial) {
+    const { filters, error } = parseTaskFilters(body.filters || {});
+    if (error) return { error };
+    if (filters.group) filters.group = normalizeGroupTag(filters.group);
+    data.filters = filters;
+  }
+
+  if (body.sort !== undefined) {
+    if (body.sort !== null && !SEARCH_SORT_KEYS.includes(body.sort)) {
+      return { error: `sort must be one of: ${SEARCH_SORT_KEYS.join(', ')}` };
+    }
+    data.sort = body.sort;
+  }
+
+  if (body.order !== undefined) {
+    if (body.order !== null && !["asc", "desc"].includes(body.order)) {
+      return { error: "order must be asc or desc" };
+    }
+    data.order = body.order;
+  }
+
+  if (body.sharedWithGroup !== undefined) {
+    const groupTag = normalizeGroupTag(body.sharedWithGroup);
+    if (groupTag && groupTag !== "@personal") {
+      const accessibleGroupTags = await getAccessibleGroupTags(auth0Id);
+      if (!accessibleGroupTags.includes(groupTag)) {
+        return { error: "You can only share views with groups you belong to", status: 403 };
+      }
+      data.sharedWithGroup = groupTag;
+    } else {
+      data.sharedWithGroup = null;
+    }
+  }
+
+  return { data };
+};
+
+// Helper: load a view the user can see right now (owner, or member of the group it's shared with)
+const loadVisibleView = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "View not found" });
+    return null;
+  }
+
+  const view = await SavedView.findById(req.params.id);
+  if (!view) {
+    res.status(404).json({ success: false, message: "View not found" });
+    return null;
+  }
+
+  if (view.userId !== req.auth0Id) {
+    const accessibleGroupTags = view.sharedWithGroup ? await getAccessibleGroupTags(req.auth0Id) : [];
+    if (!view.sharedWithGroup || !accessibleGroupTags.includes(view.sharedWithGroup)) {
+      res.status(404).json({ success: false, message: "View not found" });
+      return null;
+    }
+  }
+
+  return view;
+};
+
+// Helper: detect the unique (userId, name) index violation
+const isDuplicateName = (error) => error && (error.code === 11000 || error.codeName === 'DuplicateKey');
+
+// List the user's own views and views shared with their groups
+export const getViews = async (req, res) => {
+  try {
+    const accessibleGroupTags = await getAccessibleGroupTags(req.auth0Id);
+
+    const views = await SavedView.find({
+      $or: [
+        { userId: req.auth0Id },
+        { sharedWithGroup: { $in: accessibleGroupTags } },
+      ],
+    }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: views.map(v => ({ ...v.toObject(), isOwner: v.userId === req.auth0Id })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching views",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single view
+export const getViewById = async (req, res) => {
+  try {
+    const view = await loadVisibleView(req, res);
+    if (!view) return;
+
+    res.status(200).json({
+      success: true,
+      data: { ...view.toObject(), isOwner: view.userId === req.auth0Id },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching view",
+      error: error.message,
+    });
+  }
+};
+
+// Create a view
+export const createView = async (req, res) => {
+  try {
+    const { data, error, status } = await parseViewInput(req.body, req.auth0Id);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const view = await SavedView.create({ ...data, userId: req.auth0Id });
+
+    res.status(201).json({
+      success: true,
+      data: view,
+      message: "View created successfully",
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a view with this name",
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: "Error creating view",
+      error: error.message,
+    });
+  }
+};
+
+// Update a view (owner only)
+export const updateView = async (req, res) => {
+  try {
+    const view = await loadVisibleView(req, res);
+    if (!view) return;
+
+    if (view.userId !== req.auth0Id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can edit this view",
+      });
+    }
+
+    const { data, error, status } = await parseViewInput(req.body, req.auth0Id, { partial: true });
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const updatedView = await SavedView.findByIdAndUpdate(
+      view._id,
+      { $set: data },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: updatedView,
+      message: "View updated successfully",
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a view with this name",
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: "Error updating view",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a view (owner only)
+export const deleteView = async (req, res) => {
+  try {
+    const view = await loadVisibleView(req, res);
+    if (!view) return;
+
+    if (view.userId !== req.auth0Id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can delete this view",
+      });
+    }
+
+    await SavedView.findByIdAndDelete(view._id);
+
+    res.status(200).json({
+      success: true,
+      message: "View deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting view",
+      error: error.message,
+    });
+  }
+};
+
+// Run a view: returns the tasks it matches for the current user.
+// Visibility and group access are checked against current membership on every run.
+export const runView = async (req, res) => {
+  try {
+    const view = await loadVisibleView(req, res);
+    if (!view) return;
+
+    const { filters, error: filterError } = parseTaskFilters(view.filters || {});
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: `Stored view filters are invalid: ${filterError}`,
+      });
+    }
+
+    const { limit, cursor } = req.query;
+    const { tasks, pageInfo, error } = await searchTasks(req.auth0Id, filters, {
+      sort: view.sort || undefined,
+      order: view.order || undefined,
+      limit,
+      cursor,
+    });
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: tasks,
+      pageInfo,
+      view: { _id: view._id, name: view.name, filters: view.filters },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error running view",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,291 @@
+import mongoose from "mongoose";
+import Group from "../models/Group.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_GROUP,
+  generateWebhookSecret,
+  normalizeWebhookInput,
+  redeliverWebhook,
+} from "../utils/webhooks.js";
+
+const DEFAULT_DELIVERY_LIMIT = 20;
+const MAX_DELIVERY_LIMIT = 100;
+
+// Helper: load a group the current user owns or administers (sends 404 otherwise)
+const loadManagedGroup = async (req, res) => {
+  const group = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Group.findOne({
+        _id: req.params.id,
+        $or: [
+          { owner: req.auth0Id },
+          { collaborators: { $elemMatch: { userId: req.auth0Id, role: "admin", status: "accepted" } } },
+        ],
+      })
+    : null;
+
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: "Group not found or you don't have permission",
+    });
+    return null;
+  }
+  return group;
+};
+
+// Helper: load one of the group's webhooks (sends 404 otherwise)
+const loadWebhook = async (req, res, group) => {
+  const webhook = mongoose.Types.ObjectId.isValid(req.params.webhookId)
+    ? await Webhook.findOne({ _id: req.params.webhookId, groupId: group._id })
+    : null;
+
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: "Webhook not found",
+    });
+    return null;
+  }
+  return webhook;
+};
+
+// The secret is only returned in full when it's created
+const toWebhookPayload = (webhook, { includeSecret = false } = {}) => {
+  const obj = webhook.toObject ? webhook.toObject() : { ...webhook };
+  const { secret, __v, ...rest } = obj;
+  return {
+    ...rest,
+    ...(includeSecret ? { secret } : {}),
+    secretPreview: secret ? `…${secret.slice(-4)}` : null,
+  };
+};
+
+// List a group's webhooks and the events they can subscribe to
+export const getWebhooks = async (req, res) => {
+  try {
+    const group = await loadManagedGroup(req, res);
+    if (!group) return;
+
+    const webhooks = await Webhook.find({ groupId: group._id }).sort({ createdAt: 1 });
+    res.status(200).json({
+      success: true,
+      data: webhooks.map(w => toWebhookPayload(w)),
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching webhooks",
+      error: error.message,
+    });
+  }
+};
+
+// Register a webhook. Body: { url, events, secret?, description? }
+export const createWebhook = async (req, res) => {
+  try {
+    const group = await loadManagedGroup(req, res);
+    if (!group) return;
+
+    const { value, error } = normalizeWebhookInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const count = await Webhook.countDocuments({ groupId: group._id });
+    if (count >= MAX_WEBHOOKS_PER_GROUP) {
+      return res.status(400).json({
+        success: false,
+        message: `A group can have at most ${MAX_WEBHOOKS_PER_GROUP} webhooks`,
+      });
+    }
+
+    const webhook = await Webhook.create({
+      ...value,
+      secret: value.secret || generateWebhookSecret(),
+      groupId: group._id,
+      createdBy: req.auth0Id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toWebhookPayload(webhook, { includeSecret: true }),
+      message: "Webhook created",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating webhook",
+      error: error.message,
+    });
+  }
+};
+
+// Change url, events, description, active or secret (rotateSecret: true generates a new one)
+export const updateWebhook = async (req, res) => {
+  try {
+    const group = await loadManagedGroup(req, res);
+    if (!group) return;
+    const webhook = await loadWebhook(req, res, group);
+    if (!webhook) return;
+
+    const { value, error } = normalizeWebhookInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    const rotated = req.body?.rotateSecret === true;
+    if (rotated && !value.secret) value.secret = generateWebhookSecret();
+
+    Object.assign(webhook, value);
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      data: toWebhookPayload(webhook, { includeSecret: !!value.secret }),
+      message: "Webhook updated",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating webhook",
+      error: error.message,
+    });
+  }
+};
+
+export const deleteWebhook = async (req, res) => {
+  try {
+    const group = await loadManagedGroup(req, res);
+    if (!group) return;
+    const webhook = await loadWebhook(req, res, group);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await Webhook.deleteOne({ _id: webhook._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook deleted",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting webhook",
+      error: error.message,
+    });
+  }
+};
+
+// Delivery log for a webhook, newest first.
+// Query: limit, before (delivery id cursor), status (pending|success|failed)
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const group = await loadManagedGroup(req, res);
+    if (!group) return;
+    const webhook = await loadWebhook(req, res, group);
+    if (!webhook) return;
+
+    const { before, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_DELIVERY_LIMIT, 1), MAX_DELIVERY_LIMIT);
+
+    const query = { webhookId: webhook._id };
+    if (status) {
+      if (!["pending", "success", "failed"].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "status must be one of: pending, success, failed",
+        });
+      }
+      // In-flight deliveries count as pending
+      query.status = status === "pending" ? { $in: ["pending", "sending"] } : status;
+    }
+    if (before) {
+      if (!mongoose.Types.ObjectId.isValid(before)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+      query._id = { $lt: before };
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = deliveries.length > limit;
+    const page = hasMore ? deliveries.slice(0, limit) : deliveries;
+
+    res.status(200).json({
+      success: true,
+      data: page,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching webhook deliveries",
+      error: error.message,
+    });
+  }
+};
+
+// Send a logged delivery again (as a new delivery with the same body)
+export const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const group = await loadManagedGroup(req, res);
+    if (!group) return;
+    const webhook = await loadWebhook(req, res, group);
+    if (!webhook) return;
+
+    const delivery = mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id }).lean()
+      : null;
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery not found",
+      });
+    }
+    if (!webhook.active) {
+      return res.status(400).json({
+        success: false,
+        message: "Activate the webhook before redelivering",
+      });
+    }
+
+    const redelivery = await redeliverWebhook(delivery);
+    res.status(200).json({
+      success: true,
+      data: redelivery,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error redelivering webhook",
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+};
@@ -0,0 +1,34 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Writes each message as a JSON file (default ./tmp/emails) for local testing
+export const createFileTransport = ({ dir } = {}) => {
+  const root = path.resolve(dir || path.join("tmp", "emails"));
+
+  return {
+    name: "file",
+
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(root, `${id}.json`),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    },
+  };
+};
+
+// Prints each message's headers and text body to the server log
+export const createConsoleTransport = () => ({
+  name: "console",
+
+  async send(message) {
+    console.log(`[email] To: ${message.to}\n[email] Subject: ${message.subject}\n${message.text}`);
+    return { id: null };
+  },
+});
+
+export default { createFileTransport, createConsoleTransport };
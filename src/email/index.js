@@ -0,0 +1,57 @@
+import { createSmtpTransport } from "./smtpTransport.js";
+import { createFileTransport, createConsoleTransport } from "./fileTransport.js";
+
+// Email transports share one interface:
+//   send({ from, to, subject, text, html }) -> { id }
+// EMAIL_TRANSPORT selects the backend: "smtp", "file", "console" or "none" (default,
+// email disabled).
+
+let transport;
+
+export const createEmailTransport = (name = process.env.EMAIL_TRANSPORT || "none") => {
+  switch (name) {
+    case "smtp":
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    case "file":
+      return createFileTransport({ dir: process.env.EMAIL_FILE_DIR });
+    case "console":
+      return createConsoleTransport();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
+};
+
+// Shared transport, created on first use (after dotenv has loaded); null when email is off
+export const getEmailTransport = () => {
+  if (transport === undefined) transport = createEmailTransport();
+  return transport;
+};
+
+// Swap the transport (e.g. a stub in scripts)
+export const setEmailTransport = (value) => {
+  transport = value;
+};
+
+export const isEmailEnabled = () => !!getEmailTransport();
+
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const current = getEmailTransport();
+  if (!current) return null;
+  return current.send({
+    from: process.env.EMAIL_FROM || "Efficio <no-reply@efficio.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export default { createEmailTransport, getEmailTransport, setEmailTransport, isEmailEnabled, sendEmail };
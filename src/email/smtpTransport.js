@@ -0,0 +1,26 @@
+import nodemailer from "nodemailer";
+
+// Sends mail through an SMTP server
+export const createSmtpTransport = ({ host, port, secure, user, pass } = {}) => {
+  if (!host) {
+    throw new Error("SMTP transport requires SMTP_HOST");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure: !!secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
+
+export default { createSmtpTransport };
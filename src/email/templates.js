@@ -0,0 +1,80 @@
+import { DateTime } from "luxon";
+
+// Where links in emails point: APP_URL, else the first FRONTEND_URL
+const getAppUrl = () => {
+  const configured = process.env.APP_URL || (process.env.FRONTEND_URL || "").split(",")[0];
+  return (configured || "").trim().replace(/\/+$/, "");
+};
+
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const formatDue = (dueDate, dueHasTime, timeZone) => {
+  if (!dueDate) return "";
+  const due = DateTime.fromJSDate(new Date(dueDate), { zone: dueHasTime ? timeZone : "utc" });
+  return dueHasTime ? due.toFormat("ccc, d LLL yyyy HH:mm") : due.toFormat("ccc, d LLL yyyy");
+};
+
+// One line per notification; used as the body of immediate emails and as a digest entry
+const SUMMARIES = {
+  invitation: (data) =>
+    `${data.invitedBy || "Someone"} invited you to join "${data.groupName}"${data.role ? ` as ${data.role}` : ""}.`,
+  task_assigned: (data) => {
+    const tasks = data.tasks || [];
+    const where = data.groupName ? ` in ${data.groupName}` : "";
+    if (tasks.length === 1) {
+      return `${data.assignedBy || "Someone"} assigned you "${tasks[0].title}"${where}.`;
+    }
+    return `${data.assignedBy || "Someone"} assigned you ${tasks.length} tasks${where}: ` +
+      tasks.map(t => `"${t.title}"`).join(", ") + ".";
+  },
+  task_due_reminder: (data, { timeZone }) =>
+    `Reminder: "${data.title}" is due ${formatDue(data.dueDate, data.dueHasTime, timeZone)}.`,
+};
+
+const SUBJECTS = {
+  invitation: (data) => `You're invited to ${data.groupName}`,
+  task_assigned: (data) => {
+    const tasks = data.tasks || [];
+    return tasks.length === 1 ? `New task: ${tasks[0].title}` : `${tasks.length} tasks assigned to you`;
+  },
+  task_due_reminder: (data) => `Reminder: ${data.title} is due soon`,
+};
+
+export const summarizeNotification = (type, data, { timeZone } = {}) => {
+  const summarize = SUMMARIES[type];
+  return summarize ? summarize(data || {}, { timeZone }) : "";
+};
+
+const wrap = ({ name, lines }) => {
+  const appUrl = getAppUrl();
+  const greeting = name ? `Hi ${name},` : "Hi,";
+  const text = [greeting, "", ...lines, ...(appUrl ? ["", `Open Efficio: ${appUrl}`] : [])].join("\n");
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    lines.length > 1
+      ? `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join("")}</ul>`
+      : `<p>${escapeHtml(lines[0] || "")}</p>`,
+    appUrl ? `<p><a href="${escapeHtml(appUrl)}">Open Efficio</a></p>` : "",
+  ].join("\n");
+  return { text, html };
+};
+
+// { subject, text, html } for a single notification
+export const renderNotificationEmail = (type, data, { name, timeZone } = {}) => {
+  const subject = SUBJECTS[type] ? SUBJECTS[type](data || {}) : "New notification";
+  return { subject, ...wrap({ name, lines: [summarizeNotification(type, data, { timeZone })] }) };
+};
+
+// { subject, text, html } for a batch of queued notifications ({ type, data })
+export const renderDigestEmail = (items, { name, timeZone, frequency } = {}) => {
+  const period = frequency === "weekly" ? "weekly" : "daily";
+  const subject = `Your ${period} Efficio digest (${items.length} update${items.length === 1 ? "" : "s"})`;
+  const lines = items.map(item => summarizeNotification(item.type, item.data, { timeZone })).filter(Boolean);
+  return { subject, ...wrap({ name, lines }) };
+};
+
+export default { summarizeNotification, renderNotificationEmail, renderDigestEmail };
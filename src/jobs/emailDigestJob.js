@@ -0,0 +1,25 @@
+import cron from "node-cron";
+import { sendEmailDigests } from "../utils/emailNotifications.js";
+
+const runDigest = async (frequency) => {
+  console.log(`[Email Digest Job] Sending ${frequency} digests...`);
+  try {
+    const { users, items } = await sendEmailDigests(frequency);
+    console.log(`[Email Digest Job] Completed: ${items} update(s) sent to ${users} user(s)`);
+  } catch (error) {
+    console.error("[Email Digest Job] Fatal error:", error);
+  }
+};
+
+/**
+ * Scheduled job that emails queued notifications to users who chose a digest:
+ * daily digests at 8:00 AM, weekly digests on Monday at 8:00 AM
+ */
+export const startEmailDigestJob = () => {
+  // "0 8 * * *" = 8:00 AM every day
+  cron.schedule("0 8 * * *", () => runDigest("daily"));
+  // "0 8 * * 1" = 8:00 AM every Monday
+  cron.schedule("0 8 * * 1", () => runDigest("weekly"));
+
+  console.log("[Email Digest Job] Scheduled job initialized (daily at 8:00 AM, weekly on Mondays)");
+};
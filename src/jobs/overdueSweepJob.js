@@ -0,0 +1,25 @@
+import cron from "node-cron";
+import { sweepOverdueTasks } from "../utils/overdueSweep.js";
+
+/**
+ * Scheduled job that runs at 12:05 AM every day, persists isOverdue on tasks and
+ * notifies assignees (plus a per-group digest for owners/admins) about tasks that slipped
+ */
+export const startOverdueSweepJob = () => {
+  // "5 0 * * *" = 12:05 AM every day
+  cron.schedule("5 0 * * *", async () => {
+    console.log("[Overdue Sweep Job] Checking for overdue tasks...");
+
+    try {
+      const { flagged, announced, cleared, notified, digests } = await sweepOverdueTasks();
+      console.log(
+        `[Overdue Sweep Job] Completed: ${flagged} newly overdue (${announced} announced), ${cleared} cleared, ` +
+        `${notified} assignee notification(s), ${digests} group digest(s)`
+      );
+    } catch (error) {
+      console.error("[Overdue Sweep Job] Fatal error:", error);
+    }
+  });
+
+  console.log("[Overdue Sweep Job] Scheduled job initialized (runs daily at 12:05 AM)");
+};
@@ -0,0 +1,33 @@
+import cron from "node-cron";
+import { deliverDueReminders } from "../utils/reminders.js";
+
+let running = false;
+
+const runReminderDelivery = async () => {
+  // Skip a tick if the previous run is still going
+  if (running) return;
+  running = true;
+  try {
+    const { delivered, cancelled } = await deliverDueReminders();
+    if (delivered || cancelled) {
+      console.log(`[Reminder Job] Delivered ${delivered} reminder(s), cancelled ${cancelled}`);
+    }
+  } catch (error) {
+    console.error("[Reminder Job] Fatal error:", error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Scheduled job that runs every minute and delivers due-date reminders whose time
+ * has come. Reminders are stored in Mongo, so anything that came due while the
+ * server was down is sent on the first run after startup.
+ */
+export const startReminderJob = () => {
+  // "* * * * *" = every minute
+  cron.schedule("* * * * *", runReminderDelivery);
+  runReminderDelivery();
+
+  console.log("[Reminder Job] Scheduled job initialized (runs every minute)");
+};
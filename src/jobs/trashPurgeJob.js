@@ -0,0 +1,23 @@
+import cron from "node-cron";
+import { purgeExpiredTasks, getTrashRetentionDays } from "../utils/taskArchive.js";
+
+/**
+ * Scheduled job that runs at 3:00 AM every day and permanently removes tasks
+ * that have been in the trash longer than TASK_TRASH_RETENTION_DAYS
+ */
+export const startTrashPurgeJob = () => {
+  // "0 3 * * *" = 3:00 AM every day
+  cron.schedule("0 3 * * *", async () => {
+    const retentionDays = getTrashRetentionDays();
+    console.log(`[Trash Purge Job] Purging tasks archived more than ${retentionDays} days ago...`);
+
+    try {
+      const purged = await purgeExpiredTasks(retentionDays);
+      console.log(`[Trash Purge Job] Completed: ${purged} task(s) purged`);
+    } catch (error) {
+      console.error("[Trash Purge Job] Fatal error:", error);
+    }
+  });
+
+  console.log("[Trash Purge Job] Scheduled job initialized (runs daily at 3:00 AM)");
+};
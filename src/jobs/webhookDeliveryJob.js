@@ -0,0 +1,32 @@
+import cron from "node-cron";
+import { deliverPendingWebhooks } from "../utils/webhooks.js";
+
+let running = false;
+
+const runWebhookRetries = async () => {
+  // Skip a tick if the previous run is still going
+  if (running) return;
+  running = true;
+  try {
+    const { success, pending, failed } = await deliverPendingWebhooks();
+    if (success || pending || failed) {
+      console.log(`[Webhook Job] Retried deliveries: ${success} succeeded, ${pending} rescheduled, ${failed} gave up`);
+    }
+  } catch (error) {
+    console.error("[Webhook Job] Fatal error:", error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Scheduled job that runs every minute and retries webhook deliveries whose next
+ * attempt is due (first attempts are made as soon as the activity happens)
+ */
+export const startWebhookDeliveryJob = () => {
+  // "* * * * *" = every minute
+  cron.schedule("* * * * *", runWebhookRetries);
+  runWebhookRetries();
+
+  console.log("[Webhook Job] Scheduled job initialized (runs every minute)");
+};
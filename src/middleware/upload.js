@@ -0,0 +1,90 @@
+import multer from "multer";
+
+// Attachment upload limits (read per request so .env changes apply after dotenv loads)
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "text/markdown",
+  "application/json",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+];
+export const MAX_FILES_PER_UPLOAD = 5;
+
+export const getAttachmentMaxBytes = () => {
+  const bytes = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10);
+  return Number.isFinite(bytes) && bytes > 0 ? bytes : DEFAULT_MAX_BYTES;
+};
+
+// Comma-separated MIME types; "type/*" wildcards are allowed
+export const getAllowedAttachmentTypes = () => {
+  const raw = process.env.ATTACHMENT_ALLOWED_TYPES;
+  if (!raw) return DEFAULT_ALLOWED_TYPES;
+  return raw.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+};
+
+export const isAllowedAttachmentType = (mimetype, allowed = getAllowedAttachmentTypes()) => {
+  const type = (mimetype || '').toLowerCase();
+  return allowed.some(a => a === type || (a.endsWith('/*') && type.startsWith(a.slice(0, -1))));
+};
+
+// Parse multipart "files" fields into memory, enforcing size/count/MIME limits.
+// Multer errors are turned into the usual JSON error responses.
+export const uploadAttachments = (req, res, next) => {
+  const maxBytes = getAttachmentMaxBytes();
+  const allowed = getAllowedAttachmentTypes();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: MAX_FILES_PER_UPLOAD },
+    fileFilter: (req, file, cb) => {
+      if (!isAllowedAttachmentType(file.mimetype, allowed)) {
+        const err = new Error(`File type ${file.mimetype} is not allowed`);
+        err.code = "UNSUPPORTED_TYPE";
+        return cb(err);
+      }
+      cb(null, true);
+    },
+  }).array("files", MAX_FILES_PER_UPLOAD);
+
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        success: false,
+        message: `File is too large (max ${maxBytes} bytes)`,
+      });
+    }
+    if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+      return res.status(400).json({
+        success: false,
+        message: `Upload up to ${MAX_FILES_PER_UPLOAD} files in the "files" field`,
+      });
+    }
+    if (err.code === "UNSUPPORTED_TYPE") {
+      return res.status(415).json({
+        success: false,
+        message: err.message,
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      message: "Invalid upload",
+      error: err.message,
+    });
+  });
+};
+
+export default { uploadAttachments };
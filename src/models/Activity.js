@@ -5,7 +5,14 @@ const activitySchema = new mongoose.Schema(
     // Type of activity
     type: {
       type: String,
-      enum: ["task_created", "task_moved", "task_deleted", "task_updated", "member_added", "member_removed", "member_role_changed", "member_rejoined"],
+      enum: [
+        "task_created", "task_moved", "task_deleted", "task_updated", "task_restored", "task_overdue",
+        "tasks_bulk_updated", "tasks_bulk_deleted",
+        "subtask_added", "subtask_updated", "subtask_completed", "subtask_reopened", "subtask_deleted", "subtasks_reordered",
+        "comment_added",
+        "attachment_added", "attachment_deleted",
+        "member_added", "member_removed", "member_role_changed", "member_rejoined",
+      ],
       required: true,
     },
     // Task reference (if applicable)
@@ -17,6 +24,33 @@ const activitySchema = new mongoose.Schema(
     taskTitle: {
       type: String,
     },
+    // Checklist item title (for subtask_* activities)
+    subtaskTitle: {
+      type: String,
+    },
+    // Comment reference (for comment_added)
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    // File name(s) for attachment_* activities
+    attachmentName: {
+      type: String,
+    },
+    // Tasks covered by a bulk activity (tasks_bulk_*)
+    taskIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+    taskCount: {
+      type: Number,
+    },
+    // Summary of the fields a bulk update changed
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+    },
     // User who performed the action (auth0Id)
     userId: {
       type: String,
@@ -42,6 +76,13 @@ const activitySchema = new mongoose.Schema(
       type: String,
       enum: ["pending", "in-progress", "completed"],
     },
+    // Workflow columns for the transition (custom group statuses)
+    fromStatusKey: {
+      type: String,
+    },
+    toStatusKey: {
+      type: String,
+    },
     // Timestamp
     timestamp: {
       type: Date,
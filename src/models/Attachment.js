@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// A file attached to a task. The bytes live in the storage adapter under storageKey.
+const attachmentSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+    },
+    // Group/Workspace tag of the task at upload time
+    groupTag: {
+      type: String,
+      default: "@personal",
+    },
+    // Uploader (auth0Id) and display name (denormalized)
+    userId: {
+      type: String,
+      required: true,
+    },
+    userName: {
+      type: String,
+      default: "Unknown",
+    },
+    // Original file name as sent by the client
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 255,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    // Size in bytes
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Where the file lives: adapter name + key within it
+    storageDriver: {
+      type: String,
+      enum: ["local", "s3"],
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attachmentSchema.index({ taskId: 1, createdAt: -1 });
+
+export default mongoose.models.Attachment || mongoose.model("Attachment", attachmentSchema);
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+const commentSchema = new mongoose.Schema(
+  {
+    // Task the comment belongs to
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+    },
+    // Group/Workspace tag of the task (denormalized for cleanup)
+    groupTag: {
+      type: String,
+      default: "@personal",
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    // Parent comment for replies (null for top-level comments)
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // Author (auth0Id)
+    userId: {
+      type: String,
+      required: true,
+    },
+    // Author name for display (denormalized)
+    userName: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Comment cannot exceed 5000 characters"],
+      default: "",
+    },
+    // Users mentioned with @name (auth0Id)
+    mentions: [
+      {
+        type: String,
+      },
+    ],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Comments with replies are blanked instead of removed so threads stay intact
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ taskId: 1, createdAt: 1 });
+commentSchema.index({ parentId: 1 });
+
+export default mongoose.models.Comment || mongoose.model("Comment", commentSchema);
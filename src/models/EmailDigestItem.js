@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// A notification email waiting to go out in a user's daily/weekly digest
+const emailDigestItemSchema = new mongoose.Schema(
+  {
+    // Recipient (auth0Id)
+    userId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["invitation", "task_assigned", "task_due_reminder"],
+      required: true,
+    },
+    // Template data captured when the notification happened
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailDigestItemSchema.index({ userId: 1, createdAt: 1 });
+
+export default mongoose.models.EmailDigestItem || mongoose.model("EmailDigestItem", emailDigestItemSchema);
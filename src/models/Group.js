@@ -74,6 +74,37 @@ const groupSchema = new mongoose.Schema(
         },
       },
     ],
+    // Ordered workflow columns; empty means the default pending/in-progress/completed board
+    statuses: [
+      {
+        _id: false,
+        key: {
+          type: String,
+          required: true,
+          trim: true,
+          lowercase: true,
+        },
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        // Base state this status maps to
+        category: {
+          type: String,
+          enum: ["pending", "in-progress", "completed"],
+          required: true,
+        },
+        color: {
+          type: String,
+          default: null,
+        },
+        order: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
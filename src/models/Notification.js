@@ -11,7 +11,7 @@ const notificationSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ["invitation", "task_assigned"],
+      enum: ["invitation", "task_assigned", "comment_mention", "task_due_reminder", "task_overdue", "overdue_digest", "time_session_idle"],
     },
     taskId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -45,6 +45,16 @@ const notificationSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Archived notifications leave the inbox but aren't deleted
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set while the notification's task is in the trash; cleared on restore
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: null,
@@ -56,6 +66,9 @@ const notificationSchema = new mongoose.Schema(
 );
 
 notificationSchema.index({ userId: 1, createdAt: -1 });
+// Inbox pages and unread counts
+notificationSchema.index({ userId: 1, archivedAt: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ userId: 1, acknowledgedAt: 1, archivedAt: 1, type: 1 });
 notificationSchema.index(
   { userId: 1, type: 1, taskId: 1 },
   {
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// A browser/device Web Push subscription for one user
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    // Owner (auth0Id)
+    userId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Push service URL; identifies the device
+    endpoint: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true },
+    },
+    // Shown when listing devices
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pushSubscriptionSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.models.PushSubscription || mongoose.model("PushSubscription", pushSubscriptionSchema);
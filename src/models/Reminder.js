@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// A scheduled due-date reminder for one user about one task.
+// Pending reminders live here (not in memory) so they survive restarts.
+const reminderSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    // Recipient (auth0Id)
+    userId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // How long before the due moment the reminder fires
+    offsetMinutes: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    remindAt: {
+      type: Date,
+      required: true,
+    },
+    // pending -> sending (claimed by the job) -> sent | cancelled
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "cancelled"],
+      default: "pending",
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One reminder per task/user/offset/moment, so re-syncing never schedules duplicates
+reminderSchema.index({ taskId: 1, userId: 1, offsetMinutes: 1, remindAt: 1 }, { unique: true });
+reminderSchema.index({ status: 1, remindAt: 1 });
+// Sent reminders are only kept for de-duplication until well past the due date
+reminderSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.models.Reminder || mongoose.model("Reminder", reminderSchema);
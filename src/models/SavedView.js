@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const savedViewSchema = new mongoose.Schema(
+  {
+    // Owner/Creator of the view (auth0Id)
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      maxlength: [100, "View name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Normalized task search filters (see utils/taskSearch.js parseTaskFilters)
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    sort: {
+      type: String,
+      default: null,
+    },
+    order: {
+      type: String,
+      enum: ["asc", "desc", null],
+      default: null,
+    },
+    // Group the view is shared with (null = private to the owner)
+    sharedWithGroup: {
+      type: String,
+      default: null,
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// View names are unique per user
+savedViewSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export default mongoose.models.SavedView || mongoose.model("SavedView", savedViewSchema);
@@ -33,6 +33,16 @@ const taskSchema = new mongoose.Schema(
       enum: ["pending", "in-progress", "completed"],
       default: "pending",
     },
+    // Group workflow column (see Group.statuses); `status` holds the base state it maps to
+    statusKey: {
+      type: String,
+      default: null,
+    },
+    // Manual position within the column (ascending)
+    rank: {
+      type: Number,
+      default: null,
+    },
     // Timestamps for status changes
     startedAt: {
       type: Date,
@@ -42,9 +52,20 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Date-only due dates are stored at 00:00 UTC of that calendar day;
+    // with dueHasTime the value is the exact moment the task is due
     dueDate: {
-      type: String,
-      default: "",
+      type: Date,
+      default: null,
+    },
+    dueHasTime: {
+      type: Boolean,
+      default: false,
+    },
+    // Reminder offsets (minutes before due) for everyone on the task; unset = each user's defaults
+    reminderOffsets: {
+      type: [Number],
+      default: undefined,
     },
     documentationLink: {
       type: String,
@@ -61,6 +82,79 @@ const taskSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Soft delete: archived tasks sit in the trash until restored or purged
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: String, // auth0Id
+      default: null,
+    },
+    // Why the task was archived ("deleted" by a user, or its group was deleted)
+    archivedReason: {
+      type: String,
+      enum: ["deleted", "group_deleted", null],
+      default: null,
+    },
+    // Checklist items; when present, progress is derived from completed items
+    subtasks: [
+      {
+        title: {
+          type: String,
+          required: [true, "Subtask title is required"],
+          trim: true,
+        },
+        completed: {
+          type: Boolean,
+          default: false,
+        },
+        completedAt: {
+          type: Date,
+          default: null,
+        },
+        completedBy: {
+          type: String, // auth0Id
+          default: null,
+        },
+        // Position within the checklist (0-based)
+        order: {
+          type: Number,
+          default: 0,
+        },
+        createdBy: {
+          type: String, // auth0Id
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Recurring series this task is an instance of (null for one-off tasks)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskSeries",
+      default: null,
+      index: true,
+    },
+    // Instance spawned when this one was completed (prevents duplicate spawns)
+    nextInstanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    // Tasks (in the same group) that must be completed before this one can start
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
     // Future: Collaboration features
     // Array of user IDs who have access to this task (using auth0Id)
     collaborators: [
@@ -213,6 +307,24 @@ taskSchema.index({ teamId: 1 });
 taskSchema.index({ projectId: 1 });
 taskSchema.index({ groupTag: 1, createdAt: -1 });
 taskSchema.index({ groupTag: 1, status: 1 });
+taskSchema.index({ groupTag: 1, statusKey: 1, rank: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ archived: 1, archivedAt: 1 });
+// Full-text search over title, description and tags
+taskSchema.index(
+  { title: "text", description: "text", tags: "text" },
+  { name: "task_text_search", weights: { title: 5, tags: 3, description: 1 } }
+);
+
+// Hide archived tasks from every find unless the query asks for them explicitly,
+// either by filtering on `archived` or with the `includeArchived` option.
+taskSchema.pre(/^find/, function () {
+  const filter = this.getFilter();
+  if (this.getOptions().includeArchived || Object.prototype.hasOwnProperty.call(filter, 'archived')) {
+    return;
+  }
+  this.where({ archived: { $ne: true } });
+});
 
 export default mongoose.models.Task || mongoose.model("Task", taskSchema);
 
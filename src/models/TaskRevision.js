@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// One recorded change to a task: which fields changed, from what, to what, and by whom
+const taskRevisionSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    // Group/Workspace tag of the task at the time of the change
+    groupTag: {
+      type: String,
+      default: "@personal",
+    },
+    // Actor (auth0Id) and display name (denormalized)
+    userId: {
+      type: String,
+      required: true,
+    },
+    userName: {
+      type: String,
+      default: "Unknown",
+    },
+    // Which endpoint produced the change
+    source: {
+      type: String,
+      enum: ["update", "status", "progress", "bulk", "revert"],
+      required: true,
+    },
+    // For source "revert": the revision the task was reverted to
+    revertedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskRevision",
+      default: null,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null },
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+taskRevisionSchema.index({ taskId: 1, createdAt: -1 });
+
+export default mongoose.models.TaskRevision || mongoose.model("TaskRevision", taskRevisionSchema);
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+
+// A recurring task series: the rule plus the template each new instance is created from
+const taskSeriesSchema = new mongoose.Schema(
+  {
+    // Owner/Creator of the series (auth0Id); instances are owned by this user
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    // Group/Workspace tag (e.g., "@personal", "@web-ui")
+    groupTag: {
+      type: String,
+      default: "@personal",
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    // Recurrence rule
+    rule: {
+      frequency: {
+        type: String,
+        enum: ["daily", "weekly", "monthly", "interval"],
+        required: [true, "Recurrence frequency is required"],
+      },
+      // Repeat every N days/weeks/months ("interval" = every N days)
+      interval: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      // For weekly: days of week (0 = Sunday, 6 = Saturday)
+      weekdays: [
+        {
+          type: Number,
+          min: 0,
+          max: 6,
+        },
+      ],
+      // For monthly: day of month (clamped to the last day of shorter months)
+      dayOfMonth: {
+        type: Number,
+        min: 1,
+        max: 31,
+        default: null,
+      },
+    },
+    // Stop generating instances after this date (optional)
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    stoppedAt: {
+      type: Date,
+      default: null,
+    },
+    stoppedBy: {
+      type: String, // auth0Id
+      default: null,
+    },
+    // Fields copied onto every new instance
+    template: {
+      title: {
+        type: String,
+        required: [true, "Task title is required"],
+        trim: true,
+      },
+      description: { type: String, default: "" },
+      category: { type: String, default: "" },
+      priority: {
+        type: String,
+        enum: ["High", "Medium", "Low"],
+        default: "Medium",
+      },
+      documentationLink: { type: String, default: "" },
+      tags: [{ type: String, trim: true }],
+      assignedTo: [{ type: String }], // auth0Id
+      assignedUsers: [
+        {
+          userId: { type: String, required: true },
+          name: { type: String, required: true },
+          email: { type: String },
+        },
+      ],
+      // Checklist item titles (reset to unchecked on each instance)
+      subtasks: [{ type: String, trim: true }],
+      timePlanning: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+      },
+    },
+    // Number of instances created so far (including the first)
+    occurrenceCount: {
+      type: Number,
+      default: 1,
+    },
+    // Most recently created instance
+    lastInstanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taskSeriesSchema.index({ groupTag: 1, active: 1 });
+
+export default mongoose.models.TaskSeries || mongoose.model("TaskSeries", taskSeriesSchema);
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// Reusable task blueprint. Personal templates belong to their creator;
+// group templates are shared with the group and managed by its owner/admins.
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    // Creator (auth0Id)
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    // "@personal" for user templates, otherwise the group the template belongs to
+    groupTag: {
+      type: String,
+      default: "@personal",
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    // Task fields; title/description may contain {{variables}}
+    title: {
+      type: String,
+      required: [true, "Task title is required"],
+      trim: true,
+    },
+    description: { type: String, default: "" },
+    category: { type: String, default: "" },
+    priority: {
+      type: String,
+      enum: ["High", "Medium", "Low"],
+      default: "Medium",
+    },
+    documentationLink: { type: String, default: "" },
+    tags: [{ type: String, trim: true }],
+    // Checklist item titles
+    subtasks: [{ type: String, trim: true }],
+    // Initial workflow status (custom key or base state)
+    status: { type: String, default: null },
+    // Days from creation until the task is due (optional)
+    dueInDays: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Defaults merged into the new task's timePlanning
+    timePlanning: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // How many tasks have been created from this template
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taskTemplateSchema.index({ groupTag: 1, name: 1 });
+
+export default mongoose.models.TaskTemplate || mongoose.model("TaskTemplate", taskTemplateSchema);
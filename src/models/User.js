@@ -1,5 +1,12 @@
 import mongoose from "mongoose";
 
+// In-app / email / push switches for one notification type (push is opt-in)
+const channelSettings = (email = true) => ({
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: email },
+  push: { type: Boolean, default: false },
+});
+
 const userSchema = new mongoose.Schema(
   {
     // Auth0 unique identifier (sub claim from JWT token)
@@ -22,7 +29,13 @@ const userSchema = new mongoose.Schema(
       type: String, // Profile picture URL from Auth0
     },
     customPicture: {
-      type: String, // Base64-encoded custom profile picture (stored in MongoDB)
+      type: String, // URL of the uploaded picture (older accounts may still hold a base64 data URL)
+    },
+    // Where the uploaded picture is kept (see src/storage)
+    customPictureStorage: {
+      driver: { type: String },
+      key: { type: String },
+      contentType: { type: String },
     },
     // User preferences (can be extended)
     preferences: {
@@ -31,9 +44,42 @@ const userSchema = new mongoose.Schema(
         enum: ["light", "dark", "auto"],
         default: "light",
       },
+      // Per-type delivery channels (see utils/notificationPreferences.js)
       notifications: {
-        type: Boolean,
-        default: true,
+        invitation: channelSettings(),
+        task_assigned: channelSettings(),
+        comment_mention: channelSettings(false),
+        task_due_reminder: channelSettings(),
+        task_overdue: channelSettings(false),
+        overdue_digest: channelSettings(false),
+        time_session_idle: channelSettings(false),
+      },
+      // Group tags the user gets no notifications about
+      mutedGroups: {
+        type: [String],
+        default: [],
+      },
+      // Live pushes are held back during this window (HH:mm, user's time zone)
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: "22:00" },
+        end: { type: String, default: "07:00" },
+      },
+      // Email timing: send right away, or batch into a daily/weekly digest
+      emailDigest: {
+        type: String,
+        enum: ["immediate", "daily", "weekly"],
+        default: "immediate",
+      },
+      // IANA time zone (e.g. "Europe/Berlin") used for due dates; null = server default
+      timezone: {
+        type: String,
+        default: null,
+      },
+      // Default due-date reminders, in minutes before due; unset = one day before
+      reminderOffsets: {
+        type: [Number],
+        default: undefined,
       },
     },
     // For future features: teams/organizations
@@ -73,6 +119,8 @@ const userSchema = new mongoose.Schema(
 // Index for faster queries
 // Note: auth0Id already has an index from unique: true, so we don't need to create it again
 userSchema.index({ email: 1 });
+// Serving uploaded pictures
+userSchema.index({ "customPictureStorage.key": 1 }, { sparse: true });
 
 export default mongoose.models.User || mongoose.model("User", userSchema);
 
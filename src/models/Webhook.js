@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// An outgoing webhook registered by a group admin: activity of the selected types is
+// POSTed to `url` with an HMAC signature made from `secret`
+const webhookSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    secret: {
+      type: String,
+      required: true,
+    },
+    // Activity types to deliver
+    events: {
+      type: [String],
+      default: [],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["success", "failed", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ groupId: 1, active: 1 });
+
+export default mongoose.models.Webhook || mongoose.model("Webhook", webhookSchema);
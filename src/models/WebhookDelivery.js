@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// One attempt series for sending one activity to one webhook (the delivery log)
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    groupTag: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    activityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Activity",
+      default: null,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The JSON body as sent (signed at send time)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // pending -> sending (claimed) -> success | pending (retry) | failed (gave up)
+    status: {
+      type: String,
+      enum: ["pending", "sending", "success", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    // Outcome of the latest attempt (response bodies are never stored)
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// The log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.models.WebhookDelivery || mongoose.model("WebhookDelivery", webhookDeliverySchema);
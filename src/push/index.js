@@ -0,0 +1,51 @@
+import webpush from "web-push";
+
+// Push senders share one interface:
+//   send(subscription, payload) -> resolves when the push service accepted the message;
+//   rejects with an error carrying `statusCode` (404/410 = subscription is gone).
+// The default sender uses VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT; without
+// keys push is disabled. Swap it with setPushSender (e.g. a stub in tests).
+
+let sender;
+
+export const getVapidPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+export const createWebPushSender = ({ publicKey, privateKey, subject } = {}) => {
+  if (!publicKey || !privateKey) return null;
+  const vapidDetails = {
+    subject: subject || "mailto:no-reply@efficio.local",
+    publicKey,
+    privateKey,
+  };
+
+  return {
+    name: "web-push",
+
+    async send(subscription, payload) {
+      return webpush.sendNotification(subscription, JSON.stringify(payload), {
+        vapidDetails,
+        TTL: 24 * 60 * 60,
+      });
+    },
+  };
+};
+
+// Shared sender, created on first use (after dotenv has loaded); null when push is off
+export const getPushSender = () => {
+  if (sender === undefined) {
+    sender = createWebPushSender({
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+      subject: process.env.VAPID_SUBJECT,
+    });
+  }
+  return sender;
+};
+
+export const setPushSender = (value) => {
+  sender = value;
+};
+
+export const isPushEnabled = () => !!getPushSender();
+
+export default { getVapidPublicKey, createWebPushSender, getPushSender, setPushSender, isPushEnabled };
@@ -1,5 +1,6 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
+import User from '../models/User.js';
 import { addClient, removeClient } from '../utils/sseManager.js';
 import { getConnectedUsers } from '../utils/sseManager.js';
 
@@ -15,7 +16,7 @@ const authQueryToHeader = (req, res, next) => {
   next();
 };
 
-router.get('/stream', authQueryToHeader, authenticate, (req, res) => {
+router.get('/stream', authQueryToHeader, authenticate, async (req, res) => {
   res.set({
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache, no-transform',
@@ -34,7 +35,18 @@ router.get('/stream', authQueryToHeader, authenticate, (req, res) => {
   res.write(`event: connected\n`);
   res.write(`data: ${JSON.stringify({ connected: true, userId })}\n\n`);
 
-  addClient(userId, res);
+  // Notification preferences decide which live notifications get pushed
+  let preferences = null;
+  try {
+    const user = await User.findOne({ auth0Id: userId }).select('preferences').lean();
+    preferences = user?.preferences || null;
+  } catch (e) {
+    // fall back to pushing everything
+  }
+  // The client may have gone away while preferences loaded
+  if (req.destroyed) return;
+
+  addClient(userId, res, preferences);
 
   // Heartbeat to keep connection alive
   const heartbeat = setInterval(() => {
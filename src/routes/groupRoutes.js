@@ -12,7 +12,17 @@ import {
   removeMember,
   getGroupMembers,
   exitGroup,
+  getGroupStatuses,
+  updateGroupStatuses,
 } from "../controllers/groupController.js";
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+} from "../controllers/webhookController.js";
 import { authenticate } from "../middleware/auth.js";
 
 const router = express.Router();
@@ -47,6 +57,20 @@ router.put("/:id/members/:userId", updateMemberRole);
 // Remove member from group
 router.delete("/:id/members/:userId", removeMember);
 
+// Workflow statuses (kanban columns) - must come before /:id routes
+router.get("/:id/statuses", getGroupStatuses);
+
+// Replace workflow statuses - owner or admin only
+router.put("/:id/statuses", updateGroupStatuses);
+
+// Outgoing webhooks - owner or admin only (must come before /:id routes)
+router.get("/:id/webhooks", getWebhooks);
+router.post("/:id/webhooks", createWebhook);
+router.put("/:id/webhooks/:webhookId", updateWebhook);
+router.delete("/:id/webhooks/:webhookId", deleteWebhook);
+router.get("/:id/webhooks/:webhookId/deliveries", getWebhookDeliveries);
+router.post("/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver", redeliverWebhookDelivery);
+
 // Get single group by ID
 router.get("/:id", getGroupById);
 
@@ -2,6 +2,10 @@ import express from "express";
 import { authenticate } from "../middleware/auth.js";
 import {
 	getNotifications,
+	getUnreadCount,
+	archiveNotification,
+	unarchiveNotification,
+	archiveReadNotifications,
 	markNotificationAsRead,
 	markAllNotificationsAsRead,
 	getRawNotificationsForUser,
@@ -16,9 +20,13 @@ router.use(authenticate);
 
 // Get notifications for current user
 router.get("/", getNotifications);
+router.get("/unread-count", getUnreadCount);
 router.put("/read-all", markAllNotificationsAsRead);
+router.put("/archive-read", archiveReadNotifications);
 router.delete("/task-assignments", clearTaskNotifications);
 router.put("/:notificationId/read", markNotificationAsRead);
+router.put("/:notificationId/archive", archiveNotification);
+router.put("/:notificationId/unarchive", unarchiveNotification);
 router.delete("/:notificationId", deleteNotification);
 
 // Dev-only: inspect raw Notification documents for a user
@@ -9,7 +9,44 @@ import {
   updateTaskProgress,
   configureTimePlanning,
 } from "../controllers/taskController.js";
+import {
+  createSubtask,
+  updateSubtask,
+  toggleSubtask,
+  reorderSubtasks,
+  deleteSubtask,
+} from "../controllers/subtaskController.js";
+import {
+  getDependencies,
+  addDependency,
+  removeDependency,
+} from "../controllers/dependencyController.js";
+import {
+  setTaskRecurrence,
+  stopTaskRecurrence,
+  getSeries,
+  updateSeries,
+  stopSeries,
+} from "../controllers/recurrenceController.js";
+import {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} from "../controllers/commentController.js";
+import { searchTasks } from "../controllers/searchController.js";
+import { bulkUpdateTasks } from "../controllers/bulkTaskController.js";
+import { getTrash, restoreTask } from "../controllers/trashController.js";
+import { getTaskHistory, revertTaskToRevision } from "../controllers/historyController.js";
+import {
+  getAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment,
+} from "../controllers/attachmentController.js";
+import { getTaskReminders, updateTaskReminders } from "../controllers/reminderController.js";
 import { authenticate } from "../middleware/auth.js";
+import { uploadAttachments as parseAttachmentUpload } from "../middleware/upload.js";
 
 const router = express.Router();
 
@@ -19,6 +56,27 @@ router.use(authenticate);
 // Get all tasks
 router.get("/", getTasks);
 
+// Search tasks (must come before /:id routes)
+router.get("/search", searchTasks);
+
+// Apply status/priority/assignee/tag/due-date changes or deletes to many tasks
+router.post("/bulk", bulkUpdateTasks);
+
+// Archived (deleted) tasks awaiting purge (must come before /:id routes)
+router.get("/trash", getTrash);
+
+// Restore an archived task
+router.post("/:id/restore", restoreTask);
+
+// Field-level change history
+router.get("/:id/history", getTaskHistory);
+router.post("/:id/history/:revisionId/revert", revertTaskToRevision);
+
+// Recurring task series (must come before /:id routes)
+router.get("/series/:seriesId", getSeries);
+router.put("/series/:seriesId", updateSeries);
+router.post("/series/:seriesId/stop", stopSeries);
+
 // Get single task
 router.get("/:id", getTaskById);
 
@@ -37,6 +95,38 @@ router.patch("/:id/progress", updateTaskProgress);
 // Configure time planning for a task
 router.patch("/:id/time-planning", configureTimePlanning);
 
+// Checklist / subtasks (reorder must come before /:subtaskId routes)
+router.post("/:id/subtasks", createSubtask);
+router.put("/:id/subtasks/reorder", reorderSubtasks);
+router.patch("/:id/subtasks/:subtaskId/toggle", toggleSubtask);
+router.patch("/:id/subtasks/:subtaskId", updateSubtask);
+router.delete("/:id/subtasks/:subtaskId", deleteSubtask);
+
+// Dependencies ("blocked by" links within a group)
+router.get("/:id/dependencies", getDependencies);
+router.post("/:id/dependencies", addDependency);
+router.delete("/:id/dependencies/:blockerId", removeDependency);
+
+// Task-level recurrence (regenerates the task when an instance is completed)
+router.put("/:id/recurrence", setTaskRecurrence);
+router.delete("/:id/recurrence", stopTaskRecurrence);
+
+// Comments (threaded, with @mentions)
+router.get("/:id/comments", getComments);
+router.post("/:id/comments", createComment);
+router.put("/:id/comments/:commentId", updateComment);
+router.delete("/:id/comments/:commentId", deleteComment);
+
+// Due-date reminders (per-task override of users' default offsets)
+router.get("/:id/reminders", getTaskReminders);
+router.put("/:id/reminders", updateTaskReminders);
+
+// Attachments (multipart upload in the "files" field)
+router.get("/:id/attachments", getAttachments);
+router.post("/:id/attachments", parseAttachmentUpload, uploadAttachments);
+router.get("/:id/attachments/:attachmentId/download", downloadAttachment);
+router.delete("/:id/attachments/:attachmentId", deleteAttachment);
+
 // Delete task
 router.delete("/:id", deleteTask);
 
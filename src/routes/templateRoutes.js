@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createTaskFromTemplate,
+} from "../controllers/templateController.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All template routes require authentication
+router.use(authenticate);
+
+// Get own templates and templates of the user's groups
+router.get("/", getTemplates);
+
+// Create template - group templates: owner or admin only
+router.post("/", createTemplate);
+
+// Create a task from a template
+router.post("/:id/tasks", createTaskFromTemplate);
+
+// Get single template
+router.get("/:id", getTemplateById);
+
+// Update template - creator (personal) or group owner/admin
+router.put("/:id", updateTemplate);
+
+// Delete template - creator (personal) or group owner/admin
+router.delete("/:id", deleteTemplate);
+
+export default router;
@@ -5,15 +5,25 @@ import {
   updateUser,
   logoutUser,
   uploadProfilePicture,
+  getProfilePicture,
   deactivateAccount,
   deleteAccount,
   searchUsers,
   getPendingInvitations,
 } from "../controllers/userController.js";
+import {
+  getPushConfig,
+  getPushSubscriptions,
+  createPushSubscription,
+  deletePushSubscription,
+} from "../controllers/pushSubscriptionController.js";
 import { authenticate } from "../middleware/auth.js";
 
 const router = express.Router();
 
+// Uploaded profile pictures are public (image tags can't send a token)
+router.get("/pictures/:pictureId", getProfilePicture);
+
 // All user routes require authentication
 router.use(authenticate);
 
@@ -44,4 +54,10 @@ router.get("/search", searchUsers);
 // Get pending group invitations
 router.get("/invitations", getPendingInvitations);
 
+// Web Push devices
+router.get("/push/config", getPushConfig);
+router.get("/push/subscriptions", getPushSubscriptions);
+router.post("/push/subscriptions", createPushSubscription);
+router.delete("/push/subscriptions/:subscriptionId", deletePushSubscription);
+
 export default router;
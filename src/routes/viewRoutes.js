@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getViews,
+  getViewById,
+  createView,
+  updateView,
+  deleteView,
+  runView,
+} from "../controllers/viewController.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All view routes require authentication
+router.use(authenticate);
+
+// Get own views and views shared with the user's groups
+router.get("/", getViews);
+
+// Create a saved view
+router.post("/", createView);
+
+// Run a view (returns matching tasks)
+router.get("/:id/tasks", runView);
+
+// Get single view
+router.get("/:id", getViewById);
+
+// Update view - owner only
+router.put("/:id", updateView);
+
+// Delete view - owner only
+router.delete("/:id", deleteView);
+
+export default router;
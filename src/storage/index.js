@@ -0,0 +1,47 @@
+import { createLocalStorage } from "./localStorage.js";
+import { createS3Storage } from "./s3Storage.js";
+
+// Storage adapters share one interface:
+//   put(key, buffer, { contentType }) -> { key, size }
+//   get(key) -> { stream, size }
+//   remove(key)
+// STORAGE_DRIVER selects the backend ("local" by default, or "s3").
+
+let storage = null;
+
+export const createStorage = (driver = process.env.STORAGE_DRIVER || "local") => {
+  if (driver === "s3") {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    });
+  }
+  if (driver === "local") {
+    return createLocalStorage({ rootDir: process.env.STORAGE_LOCAL_DIR });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+};
+
+// Shared adapter, created on first use (after dotenv has loaded)
+export const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+// Adapter for an object stored under a given driver (files uploaded before a
+// STORAGE_DRIVER switch stay readable)
+export const getStorageForDriver = (driver) => {
+  const current = getStorage();
+  return current.driver === driver ? current : createStorage(driver);
+};
+
+// Swap the adapter (e.g. a different backend in scripts)
+export const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+export default { createStorage, getStorage, getStorageForDriver, setStorage };
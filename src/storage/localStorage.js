@@ -0,0 +1,44 @@
+import fs from "fs";
+import path from "path";
+
+// Stores objects as files under a root directory (default ./uploads)
+export const createLocalStorage = ({ rootDir } = {}) => {
+  const root = path.resolve(rootDir || "uploads");
+
+  // Keep every key inside the root directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    driver: "local",
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+      return { key, size: body.length };
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      const stat = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), size: stat.size };
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+  };
+};
+
+export default { createLocalStorage };
@@ -0,0 +1,48 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+// Stores objects in an S3 bucket. `endpoint` + `forcePathStyle` cover
+// S3-compatible services (MinIO, R2, Spaces, ...).
+export const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false } = {}) => {
+  if (!bucket) {
+    throw new Error("S3 storage requires a bucket (S3_BUCKET)");
+  }
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle,
+    ...(accessKeyId && secretAccessKey
+      ? { credentials: { accessKeyId, secretAccessKey } }
+      : {}),
+  });
+
+  return {
+    driver: "s3",
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      }));
+      return { key, size: body.length };
+    },
+
+    async get(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return { stream: result.Body, size: result.ContentLength };
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+export default { createS3Storage };
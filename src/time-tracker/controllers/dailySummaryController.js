@@ -3,10 +3,8 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { dayWindow } from "../utils/timeRange.js";
 import { FOCUS_CATEGORIES } from "../utils/constants.js";
 import TimeSession from "../models/timeSession.js";
-
-function minutesBetween(a, b) {
-  return Math.max(0, Math.round((b - a) / 60000));
-}
+import { countFocusCycles } from "../services/focusService.js";
+import { activeMinutes } from "../utils/sessionDuration.js";
 
 // Get stored daily summary for a specific date
 export const getDailySummary = asyncHandler(async (req, res) => {
@@ -42,7 +40,7 @@ export const getDailySummary = asyncHandler(async (req, res) => {
         data: {
           totalMinutes: 0,
           byCategory: [],
-          focus: { deepMinutes: 0, otherMinutes: 0 },
+          focus: { deepMinutes: 0, otherMinutes: 0, cycles: 0, cycleMinutes: 0 },
         },
       });
     }
@@ -70,9 +68,7 @@ export const calculateAndStoreSummary = async (userId, dateStr, tz = "UTC") => {
       focus = 0;
 
     for (const s of sessions) {
-      const sStart = new Date(Math.max(s.startTime, start));
-      const sEnd = new Date(Math.min(s.endTime || new Date(), end));
-      const mins = minutesBetween(sStart, sEnd);
+      const mins = activeMinutes(s, start, end);
       if (!mins) continue;
 
       total += mins;
@@ -80,6 +76,8 @@ export const calculateAndStoreSummary = async (userId, dateStr, tz = "UTC") => {
       if (FOCUS_CATEGORIES.has(s.categoryId)) focus += mins;
     }
 
+    const cycles = await countFocusCycles(userId, start, end);
+
     const summaryData = {
       userId,
       date: dateStr,
@@ -91,6 +89,8 @@ export const calculateAndStoreSummary = async (userId, dateStr, tz = "UTC") => {
       focus: {
         deepMinutes: focus,
         otherMinutes: Math.max(0, total - focus),
+        cycles: cycles.cycles,
+        cycleMinutes: cycles.minutes,
       },
     };
 
@@ -156,7 +156,7 @@ export const getDailySummaryBatch = asyncHandler(async (req, res) => {
         summary = {
           totalMinutes: 0,
           byCategory: [],
-          focus: { deepMinutes: 0, otherMinutes: 0 },
+          focus: { deepMinutes: 0, otherMinutes: 0, cycles: 0, cycleMinutes: 0 },
         };
       }
     }
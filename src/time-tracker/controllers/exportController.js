@@ -0,0 +1,79 @@
+import TimeSession from "../models/timeSession.js";
+import TimePlan from "../models/timePlan.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { rangeWindow } from "../utils/timeRange.js";
+import {
+  MAX_EXPORT_DAYS,
+  normalizeExportOptions,
+  buildTimesheet,
+  timesheetToCsv,
+  timesheetToIcs,
+} from "../utils/timesheet.js";
+
+const safeFilePart = (value) => String(value).slice(0, 10).replace(/[^0-9A-Za-z-]/g, "");
+
+// Timesheet for start..end (end exclusive, like listSessions) in the user's tz.
+// Query: start, end, tz, format (csv|ics|json), groupBy (day|task|category|group),
+//        rounding (none|nearest|up|down), roundTo (minutes), include (sessions|plans|both)
+export const exportTimesheet = asyncHandler(async (req, res) => {
+  const userId = req.auth0Id;
+  const { start, end, tz } = req.query;
+
+  if (!start || !end) return res.status(422).json({ success: false, message: "Provide start&end" });
+  const window = rangeWindow(start, end, tz);
+  if (isNaN(window.start) || isNaN(window.end)) {
+    return res.status(422).json({ success: false, message: "Invalid start, end or tz" });
+  }
+  if (window.end <= window.start) return res.status(422).json({ success: false, message: "end must be after start" });
+  if (window.end - window.start > MAX_EXPORT_DAYS * 24 * 60 * 60000) {
+    return res.status(422).json({ success: false, message: `Exports can cover at most ${MAX_EXPORT_DAYS} days` });
+  }
+
+  const { value: options, error } = normalizeExportOptions(req.query);
+  if (error) return res.status(422).json({ success: false, message: error });
+
+  const overlapping = {
+    userId,
+    $or: [
+      { startTime: { $lt: window.end }, endTime: { $gt: window.start } },
+      { startTime: { $gte: window.start, $lt: window.end } },
+      { startTime: { $lt: window.end }, endTime: null },
+    ],
+  };
+  const now = new Date();
+  const [sessions, plans] = await Promise.all([
+    options.include !== "plans" ? TimeSession.find(overlapping).sort({ startTime: 1 }).lean() : [],
+    options.include !== "sessions"
+      ? TimePlan.find({ ...overlapping, status: { $ne: "canceled" } }).sort({ startTime: 1 }).lean()
+      : [],
+  ]);
+
+  const filename = `timesheet-${safeFilePart(start)}-${safeFilePart(end)}`;
+
+  if (options.format === "ics") {
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.ics"`);
+    return res.send(timesheetToIcs({ sessions, plans, now, rounding: options.rounding, roundTo: options.roundTo }));
+  }
+
+  const sheet = buildTimesheet(sessions, { window, tz, ...options, now });
+
+  if (options.format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    return res.send(timesheetToCsv(sheet, options.groupBy));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      range: { start: window.start, end: window.end, tz: tz || "UTC" },
+      groupBy: options.groupBy,
+      rounding: { rule: options.rounding, roundTo: options.roundTo },
+      groups: sheet.groups,
+      totals: sheet.totals,
+      sessions: sheet.entries,
+      ...(options.include !== "sessions" ? { plans } : {}),
+    },
+  });
+});
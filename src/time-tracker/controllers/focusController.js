@@ -0,0 +1,62 @@
+import FocusSession from "../models/focusSession.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { classifyForUser } from "../utils/classifier.js";
+import {
+  normalizeFocusSettings,
+  startFocusSession,
+  getActiveFocusSession,
+  advanceFocusSession,
+  skipFocusPhase,
+  stopFocusSession,
+} from "../services/focusService.js";
+
+export const getActiveFocus = asyncHandler(async (req, res) => {
+  const focus = await getActiveFocusSession(req.auth0Id);
+  // Same as /sessions/running: null data means "no focus session"
+  res.json({ success: true, data: focus || null, serverTime: new Date() });
+});
+
+// Body: { taskId?, taskTitle?, groupTag?, categoryId?, notes?, workMinutes?, shortBreakMinutes?,
+//         longBreakMinutes?, longBreakEvery?, targetCycles? }
+export const startFocus = asyncHandler(async (req, res) => {
+  const userId = req.auth0Id;
+  const body = req.body || {};
+  const { taskId = null, taskTitle = null, groupTag = "@personal", categoryId, notes = "" } = body;
+
+  const { value: settings, error } = normalizeFocusSettings(body);
+  if (error) return res.status(422).json({ success: false, message: error });
+
+  let finalCategory = categoryId;
+  if (!finalCategory) {
+    const guess = await classifyForUser(userId, taskTitle);
+    finalCategory = guess.categoryId;
+  }
+  if (finalCategory === "rest") {
+    return res.status(422).json({ success: false, message: "Focus sessions can't use the rest category" });
+  }
+
+  const focus = await startFocusSession(userId, { taskId, taskTitle, groupTag, categoryId: finalCategory, notes, settings });
+  res.status(201).json({ success: true, data: focus, serverTime: new Date() });
+});
+
+// End the current phase now and move on to the next one
+export const skipFocus = asyncHandler(async (req, res) => {
+  const focus = await FocusSession.findOne({ _id: req.params.id, userId: req.auth0Id });
+  if (!focus) return res.status(404).json({ success: false, message: "Focus session not found" });
+  if (focus.status !== "active") return res.status(409).json({ success: false, message: "Focus session already ended" });
+
+  const updated = await skipFocusPhase(focus);
+  res.json({ success: true, data: updated, serverTime: new Date() });
+});
+
+export const stopFocus = asyncHandler(async (req, res) => {
+  const focus = await FocusSession.findOne({ _id: req.params.id, userId: req.auth0Id });
+  if (!focus) return res.status(404).json({ success: false, message: "Focus session not found" });
+
+  // Phases that finished before the stop are logged as usual
+  const current = await advanceFocusSession(focus);
+  if (current.status !== "active") return res.status(409).json({ success: false, message: "Focus session already ended" });
+
+  const stopped = await stopFocusSession(current);
+  res.json({ success: true, data: stopped });
+});
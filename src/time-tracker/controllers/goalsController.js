@@ -2,8 +2,7 @@ import TimeGoal from "../models/timeGoal.js";
 import TimeSession from "../models/timeSession.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { dayWindow, rangeWindow, weekWindow } from "../utils/timeRange.js";
-
-function minutesBetween(a, b) { return Math.max(0, Math.round((b - a) / 60000)); }
+import { activeMinutes } from "../utils/sessionDuration.js";
 
 export const listGoals = asyncHandler(async (req, res) => {
   const userId = req.auth0Id;
@@ -41,12 +40,10 @@ export const listGoals = asyncHandler(async (req, res) => {
       ],
     }).lean();
 
-    // Calculate total minutes for this category in the time window
+    // Calculate total minutes for this category in the time window (minus paused time)
     let totalMinutes = 0;
     for (const s of sessions) {
-      const sStart = new Date(Math.max(s.startTime, start));
-      const sEnd = new Date(Math.min(s.endTime || new Date(), end));
-      const mins = minutesBetween(sStart, sEnd);
+      const mins = activeMinutes(s, start, end);
       if (mins > 0) {
         totalMinutes += mins;
       }
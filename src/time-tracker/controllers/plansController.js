@@ -3,6 +3,7 @@ import TimeSession from "../models/timeSession.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { dayWindow, rangeWindow } from "../utils/timeRange.js";
 import { classifyForUser } from "../utils/classifier.js";
+import { stopActiveFocusSession } from "../services/focusService.js";
 
 export const listPlans = asyncHandler(async (req, res) => {
   const userId = req.auth0Id;
@@ -152,6 +153,7 @@ export const startFromPlan = asyncHandler(async (req, res) => {
   if (!plan) return res.status(404).json({ success: false, message: "Plan not found" });
 
   // Stop any running session
+  await stopActiveFocusSession(userId);
   await TimeSession.updateMany({ userId, endTime: null }, { $set: { endTime: new Date() } });
 
   const session = await TimeSession.create({
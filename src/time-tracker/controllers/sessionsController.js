@@ -2,8 +2,25 @@ import TimeSession from "../models/timeSession.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { classifyForUser } from "../utils/classifier.js";
 import { dayWindow, rangeWindow } from "../utils/timeRange.js";
+import { getActiveFocusSession, stopActiveFocusSession } from "../services/focusService.js";
+import { openPause, sessionMinutes } from "../utils/sessionDuration.js";
+import { getIdleSettings, resolveIdleSession } from "../services/idleSessionService.js";
+import { OVERLAP_POLICIES, applyOverlapPolicy, findOverlapPairs } from "../services/overlapService.js";
+import Notification from "../../models/Notification.js";
+
+// overlapPolicy from the body (reject by default); null if it isn't a known policy
+function readOverlapPolicy(body) {
+  const policy = body?.overlapPolicy ?? "reject";
+  return OVERLAP_POLICIES.includes(policy) ? policy : null;
+}
+
+function overlapConflict(res, result) {
+  return res.status(409).json({ success: false, message: result.message, conflicts: result.conflicts });
+}
 
 export const getRunning = asyncHandler(async (req, res) => {
+  // Log any focus phase change that came due, so the running segment is current
+  await getActiveFocusSession(req.auth0Id);
   const doc = await TimeSession.findOne({ userId: req.auth0Id, endTime: null }).lean();
   // Return 200 with null data instead of 404 to avoid console errors in browser
   // Frontend handles null as "no running session"
@@ -15,6 +32,7 @@ export const startSession = asyncHandler(async (req, res) => {
   const { taskId = null, taskTitle = null, groupTag = "@personal", categoryId, notes = "" } = req.body;
 
   // Stop any existing running session (atomic-ish)
+  await stopActiveFocusSession(userId);
   await TimeSession.updateMany({ userId, endTime: null }, { $set: { endTime: new Date() } });
 
   let finalCategory = categoryId;
@@ -45,10 +63,76 @@ export const stopSession = asyncHandler(async (req, res) => {
   if (doc.endTime) return res.status(409).json({ success: false, message: "Session already stopped" });
 
   doc.endTime = endTime ? new Date(endTime) : new Date();
+  // A paused session stops where it is (the pause runs until the end)
+  const pause = openPause(doc);
+  if (pause) pause.end = new Date(Math.max(pause.start, doc.endTime));
+  await doc.save();
+  // Stopping a focus segment ends the whole focus session
+  if (doc.focusSessionId) await stopActiveFocusSession(userId, doc.endTime);
+  res.json({ success: true, data: doc });
+});
+
+export const pauseSession = asyncHandler(async (req, res) => {
+  const userId = req.auth0Id;
+  const { id } = req.params;
+
+  const doc = await TimeSession.findOne({ _id: id, userId });
+  if (!doc) return res.status(404).json({ success: false, message: "Session not found" });
+  if (doc.endTime) return res.status(409).json({ success: false, message: "Session already stopped" });
+  if (openPause(doc)) return res.status(409).json({ success: false, message: "Session already paused" });
+  // Focus phases run on a schedule; skip or stop the focus session instead
+  if (doc.focusSessionId) return res.status(409).json({ success: false, message: "Focus sessions can't be paused" });
+
+  doc.pauses.push({ start: new Date(), end: null });
+  await doc.save();
+  res.json({ success: true, data: doc });
+});
+
+export const resumeSession = asyncHandler(async (req, res) => {
+  const userId = req.auth0Id;
+  const { id } = req.params;
+
+  const doc = await TimeSession.findOne({ _id: id, userId });
+  if (!doc) return res.status(404).json({ success: false, message: "Session not found" });
+  if (doc.endTime) return res.status(409).json({ success: false, message: "Session already stopped" });
+  const pause = openPause(doc);
+  if (!pause) return res.status(409).json({ success: false, message: "Session is not paused" });
+
+  pause.end = new Date();
+  // Idle time counts from the resume, not from the last heartbeat before the pause
+  doc.lastHeartbeatAt = pause.end;
   await doc.save();
   res.json({ success: true, data: doc });
 });
 
+// Clients ping this while the user is active; timers whose heartbeat goes stale are stopped by the idle sweep
+export const heartbeat = asyncHandler(async (req, res) => {
+  const userId = req.auth0Id;
+  await TimeSession.updateMany({ userId, endTime: null }, { $set: { lastHeartbeatAt: new Date() } });
+  const doc = await TimeSession.findOne({ userId, endTime: null }).lean();
+  const { idleMinutes, maxMinutes } = getIdleSettings();
+  res.json({ success: true, data: doc || null, idleMinutes, maxSessionMinutes: maxMinutes });
+});
+
+// Body: { action: "keep" | "discard" } for the idle time the sweep cut off
+export const resolveIdle = asyncHandler(async (req, res) => {
+  const userId = req.auth0Id;
+  const { id } = req.params;
+  const { action } = req.body || {};
+  if (!["keep", "discard"].includes(action)) {
+    return res.status(422).json({ success: false, message: "action must be keep or discard" });
+  }
+
+  const doc = await TimeSession.findOne({ _id: id, userId });
+  if (!doc) return res.status(404).json({ success: false, message: "Session not found" });
+  if (doc.idle?.resolution !== "pending") {
+    return res.status(409).json({ success: false, message: "Session has no idle time to resolve" });
+  }
+
+  await resolveIdleSession(doc, action);
+  res.json({ success: true, data: doc });
+});
+
 export const createManual = asyncHandler(async (req, res) => {
   const userId = req.auth0Id;
   const {
@@ -62,6 +146,10 @@ export const createManual = asyncHandler(async (req, res) => {
   const s = new Date(startTime);
   const e = new Date(endTime);
   if (e <= s) return res.status(422).json({ success: false, message: "endTime must be after startTime" });
+  const policy = readOverlapPolicy(req.body);
+  if (!policy) {
+    return res.status(422).json({ success: false, message: `overlapPolicy must be one of: ${OVERLAP_POLICIES.join(", ")}` });
+  }
 
   let finalCategory = categoryId;
   if (!finalCategory) {
@@ -69,16 +157,19 @@ export const createManual = asyncHandler(async (req, res) => {
     finalCategory = guess.categoryId;
   }
 
+  const result = await applyOverlapPolicy(userId, { start: s, end: e }, policy);
+  if (result.conflict) return overlapConflict(res, result);
+
   const created = await TimeSession.create({
     userId, taskId, taskTitle, groupTag,
     categoryId: finalCategory,
-    startTime: s,
-    endTime: e,
+    startTime: result.start,
+    endTime: result.end,
     source: "manual",
     notes,
   });
 
-  res.status(201).json({ success: true, data: created });
+  res.status(201).json({ success: true, data: created, overlaps: result.overlaps });
 });
 
 export const patchSession = asyncHandler(async (req, res) => {
@@ -91,12 +182,33 @@ export const patchSession = asyncHandler(async (req, res) => {
   if ("startTime" in req.body) updates.startTime = new Date(req.body.startTime);
   if ("endTime" in req.body)   updates.endTime   = req.body.endTime ? new Date(req.body.endTime) : null;
 
-  const doc = await TimeSession.findOneAndUpdate({ _id: id, userId }, { $set: updates }, { new: true });
+  const policy = readOverlapPolicy(req.body);
+  if (!policy) {
+    return res.status(422).json({ success: false, message: `overlapPolicy must be one of: ${OVERLAP_POLICIES.join(", ")}` });
+  }
+
+  const doc = await TimeSession.findOne({ _id: id, userId });
   if (!doc) return res.status(404).json({ success: false, message: "Session not found" });
-  if (doc.endTime && doc.endTime <= doc.startTime) {
+
+  const startTime = updates.startTime || doc.startTime;
+  const endTime = "endTime" in updates ? updates.endTime : doc.endTime;
+  if (endTime && endTime <= startTime) {
     return res.status(422).json({ success: false, message: "endTime must be after startTime" });
   }
-  res.json({ success: true, data: doc });
+
+  // Only a change of times can create an overlap
+  let overlaps = null;
+  if ("startTime" in updates || "endTime" in updates) {
+    const result = await applyOverlapPolicy(userId, { start: startTime, end: endTime }, policy, { excludeId: doc._id });
+    if (result.conflict) return overlapConflict(res, result);
+    updates.startTime = result.start; // trim may have moved them
+    updates.endTime = result.end;
+    overlaps = result.overlaps;
+  }
+
+  doc.set(updates);
+  await doc.save();
+  res.json({ success: true, data: doc, overlaps });
 });
 
 export const deleteSession = asyncHandler(async (req, res) => {
@@ -104,9 +216,39 @@ export const deleteSession = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const doc = await TimeSession.findOneAndDelete({ _id: id, userId });
   if (!doc) return res.status(404).json({ success: false, message: "Session not found" });
+  if (doc.idle) await Notification.deleteMany({ userId, type: "time_session_idle", "metadata.sessionId": doc._id });
   res.json({ success: true, message: "Deleted" });
 });
 
+// Overlapping sessions in a window (date or start&end, like listSessions) with suggested fixes
+export const scanOverlaps = asyncHandler(async (req, res) => {
+  const userId = req.auth0Id;
+  const { date, tz, start, end } = req.query;
+
+  let window;
+  if (date) window = dayWindow(date, tz);
+  else if (start && end) window = rangeWindow(start, end, tz);
+  else return res.status(422).json({ success: false, message: "Provide date or start&end" });
+
+  const sessions = await TimeSession.find({
+    userId,
+    startTime: { $lt: window.end },
+    $or: [{ endTime: { $gt: window.start } }, { endTime: null }],
+  }).sort({ startTime: 1 }).lean();
+
+  const overlaps = findOverlapPairs(sessions);
+  const involved = new Set(overlaps.flatMap(o => o.sessionIds.map(String)));
+
+  res.json({
+    success: true,
+    data: {
+      overlaps,
+      sessions: sessions.filter(s => involved.has(String(s._id))),
+      totalOverlapMinutes: overlaps.reduce((sum, o) => sum + o.overlapMinutes, 0),
+    },
+  });
+});
+
 export const listSessions = asyncHandler(async (req, res) => {
   const userId = req.auth0Id;
   const { date, tz, start, end } = req.query;
@@ -122,7 +264,14 @@ export const listSessions = asyncHandler(async (req, res) => {
       { startTime: { $lt: window.end }, endTime: { $gt: window.start } }, // overlapping
       { startTime: { $gte: window.start, $lt: window.end } }
     ],
-  }).sort({ startTime: 1 });
+  }).sort({ startTime: 1 }).lean();
+
+  // Durations exclude paused time
+  const now = new Date();
+  const data = sessions.map(s => {
+    const { minutes, pausedMinutes } = sessionMinutes(s, null, null, now);
+    return { ...s, durationMinutes: minutes, pausedMinutes, paused: !!openPause(s) };
+  });
 
-  res.json({ success: true, data: sessions });
+  res.json({ success: true, data });
 });
\ No newline at end of file
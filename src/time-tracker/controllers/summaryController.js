@@ -2,10 +2,10 @@ import TimeSession from "../models/timeSession.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { dayWindow, rangeWindow } from "../utils/timeRange.js";
 import { FOCUS_CATEGORIES } from "../utils/constants.js";
+import { countFocusCycles } from "../services/focusService.js";
+import { activeMinutes } from "../utils/sessionDuration.js";
 import { DateTime } from "luxon";
 
-function minutesBetween(a, b) { return Math.max(0, Math.round((b - a) / 60000)); }
-
 export const getSummary = asyncHandler(async (req, res) => {
   const userId = req.auth0Id;
   const { range = "today", tz } = req.query;
@@ -44,14 +44,12 @@ export const getSummary = asyncHandler(async (req, res) => {
   console.log(`[getSummary] User: ${userId}, Timezone: ${tz || 'UTC'}, Day window: ${start.toISOString()} to ${end.toISOString()}`);
   console.log(`[getSummary] Found ${sessions.length} sessions`);
 
-  // clamp to window and aggregate
+  // clamp to window (minus paused time) and aggregate
   const byCategory = new Map();
   let total = 0, focus = 0;
 
   for (const s of sessions) {
-    const sStart = new Date(Math.max(s.startTime, start));
-    const sEnd   = new Date(Math.min(s.endTime || new Date(), end));
-    const mins = minutesBetween(sStart, sEnd);
+    const mins = activeMinutes(s, start, end);
     if (!mins) continue;
 
     total += mins;
@@ -59,12 +57,19 @@ export const getSummary = asyncHandler(async (req, res) => {
     if (FOCUS_CATEGORIES.has(s.categoryId)) focus += mins;
   }
 
+  const cycles = await countFocusCycles(userId, start, end);
+
   const result = {
     success: true,
     data: {
       totalMinutes: total,
       byCategory: [...byCategory.entries()].map(([categoryId, minutes]) => ({ categoryId, minutes })),
-      focus: { deepMinutes: focus, otherMinutes: Math.max(0, total - focus) },
+      focus: {
+        deepMinutes: focus,
+        otherMinutes: Math.max(0, total - focus),
+        cycles: cycles.cycles,
+        cycleMinutes: cycles.minutes,
+      },
       // streaks optional (compute later if you want)
     },
   };
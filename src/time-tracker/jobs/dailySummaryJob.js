@@ -1,6 +1,7 @@
 import cron from "node-cron";
 import User from "../../models/User.js";
 import { calculateAndStoreSummary } from "../controllers/dailySummaryController.js";
+import { sweepIdleSessions } from "../services/idleSessionService.js";
 
 /**
  * Scheduled job that runs at 11:59 PM every day to calculate and store
@@ -14,6 +15,10 @@ export const startDailySummaryJob = () => {
     console.log("[Daily Summary Job] Starting daily summary calculation at 11:59 PM...");
     
     try {
+      // Stop forgotten timers first so they don't inflate today's totals
+      const stopped = await sweepIdleSessions();
+      if (stopped) console.log(`[Daily Summary Job] Stopped ${stopped} idle session(s)`);
+
       // Get all active users
       const users = await User.find({ isActive: true }).select("auth0Id").lean();
       console.log(`[Daily Summary Job] Found ${users.length} active users`);
@@ -0,0 +1,33 @@
+import cron from "node-cron";
+import { advanceDueFocusSessions } from "../services/focusService.js";
+
+let running = false;
+
+const runFocusTransitions = async () => {
+  // Skip a tick if the previous run is still going
+  if (running) return;
+  running = true;
+  try {
+    const advanced = await advanceDueFocusSessions();
+    if (advanced) {
+      console.log(`[Focus Session Job] Advanced ${advanced} focus session(s)`);
+    }
+  } catch (error) {
+    console.error("[Focus Session Job] Fatal error:", error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Scheduled job that runs every 15 seconds and moves Pomodoro sessions on to their
+ * next phase (logging the segment and notifying open devices over SSE). Phases that
+ * ended while the server was down are caught up on the first run after startup.
+ */
+export const startFocusSessionJob = () => {
+  // "*/15 * * * * *" = every 15 seconds (node-cron's optional seconds field)
+  cron.schedule("*/15 * * * * *", runFocusTransitions);
+  runFocusTransitions();
+
+  console.log("[Focus Session Job] Scheduled job initialized (runs every 15 seconds)");
+};
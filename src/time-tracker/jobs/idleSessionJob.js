@@ -0,0 +1,33 @@
+import cron from "node-cron";
+import { sweepIdleSessions } from "../services/idleSessionService.js";
+
+let running = false;
+
+const runIdleSweep = async () => {
+  // Skip a tick if the previous run is still going
+  if (running) return;
+  running = true;
+  try {
+    const stopped = await sweepIdleSessions();
+    if (stopped) {
+      console.log(`[Idle Session Job] Stopped ${stopped} idle session(s)`);
+    }
+  } catch (error) {
+    console.error("[Idle Session Job] Fatal error:", error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Scheduled job that runs every 5 minutes and stops timers whose heartbeat went
+ * stale or that ran past the maximum session length (TIME_SESSION_IDLE_MINUTES,
+ * TIME_SESSION_MAX_HOURS). The user is notified and can keep or discard the idle time.
+ */
+export const startIdleSessionJob = () => {
+  // "*/5 * * * *" = every 5 minutes
+  cron.schedule("*/5 * * * *", runIdleSweep);
+  runIdleSweep();
+
+  console.log("[Idle Session Job] Scheduled job initialized (runs every 5 minutes)");
+};
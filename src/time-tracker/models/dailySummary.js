@@ -15,6 +15,8 @@ const dailySummarySchema = new mongoose.Schema(
     focus: {
       deepMinutes: { type: Number, default: 0 },
       otherMinutes: { type: Number, default: 0 },
+      cycles: { type: Number, default: 0 },       // completed Pomodoro work phases
+      cycleMinutes: { type: Number, default: 0 },
     },
   },
   { timestamps: true }
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// A Pomodoro run: alternating work/break phases, each logged as its own TimeSession
+const focusSessionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, index: true }, // auth0Id
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    taskTitle: { type: String, default: null },
+    groupTag: { type: String, default: "@personal" },
+    categoryId: { type: String, required: true }, // category of the work phases
+
+    settings: {
+      workMinutes: { type: Number, required: true },
+      shortBreakMinutes: { type: Number, required: true },
+      longBreakMinutes: { type: Number, required: true },
+      longBreakEvery: { type: Number, required: true }, // long break after every N work phases
+      targetCycles: { type: Number, required: true },
+    },
+
+    status: { type: String, enum: ["active","completed","stopped"], default: "active" },
+    phase: { type: String, enum: ["work","short_break","long_break",null], default: "work" },
+    phaseStartedAt: { type: Date, default: null },
+    phaseEndsAt: { type: Date, default: null, index: true },
+    currentSessionId: { type: mongoose.Schema.Types.ObjectId, ref: "TimeSession", default: null },
+
+    // One entry per finished work phase; only full-length ones count as completed
+    cycles: [
+      {
+        _id: false,
+        startTime: { type: Date, required: true },
+        endTime: { type: Date, required: true },
+        completed: { type: Boolean, default: true },
+      },
+    ],
+    completedCycles: { type: Number, default: 0 },
+    notes: { type: String, default: "" },
+    endedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// One active focus session per user
+focusSessionSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" }, name: "userId_active_unique" }
+);
+focusSessionSchema.index({ status: 1, phaseEndsAt: 1 }); // due phase transitions
+focusSessionSchema.index({ userId: 1, "cycles.endTime": 1 }); // cycles per day
+
+export default mongoose.model("FocusSession", focusSessionSchema);
@@ -1,5 +1,16 @@
 import mongoose from "mongoose";
 
+// Idle stretch cut off a forgotten timer by the idle sweep, until the user keeps or discards it
+const idleSchema = new mongoose.Schema(
+  {
+    from: { type: Date, required: true },   // where the session was stopped
+    to:   { type: Date, required: true },   // when the sweep noticed
+    reason: { type: String, enum: ["heartbeat","max_length"], required: true },
+    resolution: { type: String, enum: ["pending","kept","discarded"], default: "pending" },
+  },
+  { _id: false }
+);
+
 const timeSessionSchema = new mongoose.Schema(
   {
     userId: { type: String, required: true, index: true }, // auth0Id
@@ -18,6 +29,23 @@ const timeSessionSchema = new mongoose.Schema(
     endTime:   { type: Date, default: null, index: true }, // null => running
     source:    { type: String, enum: ["timer","manual"], required: true },
     notes:     { type: String, default: "" },
+
+    // Paused stretches inside the session (end: null => paused right now)
+    pauses: [
+      {
+        _id: false,
+        start: { type: Date, required: true },
+        end:   { type: Date, default: null },
+      },
+    ],
+
+    // Last client ping while the timer was open (null => client doesn't send heartbeats)
+    lastHeartbeatAt: { type: Date, default: null },
+    idle: { type: idleSchema, default: null },
+
+    // Set on the work/break segments of a Pomodoro run
+    focusSessionId: { type: mongoose.Schema.Types.ObjectId, ref: "FocusSession", default: null },
+    focusPhase: { type: String, enum: ["work","short_break","long_break",null], default: null },
   },
   { timestamps: true }
 );
@@ -27,5 +55,6 @@ timeSessionSchema.index({ userId: 1, endTime: 1 }); // find running (endTime:nul
 timeSessionSchema.index({ userId: 1, startTime: 1 });
 timeSessionSchema.index({ userId: 1, categoryId: 1, startTime: 1 });
 timeSessionSchema.index({ userId: 1, taskId: 1, startTime: 1 });
+timeSessionSchema.index({ endTime: 1, lastHeartbeatAt: 1 }); // idle sweep
 
 export default mongoose.model("TimeSession", timeSessionSchema);
\ No newline at end of file
@@ -2,10 +2,12 @@ import express from "express";
 import { asyncHandler } from "../utils/asyncHandler.js";
 
 import {
-  getRunning, startSession, stopSession,
-  createManual, patchSession, deleteSession, listSessions,
+  getRunning, startSession, stopSession, pauseSession, resumeSession, heartbeat, resolveIdle,
+  createManual, patchSession, deleteSession, listSessions, scanOverlaps,
 } from "../controllers/sessionsController.js";
 
+import { getActiveFocus, startFocus, skipFocus, stopFocus } from "../controllers/focusController.js";
+import { exportTimesheet } from "../controllers/exportController.js";
 import { getSummary } from "../controllers/summaryController.js";
 import { getDailySummary, getDailySummaryBatch } from "../controllers/dailySummaryController.js";
 import { classify } from "../controllers/classifyController.js";
@@ -20,16 +22,30 @@ const router = express.Router();
 router.get("/sessions/running", getRunning);
 router.post("/sessions/start", startSession);
 router.post("/sessions/:id/stop", stopSession);
+router.post("/sessions/:id/pause", pauseSession);
+router.post("/sessions/:id/resume", resumeSession);
+router.post("/sessions/heartbeat", heartbeat);
+router.post("/sessions/:id/idle", resolveIdle);
 router.post("/sessions", createManual);
 router.patch("/sessions/:id", patchSession);
 router.delete("/sessions/:id", deleteSession);
 router.get("/sessions", listSessions);
+router.get("/sessions/overlaps", scanOverlaps);
+
+// Focus mode (Pomodoro)
+router.get("/focus/active", getActiveFocus);
+router.post("/focus/start", startFocus);
+router.post("/focus/:id/skip", skipFocus);
+router.post("/focus/:id/stop", stopFocus);
 
 // Summary (quick insights)
 router.get("/summary", getSummary);
 router.get("/summary/daily", getDailySummary);
 router.get("/summary/daily/batch", getDailySummaryBatch);
 
+// Timesheet export (CSV / ICS / JSON)
+router.get("/export", exportTimesheet);
+
 
 
 
@@ -0,0 +1,246 @@
+import mongoose from "mongoose";
+import FocusSession from "../models/focusSession.js";
+import TimeSession from "../models/timeSession.js";
+import { sendEventToUser } from "../../utils/sseManager.js";
+
+export const FOCUS_DEFAULTS = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakEvery: 4,
+  targetCycles: 4,
+};
+
+// [min, max] for each setting
+const FOCUS_LIMITS = {
+  workMinutes: [1, 180],
+  shortBreakMinutes: [1, 60],
+  longBreakMinutes: [1, 120],
+  longBreakEvery: [1, 12],
+  targetCycles: [1, 24],
+};
+
+const BREAK_TITLES = { short_break: "Short break", long_break: "Long break" };
+
+/**
+ * Validate focus settings from the client, filling in defaults.
+ * @param {Object} input - Partial settings
+ * @returns {{ value?: Object, error?: string }}
+ */
+export function normalizeFocusSettings(input = {}) {
+  const value = {};
+  for (const [key, [min, max]] of Object.entries(FOCUS_LIMITS)) {
+    const raw = input[key];
+    if (raw === undefined || raw === null || raw === "") {
+      value[key] = FOCUS_DEFAULTS[key];
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      return { error: `${key} must be a whole number between ${min} and ${max}` };
+    }
+    value[key] = n;
+  }
+  return { value };
+}
+
+function phaseMinutes(settings, phase) {
+  if (phase === "work") return settings.workMinutes;
+  if (phase === "long_break") return settings.longBreakMinutes;
+  return settings.shortBreakMinutes;
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60000);
+}
+
+// The TimeSession logged for one phase (breaks are logged as "rest")
+function segmentFor(focus, phase, startTime, _id) {
+  const isWork = phase === "work";
+  return {
+    _id,
+    userId: focus.userId,
+    taskId: isWork ? focus.taskId : null,
+    taskTitle: isWork ? focus.taskTitle : BREAK_TITLES[phase],
+    groupTag: focus.groupTag,
+    categoryId: isWork ? focus.categoryId : "rest",
+    startTime,
+    endTime: null,
+    source: "timer",
+    notes: isWork ? focus.notes : "",
+    focusSessionId: focus._id,
+    focusPhase: phase,
+  };
+}
+
+function emitFocusEvent(eventName, focus) {
+  try {
+    sendEventToUser(focus.userId, eventName, { focus, serverTime: new Date() });
+  } catch (e) {}
+}
+
+/**
+ * Start a Pomodoro run with its first work phase. Any running timer or focus
+ * session is stopped first.
+ */
+export async function startFocusSession(userId, { taskId = null, taskTitle = null, groupTag = "@personal", categoryId, notes = "", settings }, now = new Date()) {
+  await stopActiveFocusSession(userId, now);
+  await TimeSession.updateMany({ userId, endTime: null }, { $set: { endTime: now } });
+
+  const sessionId = new mongoose.Types.ObjectId();
+  const focus = await FocusSession.create({
+    userId, taskId, taskTitle, groupTag, categoryId, notes, settings,
+    status: "active",
+    phase: "work",
+    phaseStartedAt: now,
+    phaseEndsAt: addMinutes(now, settings.workMinutes),
+    currentSessionId: sessionId,
+  });
+  await TimeSession.create(segmentFor(focus, "work", now, sessionId));
+
+  emitFocusEvent("focus_started", focus);
+  return focus;
+}
+
+/**
+ * Move a focus session from its current phase to the next one at `at`.
+ * The transition is claimed atomically, so the job and a request racing on the
+ * same session never both log it. Returns the updated session, or null if
+ * someone else got there first.
+ */
+async function transitionPhase(focus, at, { skipped = false } = {}) {
+  const { settings } = focus;
+  const from = focus.phase;
+
+  let cycle = null;
+  let next = "work";
+  if (from === "work") {
+    cycle = { startTime: focus.phaseStartedAt, endTime: at, completed: !skipped };
+    const cyclesDone = focus.cycles.length + 1;
+    if (cyclesDone >= settings.targetCycles) next = null;
+    else next = cyclesDone % settings.longBreakEvery === 0 ? "long_break" : "short_break";
+  }
+
+  const sessionId = next ? new mongoose.Types.ObjectId() : null;
+  const set = {
+    phase: next,
+    phaseStartedAt: next ? at : null,
+    phaseEndsAt: next ? addMinutes(at, phaseMinutes(settings, next)) : null,
+    currentSessionId: sessionId,
+    completedCycles: focus.completedCycles + (cycle?.completed ? 1 : 0),
+  };
+  if (!next) {
+    set.status = "completed";
+    set.endedAt = at;
+  }
+
+  const updated = await FocusSession.findOneAndUpdate(
+    { _id: focus._id, status: "active", phase: from, phaseStartedAt: focus.phaseStartedAt },
+    { $set: set, ...(cycle ? { $push: { cycles: cycle } } : {}) },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await TimeSession.updateMany({ focusSessionId: focus._id, endTime: null }, { $set: { endTime: at } });
+  if (next) await TimeSession.create(segmentFor(updated, next, at, sessionId));
+
+  emitFocusEvent(next ? "focus_phase_changed" : "focus_ended", updated);
+  return updated;
+}
+
+/**
+ * Apply every phase transition that has come due by `now`. Transitions happen at
+ * the scheduled phase end, not when this runs, so the logged segments line up
+ * even if the job ran late.
+ */
+export async function advanceFocusSession(focus, now = new Date()) {
+  let current = focus;
+  while (current && current.status === "active" && current.phaseEndsAt && current.phaseEndsAt <= now) {
+    const next = await transitionPhase(current, current.phaseEndsAt);
+    current = next || await FocusSession.findById(current._id);
+  }
+  return current;
+}
+
+// The user's active focus session (brought up to date), or null
+export async function getActiveFocusSession(userId, now = new Date()) {
+  const focus = await FocusSession.findOne({ userId, status: "active" });
+  if (!focus) return null;
+  const current = await advanceFocusSession(focus, now);
+  return current && current.status === "active" ? current : null;
+}
+
+// End the current phase early. A skipped work phase is logged but not counted as completed.
+export async function skipFocusPhase(focus, now = new Date()) {
+  const current = await advanceFocusSession(focus, now);
+  if (!current || current.status !== "active") return current;
+  return (await transitionPhase(current, now, { skipped: current.phase === "work" })) || FocusSession.findById(current._id);
+}
+
+/**
+ * Stop a focus session and close its open segment at `at`. An unfinished work
+ * phase is kept in `cycles` as not completed.
+ */
+export async function stopFocusSession(focus, at = new Date()) {
+  const current = await advanceFocusSession(focus, at);
+  if (!current || current.status !== "active") return current;
+
+  const before = await FocusSession.findOneAndUpdate(
+    { _id: current._id, status: "active" },
+    { $set: { status: "stopped", phase: null, phaseStartedAt: null, phaseEndsAt: null, currentSessionId: null, endedAt: at } }
+  );
+  if (!before) return FocusSession.findById(current._id);
+
+  if (before.phase === "work" && at > before.phaseStartedAt) {
+    await FocusSession.updateOne(
+      { _id: before._id },
+      { $push: { cycles: { startTime: before.phaseStartedAt, endTime: at, completed: false } } }
+    );
+  }
+  await TimeSession.updateMany({ focusSessionId: before._id, endTime: null }, { $set: { endTime: at } });
+
+  const stopped = await FocusSession.findById(before._id);
+  emitFocusEvent("focus_ended", stopped);
+  return stopped;
+}
+
+// Stop whatever focus session the user has running (no-op if none)
+export async function stopActiveFocusSession(userId, at = new Date()) {
+  const focus = await FocusSession.findOne({ userId, status: "active" });
+  return focus ? stopFocusSession(focus, at) : null;
+}
+
+// Used by the focus session job
+export async function advanceDueFocusSessions(now = new Date()) {
+  const due = await FocusSession.find({ status: "active", phaseEndsAt: { $lte: now } });
+  let advanced = 0;
+  for (const focus of due) {
+    try {
+      await advanceFocusSession(focus, now);
+      advanced++;
+    } catch (error) {
+      console.error(`[focus] failed to advance ${focus._id}:`, error.message || error);
+    }
+  }
+  return advanced;
+}
+
+/**
+ * Completed focus cycles that ended inside [start, end).
+ * @returns {Promise<{ cycles: number, minutes: number }>}
+ */
+export async function countFocusCycles(userId, start, end) {
+  const [row] = await FocusSession.aggregate([
+    { $match: { userId, "cycles.endTime": { $gte: start, $lt: end } } },
+    { $unwind: "$cycles" },
+    { $match: { "cycles.completed": true, "cycles.endTime": { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: null,
+        cycles: { $sum: 1 },
+        ms: { $sum: { $subtract: ["$cycles.endTime", "$cycles.startTime"] } },
+      },
+    },
+  ]);
+  return { cycles: row?.cycles || 0, minutes: row ? Math.round(row.ms / 60000) : 0 };
+}
@@ -0,0 +1,149 @@
+import TimeSession from "../models/timeSession.js";
+import Notification from "../../models/Notification.js";
+import { sendEventToUser, sendNotificationToUser } from "../../utils/sseManager.js";
+import { loadWantsInAppNotification } from "../../utils/notificationPreferences.js";
+import { openPause } from "../utils/sessionDuration.js";
+
+const MAX_SESSIONS_PER_RUN = 500;
+
+// Minutes without a heartbeat before a timer counts as idle, and the longest a
+// session may run. Read lazily so dotenv has loaded.
+export function getIdleSettings() {
+  const idleMinutes = parseInt(process.env.TIME_SESSION_IDLE_MINUTES, 10);
+  const maxHours = parseFloat(process.env.TIME_SESSION_MAX_HOURS);
+  return {
+    idleMinutes: Number.isFinite(idleMinutes) && idleMinutes > 0 ? idleMinutes : 30,
+    maxMinutes: Number.isFinite(maxHours) && maxHours > 0 ? Math.round(maxHours * 60) : 12 * 60,
+  };
+}
+
+// Where a session reaches `maxMinutes` of running time (paused stretches don't count)
+function maxLengthCutoff(session, maxMinutes) {
+  let cutoff = new Date(session.startTime).getTime() + maxMinutes * 60000;
+  for (const p of session.pauses || []) {
+    if (!p.end || p.start.getTime() >= cutoff) break;
+    cutoff += p.end.getTime() - p.start.getTime();
+  }
+  return new Date(cutoff);
+}
+
+/**
+ * Where an open session should have stopped, or null if it's still fine:
+ * the last heartbeat once heartbeats went stale, or the point it hit the
+ * maximum session length, whichever is earlier.
+ */
+export function findIdleCutoff(session, now = new Date(), settings = getIdleSettings()) {
+  if (session.endTime || openPause(session)) return null;
+
+  let cutoff = null;
+  let reason = null;
+  const hb = session.lastHeartbeatAt;
+  if (hb && now - hb > settings.idleMinutes * 60000) {
+    cutoff = hb;
+    reason = "heartbeat";
+  }
+  const maxEnd = maxLengthCutoff(session, settings.maxMinutes);
+  if (maxEnd <= now && (!cutoff || maxEnd < cutoff)) {
+    cutoff = maxEnd;
+    reason = "max_length";
+  }
+  if (!cutoff) return null;
+
+  // Never before the session started
+  return { cutoff: new Date(Math.max(cutoff, session.startTime)), reason };
+}
+
+async function notifyIdleSession(session) {
+  const { userId, idle } = session;
+  const idleMinutes = Math.round((idle.to - idle.from) / 60000);
+  const inApp = await loadWantsInAppNotification(userId, "time_session_idle", null);
+
+  const metadata = {
+    sessionId: session._id,
+    idleFrom: idle.from,
+    idleTo: idle.to,
+    idleMinutes,
+    reason: idle.reason,
+  };
+  if (inApp) {
+    await Notification.findOneAndUpdate(
+      { userId, type: "time_session_idle", "metadata.sessionId": session._id },
+      {
+        userId,
+        type: "time_session_idle",
+        taskTitle: session.taskTitle,
+        acknowledgedAt: null,
+        archivedAt: null,
+        metadata,
+      },
+      { upsert: true, new: true }
+    );
+  }
+  try {
+    sendNotificationToUser(userId, { type: "time_session_idle", taskTitle: session.taskTitle, ...metadata }, { inApp });
+  } catch (e) {}
+}
+
+/**
+ * Stop open timers that went idle (stale heartbeat or past the maximum length).
+ * The session ends where activity stopped; the cut-off stretch is kept on
+ * `session.idle` and the user is asked whether to keep or discard it.
+ * Focus sessions end on their own schedule and are left alone.
+ */
+export async function sweepIdleSessions(now = new Date()) {
+  const settings = getIdleSettings();
+  const sessions = await TimeSession.find({
+    endTime: null,
+    focusSessionId: null,
+    $or: [
+      { lastHeartbeatAt: { $ne: null, $lt: new Date(now - settings.idleMinutes * 60000) } },
+      { startTime: { $lt: new Date(now - settings.maxMinutes * 60000) } },
+    ],
+  }).limit(MAX_SESSIONS_PER_RUN);
+
+  let stopped = 0;
+  for (const session of sessions) {
+    const found = findIdleCutoff(session, now, settings);
+    if (!found) continue;
+    try {
+      // Only if nobody stopped or paused it in the meantime
+      const updated = await TimeSession.findOneAndUpdate(
+        { _id: session._id, endTime: null, pauses: { $not: { $elemMatch: { end: null } } } },
+        { $set: { endTime: found.cutoff, idle: { from: found.cutoff, to: now, reason: found.reason, resolution: "pending" } } },
+        { new: true }
+      );
+      if (!updated) continue;
+      stopped++;
+      await notifyIdleSession(updated);
+    } catch (error) {
+      console.error(`[idle] failed to stop session ${session._id}:`, error.message || error);
+    }
+  }
+  return stopped;
+}
+
+/**
+ * Keep or discard the idle stretch of a session the sweep stopped. Keeping it
+ * extends the session to when the sweep ran, but not into a session the user
+ * started since.
+ */
+export async function resolveIdleSession(session, action) {
+  if (action === "keep") {
+    const next = await TimeSession.findOne({
+      userId: session.userId,
+      _id: { $ne: session._id },
+      startTime: { $gte: session.idle.from, $lt: session.idle.to },
+    }).sort({ startTime: 1 }).select("startTime").lean();
+    session.endTime = next ? next.startTime : session.idle.to;
+    session.idle.resolution = "kept";
+  } else {
+    session.idle.resolution = "discarded";
+  }
+  await session.save();
+
+  await Notification.deleteMany({ userId: session.userId, type: "time_session_idle", "metadata.sessionId": session._id });
+  try {
+    sendEventToUser(session.userId, "notification_removed", { type: "time_session_idle", sessionId: session._id });
+  } catch (e) {}
+  return session;
+}
@@ -0,0 +1,261 @@
+import TimeSession from "../models/timeSession.js";
+
+// How a new/edited interval handles sessions it overlaps:
+// reject (409), trim the new entry to the longest free gap, split the existing
+// sessions around it, or allow the overlap
+export const OVERLAP_POLICIES = ["reject", "trim", "split", "allow"];
+
+const MIN_GAP_MS = 60000;
+
+const ms = (d) => new Date(d).getTime();
+
+// A session's end for overlap purposes (running sessions end now)
+const effectiveEnd = (session, now) => (session.endTime ? ms(session.endTime) : ms(now));
+
+// Stretches of a session that count as busy: [start, end] minus its pauses
+// (an open pause lasts until the session ends), as sorted [from, to] ms pairs
+function busyIntervals(session, now) {
+  const end = effectiveEnd(session, now);
+  const intervals = [];
+  let cursor = ms(session.startTime);
+  const pauses = [...(session.pauses || [])].sort((a, b) => ms(a.start) - ms(b.start));
+  for (const p of pauses) {
+    const pStart = Math.max(ms(p.start), cursor);
+    const pEnd = Math.min(p.end ? ms(p.end) : end, end);
+    if (pEnd <= pStart) continue;
+    if (pStart > cursor) intervals.push([cursor, pStart]);
+    cursor = pEnd;
+  }
+  if (end > cursor) intervals.push([cursor, end]);
+  return intervals;
+}
+
+// Busy time two sets of intervals share, as [from, to] ms pairs
+function sharedIntervals(x, y) {
+  const out = [];
+  for (const [a1, b1] of x) {
+    for (const [a2, b2] of y) {
+      const a = Math.max(a1, a2);
+      const b = Math.min(b1, b2);
+      if (b > a) out.push([a, b]);
+    }
+  }
+  return out.sort((p, q) => p[0] - q[0]);
+}
+
+/**
+ * The user's sessions overlapping [start, end). `end` null means an open
+ * interval (a running session), which reaches up to `now`. Time a session spent
+ * paused doesn't count, so entries can fill another session's break.
+ */
+export async function findOverlappingSessions(userId, start, end, { excludeId = null, now = new Date() } = {}) {
+  const until = end ? new Date(end) : now;
+  const q = {
+    userId,
+    startTime: { $lt: until },
+    $or: [{ endTime: { $gt: new Date(start) } }, { endTime: null }],
+  };
+  if (excludeId) q._id = { $ne: excludeId };
+
+  const sessions = await TimeSession.find(q).sort({ startTime: 1 });
+  const interval = [[ms(start), ms(until)]];
+  // A running session only overlaps if it has already run past `start`
+  return sessions.filter(s => sharedIntervals(busyIntervals(s, now), interval).length > 0);
+}
+
+// Longest stretch of [start, end) not covered by `sessions` (null if under a minute).
+// Their paused stretches count as free.
+export function longestFreeGap(start, end, sessions, now = new Date()) {
+  const from = ms(start);
+  const to = ms(end || now);
+  const busy = sessions
+    .flatMap(s => busyIntervals(s, now))
+    .map(([a, b]) => [Math.max(a, from), Math.min(b, to)])
+    .filter(([a, b]) => b > a)
+    .sort((x, y) => x[0] - y[0]);
+
+  let best = null;
+  let cursor = from;
+  const consider = (a, b) => {
+    if (b - a >= MIN_GAP_MS && (!best || b - a > best.end - best.start)) best = { start: a, end: b };
+  };
+  for (const [a, b] of busy) {
+    consider(cursor, a);
+    cursor = Math.max(cursor, b);
+  }
+  consider(cursor, to);
+  return best ? { start: new Date(best.start), end: new Date(best.end) } : null;
+}
+
+// Pauses that fall inside [from, to), clipped to it (to null => open-ended)
+function clipPauses(pauses, from, to) {
+  const out = [];
+  for (const p of pauses || []) {
+    const pStart = Math.max(ms(p.start), from);
+    const pEnd = p.end ? ms(p.end) : null;
+    if (to !== null && pStart >= to) continue;
+    if (pEnd !== null && pEnd <= pStart) continue;
+    const end = pEnd === null ? (to === null ? null : to) : (to === null ? pEnd : Math.min(pEnd, to));
+    out.push({ start: new Date(pStart), end: end === null ? null : new Date(end) });
+  }
+  return out;
+}
+
+/**
+ * Cut existing sessions so they no longer overlap [start, end). Sessions with no
+ * busy time outside it are removed, ones sticking out on one side are trimmed, and
+ * ones spanning the whole interval are split in two (the original keeps the later
+ * part). Cuts land where the busy time stops and starts again, so a pause around
+ * the interval isn't kept as a dangling break.
+ * @returns {Promise<{ trimmed: string[], split: Object[], removed: string[] }>}
+ */
+async function splitAround(sessions, start, end, now) {
+  const from = ms(start);
+  const to = end ? ms(end) : null; // null: the new interval is still running
+  const changes = { trimmed: [], split: [], removed: [] };
+
+  for (const s of sessions) {
+    const sStart = ms(s.startTime);
+    const sEnd = s.endTime ? ms(s.endTime) : null;
+    const busy = busyIntervals(s, now);
+    // Where the busy time before the interval ends, and where it resumes after it
+    const before = busy.filter(([a]) => a < from).map(([, b]) => Math.min(b, from));
+    const after = to === null ? [] : busy.filter(([, b]) => b > to).map(([a]) => Math.max(a, to));
+    const keepsBefore = before.length > 0;
+    const keepsAfter = after.length > 0;
+    const cutBefore = keepsBefore ? Math.max(...before) : null;
+    const cutAfter = keepsAfter ? Math.min(...after) : null;
+
+    if (!keepsBefore && !keepsAfter) {
+      await TimeSession.deleteOne({ _id: s._id });
+      changes.removed.push(s._id.toString());
+      continue;
+    }
+
+    if (keepsBefore && keepsAfter) {
+      const { _id, createdAt, updatedAt, __v, ...fields } = s.toObject();
+      const earlier = await TimeSession.create({
+        ...fields,
+        endTime: new Date(cutBefore),
+        pauses: clipPauses(s.pauses, sStart, cutBefore),
+        idle: null,
+      });
+      s.pauses = clipPauses(s.pauses, cutAfter, sEnd);
+      s.startTime = new Date(cutAfter);
+      await s.save();
+      changes.split.push({ sessionId: s._id.toString(), newSessionId: earlier._id.toString() });
+      continue;
+    }
+
+    if (keepsBefore) {
+      s.pauses = clipPauses(s.pauses, sStart, cutBefore);
+      s.endTime = new Date(cutBefore);
+    } else {
+      s.pauses = clipPauses(s.pauses, cutAfter, sEnd);
+      s.startTime = new Date(cutAfter);
+    }
+    await s.save();
+    changes.trimmed.push(s._id.toString());
+  }
+  return changes;
+}
+
+/**
+ * Check [start, end) against the user's other sessions and apply `policy`.
+ * Returns { start, end, overlaps } with the interval to save (trim may shrink it)
+ * and what happened, or { conflict: true, message, conflicts } when it can't be saved.
+ */
+export async function applyOverlapPolicy(userId, { start, end }, policy = "reject", { excludeId = null, now = new Date() } = {}) {
+  const conflicts = await findOverlappingSessions(userId, start, end, { excludeId, now });
+  if (!conflicts.length) return { start, end, overlaps: null };
+
+  const summary = conflicts.map(s => ({
+    _id: s._id,
+    taskTitle: s.taskTitle,
+    categoryId: s.categoryId,
+    startTime: s.startTime,
+    endTime: s.endTime,
+  }));
+
+  if (policy === "allow") {
+    return { start, end, overlaps: { policy, sessions: summary } };
+  }
+
+  if (policy === "trim") {
+    if (!end) {
+      // A running entry can only move its start past everything before it
+      // (a running session that isn't paused is busy until now)
+      const latest = Math.max(...conflicts.flatMap(s => busyIntervals(s, now).map(([, b]) => b)));
+      if (ms(now) - latest < MIN_GAP_MS) {
+        return { conflict: true, message: "No free time left to trim the session to", conflicts: summary };
+      }
+      return { start: new Date(latest), end, overlaps: { policy, sessions: summary } };
+    }
+    const gap = longestFreeGap(start, end, conflicts, now);
+    if (!gap) return { conflict: true, message: "No free time left to trim the session to", conflicts: summary };
+    return { start: gap.start, end: gap.end, overlaps: { policy, sessions: summary } };
+  }
+
+  if (policy === "split") {
+    const changes = await splitAround(conflicts, start, end, now);
+    return { start, end, overlaps: { policy, ...changes } };
+  }
+
+  return { conflict: true, message: "Session overlaps existing sessions", conflicts: summary };
+}
+
+// Ways to fix one overlapping pair: a PATCH body for /sessions/:id, or a delete
+function suggestFixes(a, b, now) {
+  const aEnd = effectiveEnd(a, now);
+  const bEnd = effectiveEnd(b, now);
+  const sameInterval = ms(a.startTime) === ms(b.startTime) && aEnd === bEnd;
+  if (sameInterval) {
+    return [{ action: "delete", sessionId: b._id }];
+  }
+  if (bEnd <= aEnd) {
+    // b sits inside a
+    // Re-saving b with the split policy cuts a around it
+    return [
+      { action: "split", sessionId: b._id, patch: { startTime: b.startTime, overlapPolicy: "split" } },
+      { action: "delete", sessionId: b._id },
+    ];
+  }
+  return [
+    { action: "trim", sessionId: a._id, patch: { endTime: b.startTime } },
+    { action: "trim", sessionId: b._id, patch: { startTime: new Date(aEnd) } },
+  ];
+}
+
+/**
+ * Every pair of the given sessions that overlaps, with the overlapping stretch
+ * and suggested fixes.
+ */
+export function findOverlapPairs(sessions, now = new Date()) {
+  // On equal starts the longer session comes first, so the shorter one is reported as inside it
+  const sorted = [...sessions].sort((x, y) => ms(x.startTime) - ms(y.startTime) || effectiveEnd(y, now) - effectiveEnd(x, now));
+  const pairs = [];
+  const open = [];
+
+  for (const b of sorted) {
+    const bStart = ms(b.startTime);
+    // Drop sessions that ended before this one starts
+    for (let i = open.length - 1; i >= 0; i--) {
+      if (effectiveEnd(open[i], now) <= bStart) open.splice(i, 1);
+    }
+    for (const a of open) {
+      // Paused stretches don't count as overlapping
+      const shared = sharedIntervals(busyIntervals(a, now), busyIntervals(b, now));
+      if (!shared.length) continue;
+      const overlapMs = shared.reduce((sum, [from, to]) => sum + to - from, 0);
+      pairs.push({
+        sessionIds: [a._id, b._id],
+        overlapStart: new Date(shared[0][0]),
+        overlapEnd: new Date(shared[shared.length - 1][1]),
+        overlapMinutes: Math.round(overlapMs / 60000),
+        suggestions: suggestFixes(a, b, now),
+      });
+    }
+    open.push(b);
+  }
+  return pairs;
+}
@@ -0,0 +1,43 @@
+// Durations of time sessions, minus the time they spent paused
+
+function overlapMs(a, b, start, end) {
+  return Math.max(0, Math.min(b, end) - Math.max(a, start));
+}
+
+// The open pause of a paused session (or null)
+export function openPause(session) {
+  const pauses = session.pauses || [];
+  const last = pauses[pauses.length - 1];
+  return last && !last.end ? last : null;
+}
+
+/**
+ * Running vs paused time of a session inside [start, end) (the whole session if
+ * no window is given). A running session counts up to `now`; an open pause lasts
+ * until the session ends.
+ * @returns {{ minutes: number, pausedMinutes: number }}
+ */
+export function sessionMinutes(session, start = null, end = null, now = new Date()) {
+  const sStart = new Date(session.startTime).getTime();
+  const sEnd = new Date(session.endTime || now).getTime();
+  const wStart = start ? new Date(start).getTime() : sStart;
+  const wEnd = end ? new Date(end).getTime() : sEnd;
+
+  const total = overlapMs(sStart, sEnd, wStart, wEnd);
+  let paused = 0;
+  for (const p of session.pauses || []) {
+    const pEnd = p.end ? new Date(p.end).getTime() : sEnd;
+    paused += overlapMs(new Date(p.start).getTime(), Math.min(pEnd, sEnd), Math.max(sStart, wStart), Math.min(sEnd, wEnd));
+  }
+  paused = Math.min(paused, total);
+
+  return {
+    minutes: Math.round((total - paused) / 60000),
+    pausedMinutes: Math.round(paused / 60000),
+  };
+}
+
+// Minutes a session actually ran inside [start, end)
+export function activeMinutes(session, start = null, end = null, now = new Date()) {
+  return sessionMinutes(session, start, end, now).minutes;
+}
@@ -0,0 +1,256 @@
+import { DateTime } from "luxon";
+import { CATEGORIES } from "./constants.js";
+import { activeMinutes } from "./sessionDuration.js";
+
+export const EXPORT_FORMATS = ["csv", "ics", "json"];
+export const GROUP_BY = ["day", "task", "category", "group"];
+export const ROUNDING_RULES = ["none", "nearest", "up", "down"];
+export const ROUNDING_STEPS = [1, 5, 6, 10, 15, 30, 60];
+export const EXPORT_SOURCES = ["sessions", "plans", "both"];
+export const MAX_EXPORT_DAYS = 366;
+
+const CATEGORY_LABELS = new Map(CATEGORIES.map(c => [c.id, c.label]));
+const categoryLabel = (id) => CATEGORY_LABELS.get(id) || id;
+
+/**
+ * Validate export query params. Returns { value } or { error }.
+ */
+export function normalizeExportOptions(query = {}) {
+  const format = query.format || "csv";
+  if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` };
+
+  const groupBy = query.groupBy || "day";
+  if (!GROUP_BY.includes(groupBy)) return { error: `groupBy must be one of: ${GROUP_BY.join(", ")}` };
+
+  const rounding = query.rounding || "none";
+  if (!ROUNDING_RULES.includes(rounding)) return { error: `rounding must be one of: ${ROUNDING_RULES.join(", ")}` };
+
+  const roundTo = query.roundTo === undefined || query.roundTo === "" ? 15 : Number(query.roundTo);
+  if (!ROUNDING_STEPS.includes(roundTo)) return { error: `roundTo must be one of: ${ROUNDING_STEPS.join(", ")}` };
+
+  // Plans are planned time, so only the calendar/JSON exports can include them
+  const include = query.include || "sessions";
+  if (!EXPORT_SOURCES.includes(include)) return { error: `include must be one of: ${EXPORT_SOURCES.join(", ")}` };
+  if (format === "csv" && include !== "sessions") return { error: "CSV timesheets only include sessions" };
+
+  return { value: { format, groupBy, rounding, roundTo, include } };
+}
+
+export function roundMinutes(minutes, rule = "none", step = 15) {
+  if (rule === "none" || !minutes) return minutes;
+  const fn = rule === "up" ? Math.ceil : rule === "down" ? Math.floor : Math.round;
+  return fn(minutes / step) * step;
+}
+
+// Running minutes of a session per day (in `zone`) inside the window
+function minutesByDay(session, window, zone, now) {
+  const out = [];
+  const from = new Date(Math.max(new Date(session.startTime), window.start));
+  const to = new Date(Math.min(new Date(session.endTime || now), window.end));
+  let day = DateTime.fromJSDate(from, { zone }).startOf("day");
+  while (day.toJSDate() < to) {
+    const next = day.plus({ days: 1 });
+    const minutes = activeMinutes(session, Math.max(day.toJSDate(), window.start), Math.min(next.toJSDate(), window.end), now);
+    if (minutes > 0) out.push({ date: day.toISODate(), minutes });
+    day = next;
+  }
+  return out;
+}
+
+// Columns that identify a row, per groupBy
+const GROUP_KEYS = {
+  day: (s, date) => ({ key: date, fields: { date } }),
+  task: (s) => ({
+    key: s.taskId ? `id:${s.taskId}` : `title:${s.taskTitle || ""}`,
+    fields: { task: s.taskTitle || "(no task)", group: s.groupTag || "" },
+  }),
+  category: (s) => ({ key: s.categoryId, fields: { category: categoryLabel(s.categoryId) } }),
+  group: (s) => ({ key: s.groupTag || "", fields: { group: s.groupTag || "" } }),
+};
+
+/**
+ * Sessions clipped to the window (paused time excluded), grouped and rounded.
+ * Entries are rounded one by one; group totals are rounded from their raw sum.
+ * @returns {{ entries: Object[], groups: Object[], totals: Object }}
+ */
+export function buildTimesheet(sessions, { window, tz, groupBy = "day", rounding = "none", roundTo = 15, now = new Date() }) {
+  const zone = tz || "UTC";
+  const entries = [];
+  const groups = new Map();
+
+  for (const s of sessions) {
+    const days = minutesByDay(s, window, zone, now);
+    if (!days.length) continue;
+    const minutes = days.reduce((sum, d) => sum + d.minutes, 0);
+
+    entries.push({
+      id: String(s._id),
+      date: days[0].date,
+      startTime: s.startTime,
+      endTime: s.endTime || null,
+      taskId: s.taskId || null,
+      taskTitle: s.taskTitle || null,
+      groupTag: s.groupTag || null,
+      categoryId: s.categoryId,
+      notes: s.notes || "",
+      minutes,
+      roundedMinutes: roundMinutes(minutes, rounding, roundTo),
+    });
+
+    // Day grouping splits sessions across midnight; the others count them once
+    const parts = groupBy === "day" ? days : [{ date: days[0].date, minutes }];
+    for (const part of parts) {
+      const { key, fields } = GROUP_KEYS[groupBy](s, part.date);
+      const group = groups.get(key) || { ...fields, minutes: 0, sessions: 0 };
+      group.minutes += part.minutes;
+      group.sessions += 1;
+      groups.set(key, group);
+    }
+  }
+
+  const grouped = [...groups.values()].map(g => ({ ...g, roundedMinutes: roundMinutes(g.minutes, rounding, roundTo) }));
+  if (groupBy === "day") grouped.sort((a, b) => a.date.localeCompare(b.date));
+  else grouped.sort((a, b) => b.minutes - a.minutes);
+
+  return {
+    entries,
+    groups: grouped,
+    totals: {
+      minutes: grouped.reduce((sum, g) => sum + g.minutes, 0),
+      roundedMinutes: grouped.reduce((sum, g) => sum + g.roundedMinutes, 0),
+      sessions: entries.length,
+    },
+  };
+}
+
+// ---- CSV ----
+
+// Group tags like "@personal" or "@web-ui" are written as they are
+const PLAIN_GROUP_TAG = /^@[\w-]+$/;
+
+function csvCell(value, { groupTag = false } = {}) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  const plainTag = groupTag && PLAIN_GROUP_TAG.test(text);
+  if (!plainTag && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = {
+  day: [["Date", "date"]],
+  task: [["Task", "task"], ["Group", "group"]],
+  category: [["Category", "category"]],
+  group: [["Group", "group"]],
+};
+
+export function timesheetToCsv(sheet, groupBy = "day") {
+  const columns = CSV_COLUMNS[groupBy];
+  const rows = [[...columns.map(([label]) => label), "Minutes", "Hours", "Raw Minutes", "Sessions"]];
+  for (const g of sheet.groups) {
+    rows.push([
+      ...columns.map(([, key]) => g[key]),
+      g.roundedMinutes,
+      (g.roundedMinutes / 60).toFixed(2),
+      g.minutes,
+      g.sessions,
+    ]);
+  }
+  const { totals } = sheet;
+  rows.push([
+    "Total",
+    ...columns.slice(1).map(() => ""),
+    totals.roundedMinutes,
+    (totals.roundedMinutes / 60).toFixed(2),
+    totals.minutes,
+    totals.sessions,
+  ]);
+  const tagColumns = columns.map(([, key]) => key === "group");
+  return rows.map(r => r.map((value, i) => csvCell(value, { groupTag: !!tagColumns[i] })).join(",")).join("\r\n") + "\r\n";
+}
+
+// ---- iCalendar ----
+
+const icsDate = (d) => DateTime.fromJSDate(new Date(d)).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+const icsText = (value) =>
+  String(value || "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded (RFC 5545 3.1)
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    if (size + len > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const PLAN_STATUS = { scheduled: "TENTATIVE", in_progress: "CONFIRMED", done: "CONFIRMED", canceled: "CANCELLED" };
+
+function sessionEvent(s, now, rounding, roundTo) {
+  const minutes = roundMinutes(activeMinutes(s, null, null, now), rounding, roundTo);
+  const description = [
+    `Category: ${categoryLabel(s.categoryId)}`,
+    `Tracked: ${minutes} min${s.endTime ? "" : " (running)"}`,
+    s.notes ? `Notes: ${s.notes}` : null,
+  ].filter(Boolean).join("\n");
+  return [
+    "BEGIN:VEVENT",
+    `UID:session-${s._id}@efficio`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(s.startTime)}`,
+    `DTEND:${icsDate(s.endTime || now)}`,
+    `SUMMARY:${icsText(s.taskTitle || categoryLabel(s.categoryId))}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `CATEGORIES:${icsText(categoryLabel(s.categoryId))}`,
+    "STATUS:CONFIRMED",
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+  ];
+}
+
+function planEvent(p, now) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:plan-${p._id}@efficio`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(p.startTime)}`,
+    `DTEND:${icsDate(p.endTime)}`,
+    `SUMMARY:${icsText(`Planned: ${p.taskTitle || categoryLabel(p.categoryId)}`)}`,
+    `DESCRIPTION:${icsText([`Category: ${categoryLabel(p.categoryId)}`, p.notes ? `Notes: ${p.notes}` : null].filter(Boolean).join("\n"))}`,
+    `CATEGORIES:${icsText(categoryLabel(p.categoryId))}`,
+    `STATUS:${PLAN_STATUS[p.status] || "TENTATIVE"}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * iCalendar feed of sessions (tracked time) and plans (planned time), in UTC.
+ * Event times are the real entries; only the tracked-minutes note is rounded.
+ */
+export function timesheetToIcs({ sessions = [], plans = [], now = new Date(), rounding = "none", roundTo = 15 }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Efficio//Time Tracker//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Efficio timesheet",
+    ...sessions.flatMap(s => sessionEvent(s, now, rounding, roundTo)),
+    ...plans.flatMap(p => planEvent(p, now)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
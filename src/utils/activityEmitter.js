@@ -1,6 +1,8 @@
 import Group from '../models/Group.js';
 import User from '../models/User.js';
 import { sendEventToUser } from './sseManager.js';
+import { getWorkflow, resolveStatus } from './workflow.js';
+import { queueWebhookDeliveries } from './webhooks.js';
 
 // Emit an activity to relevant users (group members or user themselves)
 export async function emitActivity(activity) {
@@ -68,6 +70,26 @@ export async function emitActivity(activity) {
       payload.userName = base.userName || null;
     }
 
+    // Label task moves with the group's workflow columns (custom statuses map onto base states)
+    if (base.type === 'task_moved') {
+      const workflow = getWorkflow(group);
+      const describe = (key, baseStatus) =>
+        (key && resolveStatus(workflow, key)) || resolveStatus(workflow, baseStatus);
+      const fromEntry = describe(base.fromStatusKey, base.fromStatus);
+      const toEntry = describe(base.toStatusKey, base.toStatus);
+      payload.fromStatusKey = fromEntry?.key || base.fromStatusKey || base.fromStatus || null;
+      payload.fromStatusName = fromEntry?.name || null;
+      payload.toStatusKey = toEntry?.key || base.toStatusKey || base.toStatus || null;
+      payload.toStatusName = toEntry?.name || null;
+    }
+
+    // Group webhooks get the same enriched payload (delivered in the background)
+    if (group) {
+      queueWebhookDeliveries(payload, group).catch((e) => {
+        console.warn('[activityEmitter] webhook queueing failed', e && e.message ? e.message : e);
+      });
+    }
+
     for (const rid of recipients) {
       try {
         // Clone payload per-recipient so we can optionally reveal more information
@@ -0,0 +1,35 @@
+// Checklist helpers shared by the task and subtask controllers
+
+// Percentage of completed checklist items (null when there is no checklist)
+export const computeChecklistProgress = (subtasks) => {
+  if (!Array.isArray(subtasks) || subtasks.length === 0) return null;
+  const completed = subtasks.filter(s => s && s.completed).length;
+  return Math.round((completed / subtasks.length) * 100);
+};
+
+// Normalize client-provided checklist items (strings or { title, completed }) for a new task
+export const normalizeSubtasksInput = (items, auth0Id) => {
+  if (!Array.isArray(items)) return [];
+  const now = new Date();
+  return items
+    .map(item => (typeof item === 'string' ? { title: item } : item))
+    .filter(item => item && typeof item.title === 'string' && item.title.trim())
+    .map((item, index) => ({
+      title: item.title.trim(),
+      completed: !!item.completed,
+      completedAt: item.completed ? now : null,
+      completedBy: item.completed ? auth0Id : null,
+      order: index,
+      createdBy: auth0Id,
+      createdAt: now,
+    }));
+};
+
+// Keep subtasks sorted by order and re-number them 0..n-1
+export const resequenceSubtasks = (task) => {
+  const sorted = [...(task.subtasks || [])].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  sorted.forEach((s, index) => { s.order = index; });
+  return sorted;
+};
+
+export default { computeChecklistProgress, normalizeSubtasksInput, resequenceSubtasks };
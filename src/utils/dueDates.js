@@ -0,0 +1,179 @@
+import { DateTime, IANAZone } from "luxon";
+import User from "../models/User.js";
+
+// Due dates are stored in two shapes:
+//   - date only (dueHasTime=false): the calendar date at 00:00 UTC, the same day in every zone
+//   - with a time (dueHasTime=true): an exact instant
+// "Overdue" and "due today" are evaluated against the viewer's calendar day.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const BACKDATE_ERROR = 'Due date cannot be in the past. Set allowBackdate=true to permit past dates.';
+
+export const isValidTimeZone = (timeZone) =>
+  typeof timeZone === 'string' && !!timeZone && IANAZone.isValidZone(timeZone);
+
+// DEFAULT_TIMEZONE, or the server's zone (the behaviour before per-user zones existed)
+export const getDefaultTimeZone = () => {
+  const configured = process.env.DEFAULT_TIMEZONE;
+  return isValidTimeZone(configured) ? configured : DateTime.local().zoneName;
+};
+
+export const getUserTimeZone = (user) => {
+  const timeZone = user?.preferences?.timezone;
+  return isValidTimeZone(timeZone) ? timeZone : getDefaultTimeZone();
+};
+
+export const loadUserTimeZone = async (auth0Id) => {
+  const user = auth0Id ? await User.findOne({ auth0Id }).select('preferences.timezone').lean() : null;
+  return getUserTimeZone(user);
+};
+
+// Calendar date (YYYY-MM-DD) in a zone, optionally shifted by whole days
+export const todayKey = (timeZone, now = new Date(), offsetDays = 0) =>
+  DateTime.fromJSDate(now).setZone(timeZone).plus({ days: offsetDays }).toISODate();
+
+// 00:00 UTC of a calendar date (how date-only due dates are stored)
+export const dateKeyToUTC = (key) => new Date(`${key}T00:00:00.000Z`);
+
+// Calendar date a task is due on, as seen from a zone (null when there's no due date)
+export const getDueDateKey = (task, timeZone) => {
+  const value = task?.dueDate;
+  if (!value) return null;
+  // Legacy string values that haven't been migrated yet
+  if (typeof value === 'string' && DATE_ONLY.test(value)) return value;
+
+  const due = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(due.getTime())) return null;
+  if (!task.dueHasTime && typeof value !== 'string') return due.toISOString().slice(0, 10);
+  return DateTime.fromJSDate(due).setZone(timeZone).toISODate();
+};
+
+export const isTaskOverdue = (task, timeZone, now = new Date()) => {
+  if (!task?.dueDate || task.status === 'completed') return false;
+  if (task.dueHasTime) return new Date(task.dueDate) < now;
+  const key = getDueDateKey(task, timeZone);
+  return !!key && key < todayKey(timeZone, now);
+};
+
+export const isTaskDueToday = (task, timeZone, now = new Date()) => {
+  if (!task?.dueDate || task.status === 'completed') return false;
+  return getDueDateKey(task, timeZone) === todayKey(timeZone, now);
+};
+
+// Set the computed isOverdue / isDueToday flags on a plain task object
+export const withDueFlags = (obj, timeZone, now = new Date()) => {
+  try {
+    obj.isOverdue = isTaskOverdue(obj, timeZone, now);
+    obj.isDueToday = isTaskDueToday(obj, timeZone, now);
+  } catch (e) {
+    obj.isOverdue = false;
+    obj.isDueToday = false;
+  }
+  return obj;
+};
+
+// Parse due date input from a request body.
+//   dueDate: "YYYY-MM-DD", an ISO timestamp (no offset = the user's zone), a Date, or null/"" to clear
+//   dueTime: optional "HH:mm" combined with a date-only dueDate (or the current due date
+//            when only the time changes); null/"" drops the time
+// Returns { value: { dueDate, dueHasTime } }, { value: null } when nothing was sent, or { error }.
+export const parseDueDateInput = ({ dueDate, dueTime } = {}, timeZone, current = null) => {
+  if (dueDate === undefined && dueTime === undefined) return { value: null };
+
+  if (dueTime !== undefined && dueTime !== null && dueTime !== "" && !TIME_OF_DAY.test(String(dueTime))) {
+    return { error: "dueTime must be a time in HH:mm format" };
+  }
+
+  let date = dueDate;
+  if (date === undefined) {
+    // Only the time changed: keep the current calendar day
+    date = current ? getDueDateKey(current, timeZone) : null;
+    if (!date) return { error: "dueTime requires a dueDate" };
+  }
+
+  if (date === null || date === "") {
+    return { value: { dueDate: null, dueHasTime: false } };
+  }
+
+  if (date instanceof Date) {
+    if (Number.isNaN(date.getTime())) return { error: "dueDate must be a valid date" };
+    return { value: { dueDate: date, dueHasTime: true } };
+  }
+
+  const text = String(date).trim();
+  if (DATE_ONLY.test(text)) {
+    if (!DateTime.fromISO(text, { zone: "utc" }).isValid) {
+      return { error: "dueDate must be a valid date" };
+    }
+    if (dueTime) {
+      const due = DateTime.fromISO(`${text}T${dueTime}`, { zone: timeZone });
+      return { value: { dueDate: due.toJSDate(), dueHasTime: true } };
+    }
+    return { value: { dueDate: dateKeyToUTC(text), dueHasTime: false } };
+  }
+
+  if (dueTime) {
+    return { error: "dueTime can only be combined with a YYYY-MM-DD dueDate" };
+  }
+  const due = DateTime.fromISO(text, { zone: timeZone });
+  if (!due.isValid) {
+    return { error: "dueDate must be a YYYY-MM-DD date or an ISO 8601 timestamp" };
+  }
+  return { value: { dueDate: due.toJSDate(), dueHasTime: true } };
+};
+
+// True when a parsed due date falls on a day before today in the given zone
+export const isBackdated = (value, timeZone, now = new Date()) => {
+  if (!value?.dueDate) return false;
+  const key = getDueDateKey(value, timeZone);
+  return !!key && key < todayKey(timeZone, now);
+};
+
+// Mongo filter: open tasks whose due date has passed for a viewer in `timeZone`
+export const buildOverdueQuery = (timeZone, now = new Date()) => ({
+  status: { $ne: "completed" },
+  $or: [
+    { dueHasTime: true, dueDate: { $lt: now } },
+    { dueHasTime: { $ne: true }, dueDate: { $lt: dateKeyToUTC(todayKey(timeZone, now)) } },
+  ],
+});
+
+// Mongo filter: due on a calendar day between `from` and `to` (inclusive, either optional)
+export const buildDueRangeQuery = (from, to, timeZone) => {
+  const dateOnlyRange = { $ne: null };
+  const timedRange = { $ne: null };
+  if (from) {
+    dateOnlyRange.$gte = dateKeyToUTC(from);
+    timedRange.$gte = DateTime.fromISO(from, { zone: timeZone }).startOf("day").toJSDate();
+  }
+  if (to) {
+    dateOnlyRange.$lte = dateKeyToUTC(to);
+    timedRange.$lte = DateTime.fromISO(to, { zone: timeZone }).endOf("day").toJSDate();
+  }
+  return {
+    $or: [
+      { dueHasTime: { $ne: true }, dueDate: dateOnlyRange },
+      { dueHasTime: true, dueDate: timedRange },
+    ],
+  };
+};
+
+export default {
+  BACKDATE_ERROR,
+  isValidTimeZone,
+  getDefaultTimeZone,
+  getUserTimeZone,
+  loadUserTimeZone,
+  todayKey,
+  dateKeyToUTC,
+  getDueDateKey,
+  isTaskOverdue,
+  isTaskDueToday,
+  withDueFlags,
+  parseDueDateInput,
+  isBackdated,
+  buildOverdueQuery,
+  buildDueRangeQuery,
+};
@@ -0,0 +1,112 @@
+import User from "../models/User.js";
+import EmailDigestItem from "../models/EmailDigestItem.js";
+import { isEmailEnabled, sendEmail } from "../email/index.js";
+import { renderNotificationEmail, renderDigestEmail } from "../email/templates.js";
+import { isChannelEnabled, getEmailDigestFrequency, isGroupMuted } from "./notificationPreferences.js";
+import { getUserTimeZone } from "./dueDates.js";
+
+const MAX_DIGEST_ITEMS = 100;
+
+// Template data without anything about groups the user muted (null when nothing's left)
+const withoutMutedGroups = (user, type, data) => {
+  if (type === "task_assigned" && Array.isArray(data.tasks)) {
+    const tasks = data.tasks.filter(t => !isGroupMuted(user, t.groupTag));
+    return tasks.length ? { ...data, tasks } : null;
+  }
+  return isGroupMuted(user, data.groupTag) ? null : data;
+};
+
+const loadRecipient = async (userOrId) => {
+  if (userOrId && typeof userOrId === 'object') return userOrId;
+  if (!userOrId) return null;
+  return User.findOne({ auth0Id: userOrId.toString().trim() })
+    .select('auth0Id email name preferences')
+    .lean();
+};
+
+/**
+ * Email a user about a notification, honoring their per-type email setting and digest
+ * choice: immediate emails are sent in the background, daily/weekly ones are queued for
+ * the digest job. Never throws; returns "sent", "queued" or null (skipped).
+ */
+export const emailNotification = async (userOrId, type, data = {}) => {
+  try {
+    if (!isEmailEnabled()) return null;
+    const user = await loadRecipient(userOrId);
+    if (!user || !user.email || !isChannelEnabled(user, type, "email")) return null;
+    const wanted = withoutMutedGroups(user, type, data);
+    if (!wanted) return null;
+
+    if (getEmailDigestFrequency(user) !== "immediate") {
+      await EmailDigestItem.create({ userId: user.auth0Id, type, data: wanted });
+      return "queued";
+    }
+
+    const message = renderNotificationEmail(type, wanted, {
+      name: user.name,
+      timeZone: getUserTimeZone(user),
+    });
+    // Don't hold up the request on the mail server
+    sendEmail({ to: user.email, ...message }).catch((error) => {
+      console.warn('[email] failed to send', type, 'to', user.auth0Id, error && error.message ? error.message : error);
+    });
+    return "sent";
+  } catch (error) {
+    console.warn('[email] notification email failed', type, error && error.message ? error.message : error);
+    return null;
+  }
+};
+
+// Whether a user's queue goes out with this run: users on this schedule, plus users
+// who switched back to immediate emails and still have items queued from before.
+// Users who moved to the other schedule get theirs with that digest.
+const isDigestDue = (user, frequency) => {
+  const current = getEmailDigestFrequency(user);
+  return current === frequency || current === "immediate";
+};
+
+// Send one digest email per user on the given schedule and clear their queue
+export const sendEmailDigests = async (frequency) => {
+  const userIds = await EmailDigestItem.distinct('userId');
+  if (!userIds.length) return { users: 0, items: 0 };
+
+  const recipients = await User.find({ auth0Id: { $in: userIds } })
+    .select('auth0Id email name preferences')
+    .lean();
+  const users = recipients.filter(user => isDigestDue(user, frequency));
+
+  let sentUsers = 0;
+  let sentItems = 0;
+  for (const user of users) {
+    try {
+      const items = await EmailDigestItem.find({ userId: user.auth0Id })
+        .sort({ createdAt: 1 })
+        .limit(MAX_DIGEST_ITEMS)
+        .lean();
+      if (!items.length) continue;
+
+      // Drop anything the user has since switched off
+      const wanted = items
+        .filter(item => isChannelEnabled(user, item.type, "email"))
+        .map(item => ({ ...item, data: withoutMutedGroups(user, item.type, item.data || {}) }))
+        .filter(item => item.data);
+      if (wanted.length && user.email && isEmailEnabled()) {
+        const message = renderDigestEmail(wanted, {
+          name: user.name,
+          timeZone: getUserTimeZone(user),
+          frequency,
+        });
+        await sendEmail({ to: user.email, ...message });
+        sentUsers++;
+        sentItems += wanted.length;
+      }
+      await EmailDigestItem.deleteMany({ _id: { $in: items.map(item => item._id) } });
+    } catch (error) {
+      // Leave the items queued; they go out with the next digest
+      console.error(`[email] digest for ${user.auth0Id} failed:`, error.message || error);
+    }
+  }
+  return { users: sentUsers, items: sentItems };
+};
+
+export default { emailNotification, sendEmailDigests };
@@ -133,6 +133,8 @@ export const ensureNotificationIndexes = async () => {
     }
 
     await safelyCreateIndex(Notification.collection, { userId: 1, createdAt: -1 });
+    await safelyCreateIndex(Notification.collection, { userId: 1, archivedAt: 1, createdAt: -1, _id: -1 });
+    await safelyCreateIndex(Notification.collection, { userId: 1, acknowledgedAt: 1, archivedAt: 1, type: 1 });
     await safelyCreateIndex(Notification.collection, { userId: 1, type: 1, taskId: 1 }, {
       unique: true,
       sparse: true,
@@ -0,0 +1,67 @@
+import User from "../models/User.js";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// People who can be mentioned on a task: group owner + accepted collaborators,
+// or for personal tasks the owner and assignees.
+export const getMentionCandidates = async (task, group) => {
+  const candidates = new Map(); // auth0Id -> { userId, name, email }
+  const add = (userId, name, email) => {
+    const id = userId ? userId.toString().trim() : '';
+    if (!id || candidates.has(id)) return;
+    candidates.set(id, { userId: id, name: name || '', email: email || '' });
+  };
+
+  if (group) {
+    (group.collaborators || [])
+      .filter(c => c.status === "accepted")
+      .forEach(c => add(c.userId, c.name, c.email));
+    if (group.owner && !candidates.has(group.owner.toString().trim())) {
+      const owner = await User.findOne({ auth0Id: group.owner }).select('auth0Id name email');
+      add(group.owner, owner?.name, owner?.email);
+    }
+  } else {
+    (task.assignedUsers || []).forEach(u => add(u.userId, u.name, u.email));
+    if (task.userId && !candidates.has(task.userId.toString().trim())) {
+      const owner = await User.findOne({ auth0Id: task.userId }).select('auth0Id name email');
+      add(task.userId, owner?.name, owner?.email);
+    }
+  }
+
+  return Array.from(candidates.values());
+};
+
+// Find which candidates are @mentioned in a comment body.
+// Matches "@Full Name", "@FullName", "@email-local-part" and "@FirstName" (when unambiguous).
+export const extractMentions = (body, candidates) => {
+  if (!body || !Array.isArray(candidates) || candidates.length === 0) return [];
+
+  const firstNameCounts = new Map();
+  candidates.forEach(c => {
+    const first = (c.name || '').trim().split(/\s+/)[0]?.toLowerCase();
+    if (first) firstNameCounts.set(first, (firstNameCounts.get(first) || 0) + 1);
+  });
+
+  const mentioned = [];
+  for (const c of candidates) {
+    const name = (c.name || '').trim();
+    const handles = new Set();
+    if (name) {
+      handles.add(name);
+      handles.add(name.replace(/\s+/g, ''));
+      const first = name.split(/\s+/)[0];
+      if (first && firstNameCounts.get(first.toLowerCase()) === 1) handles.add(first);
+    }
+    if (c.email && c.email.includes('@')) handles.add(c.email.split('@')[0]);
+
+    const matched = Array.from(handles).some(handle => {
+      const pattern = new RegExp(`(^|[\\s(\\[{,;])@${escapeRegExp(handle)}(?=$|[\\s.,;:!?)\\]}'"])`, 'i');
+      return pattern.test(body);
+    });
+    if (matched) mentioned.push(c.userId);
+  }
+
+  return mentioned;
+};
+
+export default { getMentionCandidates, extractMentions };
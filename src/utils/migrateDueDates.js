@@ -0,0 +1,64 @@
+import Task from "../models/Task.js";
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+// Legacy date pickers sent calendar dates as midnight-UTC timestamps
+const MIDNIGHT_UTC = /^\d{4}-\d{2}-\d{2}T00:00(:00(\.0+)?)?(Z|\+00:00)$/;
+const BATCH_SIZE = 500;
+
+// Convert a legacy string dueDate into { dueDate, dueHasTime }
+export const convertLegacyDueDate = (value) => {
+  const text = (value || "").trim();
+  if (!text) return { dueDate: null, dueHasTime: false };
+  if (DATE_ONLY.test(text) || MIDNIGHT_UTC.test(text)) {
+    const due = new Date(`${text.slice(0, 10)}T00:00:00.000Z`);
+    return Number.isNaN(due.getTime()) ? null : { dueDate: due, dueHasTime: false };
+  }
+  const due = new Date(text);
+  return Number.isNaN(due.getTime()) ? null : { dueDate: due, dueHasTime: true };
+};
+
+/**
+ * Convert tasks whose dueDate is still stored as a string (before due dates became
+ * real timestamps). Runs on startup; once everything is converted it's a single query.
+ * Unparseable values are cleared and logged.
+ */
+export const migrateTaskDueDates = async () => {
+  try {
+    // Raw collection: no casting and no archived filter
+    const cursor = Task.collection.find({ dueDate: { $type: "string" } }, { projection: { dueDate: 1 } });
+
+    let converted = 0;
+    let cleared = 0;
+    let ops = [];
+    for await (const doc of cursor) {
+      let value = convertLegacyDueDate(doc.dueDate);
+      if (!value) {
+        console.warn(`  Task ${doc._id}: could not parse dueDate "${doc.dueDate}", clearing it`);
+        value = { dueDate: null, dueHasTime: false };
+        cleared++;
+      } else {
+        converted++;
+      }
+      ops.push({ updateOne: { filter: { _id: doc._id, dueDate: doc.dueDate }, update: { $set: value } } });
+
+      if (ops.length >= BATCH_SIZE) {
+        await Task.collection.bulkWrite(ops, { ordered: false });
+        ops = [];
+      }
+    }
+    if (ops.length) {
+      await Task.collection.bulkWrite(ops, { ordered: false });
+    }
+
+    if (converted || cleared) {
+      console.log(`✓ Migrated ${converted} task due date(s) to timestamps${cleared ? ` (${cleared} unparseable cleared)` : ""}`);
+    } else {
+      console.log("✓ Task due dates already migrated");
+    }
+  } catch (error) {
+    console.error("Error migrating task due dates:", error);
+    // Don't throw - allow server to start; unmigrated tasks just miss date filters
+  }
+};
+
+export default { convertLegacyDueDate, migrateTaskDueDates };
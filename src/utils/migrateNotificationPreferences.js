@@ -0,0 +1,33 @@
+import User from "../models/User.js";
+import { NOTIFICATION_TYPES } from "./notificationPreferences.js";
+
+/**
+ * Convert the old on/off `preferences.notifications` boolean into per-type, per-channel
+ * settings. "On" becomes the defaults; "off" switches every type and channel off.
+ * Runs on startup; once everything is converted it's a no-op.
+ */
+export const migrateNotificationPreferences = async () => {
+  try {
+    // Raw collection: the schema no longer accepts a boolean here
+    const enabled = await User.collection.updateMany(
+      { 'preferences.notifications': true },
+      { $unset: { 'preferences.notifications': "" } }
+    );
+
+    const allOff = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { inApp: false, email: false, push: false }]));
+    const disabled = await User.collection.updateMany(
+      { 'preferences.notifications': false },
+      { $set: { 'preferences.notifications': allOff } }
+    );
+
+    const migrated = enabled.modifiedCount + disabled.modifiedCount;
+    if (migrated) {
+      console.log(`✓ Migrated notification preferences for ${migrated} user(s)`);
+    }
+  } catch (error) {
+    console.error("Error migrating notification preferences:", error);
+    // Don't throw - legacy booleans are still read as an all-or-nothing switch
+  }
+};
+
+export default { migrateNotificationPreferences };
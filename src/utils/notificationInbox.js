@@ -0,0 +1,282 @@
+import mongoose from "mongoose";
+import Group from "../models/Group.js";
+import Task from "../models/Task.js";
+import Notification from "../models/Notification.js";
+import { NOTIFICATION_TYPES, isChannelEnabled } from "./notificationPreferences.js";
+
+export const DEFAULT_INBOX_LIMIT = 20;
+export const MAX_INBOX_LIMIT = 100;
+
+// Formatter results besides a payload object
+const STALE = "stale"; // the thing it points at is gone; delete the notification
+const HIDDEN = "hidden"; // skip for now (e.g. task is in the trash)
+
+// Notifications about a task: gone task = stale, trashed task = hidden until restored
+const forTask = (format) => (notif, { task, userId }) => {
+  if (!task) return STALE;
+  if (task.archived) return HIDDEN;
+  return format(notif, { task, userId });
+};
+
+const taskFields = (task) => ({
+  taskId: task._id.toString(),
+  taskTitle: task.title,
+  groupTag: task.groupTag,
+});
+
+// type -> (notification, { task, group, userId }) -> fields | STALE | HIDDEN.
+// A new notification type only needs an entry here.
+const FORMATTERS = {
+  invitation: (notif, { group, userId }) => {
+    if (!group) return STALE;
+    const collaborator = (group.collaborators || []).find(
+      (c) => c.userId === userId && c.status === "pending"
+    );
+    if (!collaborator) return STALE;
+    return {
+      groupId: group._id.toString(),
+      groupName: group.name,
+      groupTag: group.tag,
+      invitedAt: collaborator.invitedAt || notif.invitedAt || notif.createdAt,
+    };
+  },
+
+  task_assigned: forTask((notif, { task, userId }) => {
+    const stillAssigned = (task.assignedTo || []).some((id) => id && id.toString().trim() === userId);
+    return stillAssigned ? taskFields(task) : STALE;
+  }),
+
+  comment_mention: forTask((notif, { task }) => ({
+    ...taskFields(task),
+    commentId: notif.metadata?.commentId ? notif.metadata.commentId.toString() : null,
+    mentionedBy: notif.metadata?.mentionedBy || null,
+    excerpt: notif.metadata?.excerpt || "",
+  })),
+
+  task_due_reminder: forTask((notif, { task }) => ({
+    ...taskFields(task),
+    dueDate: task.dueDate,
+    dueHasTime: !!task.dueHasTime,
+    offsetMinutes: notif.metadata?.offsetMinutes ?? null,
+  })),
+
+  // Dropped once the task is done or no longer overdue
+  task_overdue: forTask((notif, { task }) => {
+    if (task.status === "completed" || !task.isOverdue) return STALE;
+    return {
+      ...taskFields(task),
+      dueDate: task.dueDate,
+      dueHasTime: !!task.dueHasTime,
+    };
+  }),
+
+  overdue_digest: (notif, { group }) => {
+    if (!group) return STALE;
+    return {
+      groupId: group._id.toString(),
+      groupName: group.name,
+      groupTag: group.tag,
+      newlyOverdueCount: notif.metadata?.newlyOverdueCount || 0,
+      totalOverdueCount: notif.metadata?.totalOverdueCount || 0,
+      tasks: notif.metadata?.tasks || [],
+    };
+  },
+
+  // Removed once the user keeps or discards the idle time
+  time_session_idle: (notif) => {
+    if (!notif.metadata?.sessionId) return STALE;
+    return {
+      sessionId: notif.metadata.sessionId.toString(),
+      taskTitle: notif.taskTitle,
+      idleFrom: notif.metadata.idleFrom,
+      idleTo: notif.metadata.idleTo,
+      idleMinutes: notif.metadata.idleMinutes || 0,
+      reason: notif.metadata.reason || null,
+    };
+  },
+};
+
+// Counters in the inbox response, by the types they cover
+export const UNREAD_COUNTERS = {
+  pendingInvitationsCount: ["invitation"],
+  taskAssignmentsCount: ["task_assigned"],
+  mentionsCount: ["comment_mention"],
+  remindersCount: ["task_due_reminder"],
+  overdueCount: ["task_overdue", "overdue_digest"],
+  idleSessionsCount: ["time_session_idle"],
+};
+
+const uniqueIds = (values) => [...new Set(values.filter(Boolean).map((v) => v.toString()))];
+
+// Hydrate the referenced groups/tasks for a page of notifications and format them.
+// Returns { formatted, staleIds }.
+export const formatNotifications = async (notifications, userId) => {
+  const groupIds = uniqueIds(notifications.map((n) => n.groupId));
+  const taskIds = uniqueIds(notifications.map((n) => n.taskId));
+
+  const [groups, tasks] = await Promise.all([
+    groupIds.length ? Group.find({ _id: { $in: groupIds } }).lean() : [],
+    // Include archived tasks so their notifications are hidden rather than treated as stale
+    taskIds.length ? Task.find({ _id: { $in: taskIds } }).setOptions({ includeArchived: true }).lean() : [],
+  ]);
+  const groupMap = new Map(groups.map((g) => [g._id.toString(), g]));
+  const taskMap = new Map(tasks.map((t) => [t._id.toString(), t]));
+
+  const formatted = [];
+  const staleIds = [];
+  for (const notif of notifications) {
+    const format = FORMATTERS[notif.type];
+    if (!format) continue;
+
+    const result = format(notif, {
+      group: notif.groupId ? groupMap.get(notif.groupId.toString()) : null,
+      task: notif.taskId ? taskMap.get(notif.taskId.toString()) : null,
+      userId,
+    });
+    if (result === STALE) {
+      staleIds.push(notif._id);
+      continue;
+    }
+    if (result === HIDDEN) continue;
+
+    formatted.push({
+      id: notif._id.toString(),
+      type: notif.type,
+      ...result,
+      createdAt: notif.createdAt,
+      acknowledgedAt: notif.acknowledgedAt,
+      archivedAt: notif.archivedAt || null,
+    });
+  }
+  return { formatted, staleIds };
+};
+
+// Validate inbox query params (unread, type, archived). Returns { filters } or { error }.
+export const parseInboxFilters = (query = {}) => {
+  const filters = {};
+
+  if (query.unread !== undefined) {
+    if (query.unread !== "true" && query.unread !== "false") {
+      return { error: "unread must be true or false" };
+    }
+    filters.unread = query.unread === "true";
+  }
+
+  if (query.archived !== undefined) {
+    if (query.archived !== "true" && query.archived !== "false") {
+      return { error: "archived must be true or false" };
+    }
+    filters.archived = query.archived === "true";
+  }
+
+  if (query.type) {
+    const types = String(query.type).split(",").map((t) => t.trim()).filter(Boolean);
+    const unknown = types.find((t) => !NOTIFICATION_TYPES.includes(t));
+    if (unknown) {
+      return { error: `type must be one or more of: ${NOTIFICATION_TYPES.join(', ')}` };
+    }
+    filters.types = types;
+  }
+
+  return { filters };
+};
+
+// Notification query for a user's inbox. Muted types and groups, and notifications
+// hidden with their trashed task, are left out.
+export const buildInboxQuery = (userId, user, { unread, archived = false, types } = {}) => {
+  const query = { userId, archivedAt: archived ? { $ne: null } : null, hiddenAt: null };
+
+  const visibleTypes = (types || NOTIFICATION_TYPES).filter((type) => isChannelEnabled(user, type, "inApp"));
+  query.type = { $in: visibleTypes };
+
+  const mutedGroups = user?.preferences?.mutedGroups;
+  if (Array.isArray(mutedGroups) && mutedGroups.length) {
+    query.groupTag = { $nin: mutedGroups };
+  }
+
+  if (unread === true) query.acknowledgedAt = null;
+  if (unread === false) query.acknowledgedAt = { $ne: null };
+  return query;
+};
+
+const encodeCursor = (notif) =>
+  Buffer.from(JSON.stringify({ t: notif.createdAt, id: notif._id.toString() })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const createdAt = new Date(parsed.t);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(parsed.id)) return null;
+    return { createdAt, id: new mongoose.Types.ObjectId(parsed.id) };
+  } catch (e) {
+    return null;
+  }
+};
+
+// One page of a user's inbox, newest first. Stale notifications on the page are deleted.
+// Returns { notifications, pageInfo } or { error: { status, message } }.
+export const getInboxPage = async (userId, user, filters, { limit, cursor } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_INBOX_LIMIT, 1), MAX_INBOX_LIMIT);
+  const query = buildInboxQuery(userId, user, filters);
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return { error: { status: 400, message: "Invalid cursor" } };
+    }
+    query.$or = [
+      { createdAt: { $lt: decoded.createdAt } },
+      { createdAt: decoded.createdAt, _id: { $lt: decoded.id } },
+    ];
+  }
+
+  const docs = await Notification.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .lean();
+  const hasMore = docs.length > pageSize;
+  const page = hasMore ? docs.slice(0, pageSize) : docs;
+
+  const { formatted, staleIds } = await formatNotifications(page, userId);
+  if (staleIds.length) {
+    await Notification.deleteMany({ _id: { $in: staleIds } });
+  }
+
+  return {
+    notifications: formatted,
+    pageInfo: {
+      limit: pageSize,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    },
+  };
+};
+
+// Unread, unarchived counts per counter without hydrating any notification
+export const countUnread = async (userId, user) => {
+  const match = buildInboxQuery(userId, user, { unread: true });
+  const rows = await Notification.aggregate([
+    { $match: match },
+    { $group: { _id: "$type", count: { $sum: 1 } } },
+  ]);
+  const byType = Object.fromEntries(rows.map((row) => [row._id, row.count]));
+
+  const counts = {};
+  let totalUnreadCount = 0;
+  for (const [counter, types] of Object.entries(UNREAD_COUNTERS)) {
+    counts[counter] = types.reduce((sum, type) => sum + (byType[type] || 0), 0);
+    totalUnreadCount += counts[counter];
+  }
+  return { ...counts, totalUnreadCount, byType };
+};
+
+export default {
+  DEFAULT_INBOX_LIMIT,
+  MAX_INBOX_LIMIT,
+  UNREAD_COUNTERS,
+  formatNotifications,
+  parseInboxFilters,
+  buildInboxQuery,
+  getInboxPage,
+  countUnread,
+};
@@ -0,0 +1,174 @@
+import { DateTime } from "luxon";
+import User from "../models/User.js";
+import { getUserTimeZone } from "./dueDates.js";
+
+// Per-type, per-channel notification settings stored in User.preferences.notifications,
+// plus muted groups and quiet hours
+
+export const NOTIFICATION_TYPES = [
+  "invitation",
+  "task_assigned",
+  "comment_mention",
+  "task_due_reminder",
+  "task_overdue",
+  "overdue_digest",
+  "time_session_idle",
+];
+// Types that can also go out by email
+export const EMAIL_NOTIFICATION_TYPES = ["invitation", "task_assigned", "task_due_reminder"];
+export const NOTIFICATION_CHANNELS = ["inApp", "email", "push"];
+// Channels users have to opt in to
+const OPT_IN_CHANNELS = ["push"];
+export const EMAIL_DIGEST_FREQUENCIES = ["immediate", "daily", "weekly"];
+export const MAX_MUTED_GROUPS = 200;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Whether a user wants `type` delivered over `channel`. Missing settings count as enabled,
+// except for opt-in channels (push); a legacy boolean `notifications` switch applies to
+// every type and channel.
+export const isChannelEnabled = (user, type, channel) => {
+  if (channel === "email" && !EMAIL_NOTIFICATION_TYPES.includes(type)) return false;
+  const optIn = OPT_IN_CHANNELS.includes(channel);
+  const settings = user?.preferences?.notifications;
+  if (typeof settings === 'boolean') return settings && !optIn;
+  const value = settings?.[type]?.[channel];
+  return value === undefined || value === null ? !optIn : !!value;
+};
+
+export const getEmailDigestFrequency = (user) => {
+  const frequency = user?.preferences?.emailDigest;
+  return EMAIL_DIGEST_FREQUENCIES.includes(frequency) ? frequency : "immediate";
+};
+
+export const isGroupMuted = (user, groupTag) => {
+  const muted = user?.preferences?.mutedGroups;
+  return !!groupTag && Array.isArray(muted) && muted.includes(groupTag);
+};
+
+// Whether `now` falls inside the user's quiet hours (evaluated in their time zone).
+// Windows may wrap past midnight, e.g. 22:00-07:00.
+export const isInQuietHours = (user, now = new Date()) => {
+  const quietHours = user?.preferences?.quietHours;
+  if (!quietHours?.enabled || !TIME_OF_DAY.test(quietHours.start || "") || !TIME_OF_DAY.test(quietHours.end || "")) {
+    return false;
+  }
+  const current = DateTime.fromJSDate(now).setZone(getUserTimeZone(user)).toFormat("HH:mm");
+  const { start, end } = quietHours;
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// Whether an in-app notification of `type` about `groupTag` should be created for a user
+export const wantsInAppNotification = (user, type, groupTag) =>
+  isChannelEnabled(user, type, "inApp") && !isGroupMuted(user, groupTag);
+
+// Same, looking the user up by auth0Id; unknown users keep the defaults
+export const loadWantsInAppNotification = async (userId, type, groupTag) => {
+  const user = userId
+    ? await User.findOne({ auth0Id: userId.toString().trim() }).select('preferences').lean()
+    : null;
+  return wantsInAppNotification(user, type, groupTag);
+};
+
+// Whether a live `notification` event should be pushed right now: the in-app channel
+// is on, the group isn't muted and it isn't quiet hours. The notification itself is
+// still stored, so it shows up in the inbox later.
+export const shouldPushNotification = (user, data, now = new Date()) => {
+  if (!user) return true;
+  if (data?.type && !isChannelEnabled(user, data.type, "inApp")) return false;
+  if (isGroupMuted(user, data?.groupTag)) return false;
+  return !isInQuietHours(user, now);
+};
+
+// Validate a (partial) preferences.notifications object from the client.
+// Returns { set } with dotted paths to $set, or { error }.
+export const normalizeNotificationPreferences = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: "preferences.notifications must be an object keyed by notification type" };
+  }
+
+  const set = {};
+  for (const [type, channels] of Object.entries(input)) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      return { error: `Unknown notification type "${type}"` };
+    }
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      return { error: `preferences.notifications.${type} must be an object like { inApp, email, push }` };
+    }
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return { error: `Unknown channel "${channel}" (use ${NOTIFICATION_CHANNELS.join(', ')})` };
+      }
+      if (typeof enabled !== 'boolean') {
+        return { error: `preferences.notifications.${type}.${channel} must be true or false` };
+      }
+      if (channel === "email" && enabled && !EMAIL_NOTIFICATION_TYPES.includes(type)) {
+        return { error: `${type} notifications can't be sent by email` };
+      }
+      set[`preferences.notifications.${type}.${channel}`] = enabled;
+    }
+  }
+  return { set };
+};
+
+// Validate preferences.mutedGroups (group tags). Returns { groups } or { error }.
+export const normalizeMutedGroups = (input) => {
+  if (!Array.isArray(input)) {
+    return { error: "preferences.mutedGroups must be an array of group tags" };
+  }
+  const groups = [];
+  for (const value of input) {
+    const tag = typeof value === 'string' ? value.trim() : "";
+    if (!tag) {
+      return { error: "preferences.mutedGroups must only contain group tags" };
+    }
+    if (!groups.includes(tag)) groups.push(tag);
+  }
+  if (groups.length > MAX_MUTED_GROUPS) {
+    return { error: `At most ${MAX_MUTED_GROUPS} groups can be muted` };
+  }
+  return { groups };
+};
+
+// Validate a (partial) preferences.quietHours object. Returns { set } or { error }.
+export const normalizeQuietHours = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: "preferences.quietHours must be an object like { enabled, start, end }" };
+  }
+  const set = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (key === "enabled") {
+      if (typeof value !== 'boolean') {
+        return { error: "preferences.quietHours.enabled must be true or false" };
+      }
+      set["preferences.quietHours.enabled"] = value;
+    } else if (key === "start" || key === "end") {
+      if (typeof value !== 'string' || !TIME_OF_DAY.test(value)) {
+        return { error: `preferences.quietHours.${key} must be a time like "22:00"` };
+      }
+      set[`preferences.quietHours.${key}`] = value;
+    } else {
+      return { error: `Unknown quiet hours setting "${key}" (use enabled, start, end)` };
+    }
+  }
+  return { set };
+};
+
+export default {
+  NOTIFICATION_TYPES,
+  EMAIL_NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  EMAIL_DIGEST_FREQUENCIES,
+  isChannelEnabled,
+  getEmailDigestFrequency,
+  isGroupMuted,
+  isInQuietHours,
+  wantsInAppNotification,
+  loadWantsInAppNotification,
+  shouldPushNotification,
+  normalizeNotificationPreferences,
+  normalizeMutedGroups,
+  normalizeQuietHours,
+};
@@ -0,0 +1,231 @@
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Group from "../models/Group.js";
+import Activity from "../models/Activity.js";
+import Notification from "../models/Notification.js";
+import { sendNotificationToUser } from "./sseManager.js";
+import { emitActivity } from "./activityEmitter.js";
+import { getUserTimeZone, isTaskOverdue } from "./dueDates.js";
+import { loadWantsInAppNotification } from "./notificationPreferences.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_TASK_LIMIT = 20;
+// Only tasks that slipped this recently are announced; older ones (e.g. on the first run,
+// or after a long outage) are just flagged. Two days so one missed nightly run is covered.
+const NOTIFY_WINDOW_MS = 2 * DAY_MS;
+
+// auth0Id -> user (time zone + name) for a set of users
+const loadUsers = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (!ids.length) return new Map();
+  const users = await User.find({ auth0Id: { $in: ids } }).select('auth0Id name preferences.timezone').lean();
+  return new Map(users.map(u => [u.auth0Id, u]));
+};
+
+// Stored isOverdue is evaluated in the task owner's time zone
+const isOverdueForOwner = (task, owners, now) =>
+  isTaskOverdue(task, getUserTimeZone(owners.get(task.userId)), now);
+
+const summarizeTask = (task) => ({
+  taskId: task._id,
+  title: task.title,
+  dueDate: task.dueDate,
+  dueHasTime: !!task.dueHasTime,
+  assignedTo: task.assignedTo || [],
+});
+
+// One task_overdue activity per task that slipped, attributed to the task owner
+const recordOverdueActivity = async (task, owner) => {
+  try {
+    const createdActivity = await Activity.create({
+      type: "task_overdue",
+      taskId: task._id,
+      taskTitle: task.title,
+      userId: task.userId,
+      userName: owner?.name || "Unknown",
+      groupTag: task.groupTag,
+      timestamp: new Date(),
+    });
+
+    // Emit activity to relevant group members (non-blocking)
+    try {
+      await emitActivity(createdActivity);
+    } catch (e) {
+      // ignore emitter errors
+    }
+  } catch (e) {
+    console.warn('[overdue] activity failed', e.message || e);
+  }
+};
+
+// Tell each assignee their task is overdue (re-arms if the task slips again later)
+const notifyAssignees = async (task) => {
+  let notified = 0;
+  for (const assignee of task.assignedTo || []) {
+    const userIdStr = assignee ? assignee.toString().trim() : null;
+    if (!userIdStr) continue;
+    try {
+      const inApp = await loadWantsInAppNotification(userIdStr, 'task_overdue', task.groupTag);
+      if (inApp) {
+        await Notification.findOneAndUpdate(
+          { userId: userIdStr, type: 'task_overdue', taskId: task._id },
+          {
+            userId: userIdStr,
+            type: 'task_overdue',
+            taskId: task._id,
+            taskTitle: task.title,
+            groupTag: task.groupTag,
+            acknowledgedAt: null,
+            archivedAt: null,
+            metadata: { dueDate: task.dueDate, dueHasTime: !!task.dueHasTime },
+          },
+          { upsert: true, new: true }
+        );
+        notified++;
+      }
+      try {
+        sendNotificationToUser(userIdStr, {
+          type: 'task_overdue',
+          taskId: task._id,
+          taskTitle: task.title,
+          groupTag: task.groupTag,
+          dueDate: task.dueDate,
+          dueHasTime: !!task.dueHasTime,
+        }, { inApp });
+      } catch (e) {}
+    } catch (e) {
+      console.warn('[overdue] failed to notify assignee', userIdStr, e.message || e);
+    }
+  }
+  return notified;
+};
+
+// Digest of newly overdue tasks for a group's owner and admins
+const sendGroupDigest = async (group, tasks) => {
+  const recipients = new Set();
+  if (group.owner) recipients.add(group.owner.toString().trim());
+  (group.collaborators || []).forEach(c => {
+    if (c && c.userId && c.status === 'accepted' && c.role === 'admin') recipients.add(c.userId.toString().trim());
+  });
+
+  // countDocuments skips the find hook that hides trashed tasks
+  const totalOverdue = await Task.countDocuments({ groupTag: group.tag, isOverdue: true, archived: { $ne: true } });
+  const metadata = {
+    newlyOverdueCount: tasks.length,
+    totalOverdueCount: totalOverdue,
+    tasks: tasks.slice(0, DIGEST_TASK_LIMIT).map(summarizeTask),
+  };
+
+  let sent = 0;
+  for (const rid of recipients) {
+    try {
+      const inApp = await loadWantsInAppNotification(rid, 'overdue_digest', group.tag);
+      const notification = inApp ? await Notification.create({
+        userId: rid,
+        type: 'overdue_digest',
+        groupId: group._id,
+        groupTag: group.tag,
+        groupName: group.name,
+        metadata,
+      }) : null;
+      try {
+        sendNotificationToUser(rid, {
+          type: 'overdue_digest',
+          notificationId: notification?._id || null,
+          groupId: group._id,
+          groupTag: group.tag,
+          groupName: group.name,
+          ...metadata,
+        }, { inApp });
+      } catch (e) {}
+      if (inApp) sent++;
+    } catch (e) {
+      console.warn('[overdue] failed to send group digest', rid, e.message || e);
+    }
+  }
+  return sent;
+};
+
+// After an edit: once a flagged task is done or no longer overdue, clear the flag and
+// the assignees' task_overdue notifications rather than waiting for the next sweep
+export const clearResolvedOverdue = async (task, now = new Date()) => {
+  if (!task?.isOverdue) return;
+  try {
+    const owners = await loadUsers([task.userId]);
+    if (isOverdueForOwner(task, owners, now)) return;
+    await Task.updateOne({ _id: task._id }, { $set: { isOverdue: false } }, { timestamps: false });
+    await Notification.deleteMany({ type: 'task_overdue', taskId: task._id });
+  } catch (e) {
+    console.warn('[overdue] failed to clear resolved task', e.message || e);
+  }
+};
+
+/**
+ * Persist isOverdue for every open task and tell people about the ones that just slipped:
+ * a task_overdue activity per task, a notification per assignee, and a digest per group
+ * for its owner and admins. Tasks that were already overdue before the notify window
+ * are flagged quietly. Tasks that are no longer overdue get the flag cleared.
+ */
+export const sweepOverdueTasks = async (now = new Date()) => {
+  // Date-only tasks can't be overdue anywhere before their date has started in the
+  // furthest-ahead zone, so anything due more than a day out can be skipped
+  const candidates = await Task.find({
+    isOverdue: { $ne: true },
+    status: { $ne: "completed" },
+    dueDate: { $ne: null, $lt: new Date(now.getTime() + DAY_MS) },
+  }).lean();
+  const flagged = await Task.find({ isOverdue: true })
+    .select('userId status dueDate dueHasTime')
+    .lean();
+
+  const owners = await loadUsers([...candidates, ...flagged].map(t => t.userId));
+
+  const newlyOverdue = candidates.filter(t => isOverdueForOwner(t, owners, now));
+  const noLongerOverdue = flagged.filter(t => !isOverdueForOwner(t, owners, now));
+  const windowStart = new Date(now.getTime() - NOTIFY_WINDOW_MS);
+  const justSlipped = newlyOverdue.filter(t => !isOverdueForOwner(t, owners, windowStart));
+
+  // Flag changes shouldn't count as edits, so leave updatedAt alone
+  if (newlyOverdue.length) {
+    await Task.updateMany(
+      { _id: { $in: newlyOverdue.map(t => t._id) } },
+      { $set: { isOverdue: true } },
+      { timestamps: false }
+    );
+  }
+  if (noLongerOverdue.length) {
+    const ids = noLongerOverdue.map(t => t._id);
+    await Task.updateMany({ _id: { $in: ids } }, { $set: { isOverdue: false } }, { timestamps: false });
+    await Notification.deleteMany({ type: 'task_overdue', taskId: { $in: ids } });
+  }
+
+  let notified = 0;
+  const byGroup = new Map();
+  for (const task of justSlipped) {
+    await recordOverdueActivity(task, owners.get(task.userId));
+    notified += await notifyAssignees(task);
+
+    if (task.groupTag && task.groupTag !== "@personal") {
+      if (!byGroup.has(task.groupTag)) byGroup.set(task.groupTag, []);
+      byGroup.get(task.groupTag).push(task);
+    }
+  }
+
+  let digests = 0;
+  if (byGroup.size) {
+    const groups = await Group.find({ tag: { $in: [...byGroup.keys()] } });
+    for (const group of groups) {
+      digests += await sendGroupDigest(group, byGroup.get(group.tag));
+    }
+  }
+
+  return {
+    flagged: newlyOverdue.length,
+    announced: justSlipped.length,
+    cleared: noLongerOverdue.length,
+    notified,
+    digests,
+  };
+};
+
+export default { sweepOverdueTasks, clearResolvedOverdue };
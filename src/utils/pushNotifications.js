@@ -0,0 +1,78 @@
+import User from "../models/User.js";
+import PushSubscription from "../models/PushSubscription.js";
+import { getPushSender } from "../push/index.js";
+import { isChannelEnabled, isGroupMuted, isInQuietHours } from "./notificationPreferences.js";
+
+// Title/body for each notification type, built from the SSE `notification` event data
+const PUSH_MESSAGES = {
+  invitation: (data) => ({
+    title: "Group invitation",
+    body: `You're invited to join ${data.groupName || "a group"}`,
+  }),
+  task_assigned: (data) => ({
+    title: "New assignment",
+    body: data.count > 1 ? `${data.count} tasks were assigned to you` : `You were assigned "${data.taskTitle || "a task"}"`,
+  }),
+  comment_mention: (data) => ({
+    title: `${data.mentionedBy?.name || "Someone"} mentioned you`,
+    body: data.excerpt || data.taskTitle || "",
+  }),
+  task_due_reminder: (data) => ({
+    title: "Task due soon",
+    body: `"${data.taskTitle || "A task"}" is due soon`,
+  }),
+  task_overdue: (data) => ({
+    title: "Task overdue",
+    body: `"${data.taskTitle || "A task"}" is overdue`,
+  }),
+  overdue_digest: (data) => ({
+    title: `Overdue in ${data.groupName || "your group"}`,
+    body: `${data.newlyOverdueCount || 0} task(s) became overdue`,
+  }),
+  time_session_idle: (data) => ({
+    title: "Timer stopped",
+    body: `Your timer${data.taskTitle ? ` for "${data.taskTitle}"` : ""} was idle for ${data.idleMinutes || 0} min. Keep or discard that time?`,
+  }),
+};
+
+// Push a notification event to every device of a user who opted in to this type.
+// Subscriptions the push service reports as gone are removed. Returns the number sent.
+export const pushNotificationToUser = async (userId, data) => {
+  const sender = getPushSender();
+  const buildMessage = PUSH_MESSAGES[data?.type];
+  if (!sender || !userId || !buildMessage) return 0;
+
+  const user = await User.findOne({ auth0Id: userId }).select('preferences').lean();
+  if (!isChannelEnabled(user, data.type, "push") || isGroupMuted(user, data.groupTag) || isInQuietHours(user)) {
+    return 0;
+  }
+
+  const subscriptions = await PushSubscription.find({ userId }).lean();
+  if (!subscriptions.length) return 0;
+
+  const payload = { ...buildMessage(data), tag: data.type, data };
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    try {
+      await sender.send({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+      await PushSubscription.updateOne({ _id: subscription._id }, { $set: { lastUsedAt: new Date() } });
+      sent++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+      } else {
+        console.warn('[push] failed to send to', userId, error && error.message ? error.message : error);
+      }
+    }
+  }
+  return sent;
+};
+
+// Fire-and-forget variant for callers that can't wait (sseManager)
+export const queuePushNotification = (userId, data) => {
+  pushNotificationToUser(userId, data).catch((error) => {
+    console.warn('[push] fallback failed', error && error.message ? error.message : error);
+  });
+};
+
+export default { pushNotificationToUser, queuePushNotification };
@@ -0,0 +1,310 @@
+import { DateTime } from "luxon";
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import TaskSeries from "../models/TaskSeries.js";
+import Activity from "../models/Activity.js";
+import Group from "../models/Group.js";
+import Notification from "../models/Notification.js";
+import { sendEventToUser, sendNotificationToUser } from "./sseManager.js";
+import { emitActivity } from "./activityEmitter.js";
+import { getWorkflowForGroupTag, resolveStatus, getNextRank } from "./workflow.js";
+import { syncTaskReminders } from "./reminders.js";
+import { emailNotification } from "./emailNotifications.js";
+import { loadWantsInAppNotification } from "./notificationPreferences.js";
+import { getDueDateKey, loadUserTimeZone, todayKey } from "./dueDates.js";
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "interval"];
+
+// Validate a client-provided recurrence rule; returns { rule } or { error }
+export const normalizeRecurrenceRule = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: "Recurrence rule must be an object" };
+  }
+
+  const frequency = input.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = input.interval === undefined || input.interval === null ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { error: "Recurrence interval must be a positive integer" };
+  }
+
+  const rule = { frequency, interval, weekdays: [], dayOfMonth: null };
+
+  if (frequency === "weekly") {
+    const weekdays = Array.isArray(input.weekdays) ? input.weekdays.map(Number) : [];
+    if (weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: "Recurrence weekdays must be numbers from 0 (Sunday) to 6 (Saturday)" };
+    }
+    rule.weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+  }
+
+  if (frequency === "monthly" && input.dayOfMonth !== undefined && input.dayOfMonth !== null) {
+    const dayOfMonth = Number(input.dayOfMonth);
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      return { error: "Recurrence dayOfMonth must be between 1 and 31" };
+    }
+    rule.dayOfMonth = dayOfMonth;
+  }
+
+  return { rule };
+};
+
+// Monthly rules without a dayOfMonth repeat on the day the series started from (the
+// task's due day in the owner's zone, or today), so a series due on the 31st goes back
+// to the 31st after a short month instead of staying on the 28th
+export const pinDayOfMonth = (rule, task, timeZone, now = new Date()) => {
+  if (rule.frequency !== "monthly" || rule.dayOfMonth) return rule;
+  const key = getDueDateKey(task, timeZone) || todayKey(timeZone, now);
+  return { ...rule, dayOfMonth: Number(key.slice(8, 10)) };
+};
+
+// Luxon weekday (1 = Monday, 7 = Sunday) -> JS getDay (0 = Sunday)
+const jsWeekday = (dt) => dt.weekday % 7;
+
+// Next occurrence strictly after `from` (a Luxon DateTime)
+const nextOccurrence = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case "daily":
+    case "interval":
+      return from.plus({ days: interval });
+    case "weekly": {
+      if (!rule.weekdays || rule.weekdays.length === 0) {
+        return from.plus({ weeks: interval });
+      }
+      // Next listed weekday, only in weeks that are a multiple of `interval` from the current one
+      const baseWeek = from.startOf("week");
+      for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+        const candidate = from.plus({ days: offset });
+        const weeksApart = Math.round(candidate.startOf("week").diff(baseWeek, "weeks").weeks);
+        if (weeksApart % interval === 0 && rule.weekdays.includes(jsWeekday(candidate))) {
+          return candidate;
+        }
+      }
+      return from.plus({ weeks: interval });
+    }
+    case "monthly": {
+      const targetDay = rule.dayOfMonth || from.day;
+      const month = from.plus({ months: interval }).startOf("month");
+      return month.set({ day: Math.min(targetDay, month.daysInMonth) }).set({
+        hour: from.hour,
+        minute: from.minute,
+        second: from.second,
+        millisecond: from.millisecond,
+      });
+    }
+    default:
+      return from.plus({ days: 1 });
+  }
+};
+
+// Compute the next instance's dueDate. Starts from the completed instance's dueDate
+// (or the completion date when it had none) and skips occurrences already in the past.
+// Timed due dates step through `timeZone` (the owner's), so they keep their weekday and
+// wall-clock time across DST; date-only ones (dueHasTime=false) are calendar dates and
+// stay at 00:00 UTC.
+export const computeNextDueDate = (rule, dueDate, completedAt = new Date(), dueHasTime = false, timeZone = "UTC") => {
+  const timed = !!(dueHasTime && dueDate);
+  let base = null;
+
+  if (dueDate) {
+    const zone = timed ? timeZone : "utc";
+    base = dueDate instanceof Date
+      ? DateTime.fromJSDate(dueDate, { zone })
+      : DateTime.fromISO(String(dueDate), { zone });
+  }
+  if (!base || !base.isValid) {
+    base = DateTime.fromISO(todayKey(timeZone, completedAt), { zone: "utc" });
+  }
+
+  const today = todayKey(timeZone);
+  let next = nextOccurrence(rule, base);
+  // Guard against runaway loops for very old due dates
+  for (let i = 0; i < 1000 && next.toISODate() < today; i++) {
+    next = nextOccurrence(rule, next);
+  }
+
+  return timed ? next.toJSDate() : next.startOf("day").toJSDate();
+};
+
+// Snapshot of task fields that each new instance copies
+export const buildSeriesTemplate = (task) => ({
+  title: task.title,
+  description: task.description || "",
+  category: task.category || "",
+  priority: task.priority || "Medium",
+  documentationLink: task.documentationLink || "",
+  tags: task.tags || [],
+  assignedTo: task.assignedTo || [],
+  assignedUsers: (task.assignedUsers || []).map(u => ({ userId: u.userId, name: u.name, email: u.email })),
+  subtasks: (task.subtasks || [])
+    .slice()
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map(s => s.title),
+  timePlanning: task.timePlanning
+    ? {
+        enabled: task.timePlanning.enabled,
+        defaultStartTime: task.timePlanning.defaultStartTime,
+        defaultEndTime: task.timePlanning.defaultEndTime,
+        defaultDuration: task.timePlanning.defaultDuration,
+        categoryId: task.timePlanning.categoryId,
+        recurrence: { type: task.timePlanning.recurrence?.type || "none" },
+        autoPlanOnStart: task.timePlanning.autoPlanOnStart,
+        showPlanningPrompt: task.timePlanning.showPlanningPrompt,
+      }
+    : null,
+});
+
+// Create the next instance of a series after `task` was completed.
+// Returns the new task, or null when the task isn't recurring, the series is stopped/ended,
+// or an instance was already spawned from this one.
+export const spawnNextInstance = async (task, { actorId, actorName } = {}) => {
+  if (!task || !task.seriesId || task.nextInstanceId) return null;
+
+  const series = await TaskSeries.findById(task.seriesId);
+  if (!series || !series.active) return null;
+
+  const timeZone = await loadUserTimeZone(series.userId);
+  const dueDate = computeNextDueDate(series.rule, task.dueDate, task.completedAt || new Date(), task.dueHasTime, timeZone);
+  if (series.endDate && dueDate > series.endDate) {
+    return null;
+  }
+
+  // Claim the link before creating anything, so two completions racing on the same
+  // task (e.g. a status update and a bulk update) can't both spawn an instance
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, nextInstanceId: null },
+    { nextInstanceId: nextId }
+  ).setOptions({ includeArchived: true });
+  if (!claimed) return null;
+
+  const { template } = series;
+  const now = new Date();
+  // New instances start in the first pending column of the board, at the bottom
+  const workflow = await getWorkflowForGroupTag(series.groupTag);
+  const statusEntry = resolveStatus(workflow, "pending");
+  let nextTask;
+  try {
+    nextTask = await Task.create({
+      _id: nextId,
+      userId: series.userId,
+      title: template.title,
+      description: template.description,
+      category: template.category,
+      priority: template.priority,
+      documentationLink: template.documentationLink,
+      tags: template.tags,
+      groupTag: series.groupTag,
+      assignedTo: template.assignedTo,
+      assignedUsers: template.assignedUsers,
+      subtasks: (template.subtasks || []).map((title, index) => ({
+        title,
+        order: index,
+        createdBy: series.userId,
+        createdAt: now,
+      })),
+      progress: template.subtasks && template.subtasks.length > 0 ? 0 : undefined,
+      timePlanning: template.timePlanning || undefined,
+      dueDate,
+      dueHasTime: !!(task.dueHasTime && task.dueDate),
+      // Keep the previous instance's reminder override
+      reminderOffsets: Array.isArray(task.reminderOffsets) ? task.reminderOffsets : undefined,
+      status: "pending",
+      statusKey: statusEntry.key,
+      rank: await getNextRank({ userId: series.userId, groupTag: series.groupTag }, workflow, statusEntry),
+      seriesId: series._id,
+    });
+  } catch (error) {
+    // Release the claim so a later completion can try again
+    await Task.updateOne({ _id: task._id, nextInstanceId: nextId }, { nextInstanceId: null });
+    throw error;
+  }
+
+  await syncTaskReminders(nextTask);
+  await TaskSeries.findByIdAndUpdate(series._id, {
+    $inc: { occurrenceCount: 1 },
+    lastInstanceId: nextTask._id,
+  });
+
+  try {
+    const createdActivity = await Activity.create({
+      type: "task_created",
+      taskId: nextTask._id,
+      taskTitle: nextTask.title,
+      userId: actorId || series.userId,
+      userName: actorName || "Unknown",
+      groupTag: nextTask.groupTag,
+      timestamp: new Date(),
+    });
+    await emitActivity(createdActivity);
+  } catch (e) {
+    console.warn('[recurrence] activity for next instance failed', e.message || e);
+  }
+
+  // Notify assignees about the new instance and push it to owner + assignees
+  try {
+    const group = nextTask.groupTag && nextTask.groupTag !== "@personal"
+      ? await Group.findOne({ tag: nextTask.groupTag })
+      : null;
+    const payload = nextTask.toObject();
+    const recipients = new Set();
+    if (nextTask.userId) recipients.add(nextTask.userId.toString().trim());
+
+    for (const assignee of nextTask.assignedTo || []) {
+      const userIdStr = assignee ? assignee.toString().trim() : null;
+      if (!userIdStr) continue;
+      recipients.add(userIdStr);
+      try {
+        const inApp = await loadWantsInAppNotification(userIdStr, 'task_assigned', nextTask.groupTag);
+        if (inApp) {
+          await Notification.findOneAndUpdate(
+            { userId: userIdStr, type: 'task_assigned', taskId: nextTask._id },
+            {
+              userId: userIdStr,
+              type: 'task_assigned',
+              taskId: nextTask._id,
+              groupTag: nextTask.groupTag,
+              groupName: group?.name || null,
+              taskTitle: nextTask.title,
+              acknowledgedAt: null,
+              archivedAt: null,
+            },
+            { upsert: true, new: true }
+          );
+        }
+        if (userIdStr !== actorId) {
+          try { sendNotificationToUser(userIdStr, { type: 'task_assigned', taskId: nextTask._id, taskTitle: nextTask.title, groupTag: nextTask.groupTag }, { inApp }); } catch (e) {}
+          await emailNotification(userIdStr, 'task_assigned', {
+            tasks: [{ taskId: nextTask._id, title: nextTask.title, groupTag: nextTask.groupTag }],
+            groupName: group?.name || null,
+            assignedBy: actorName || "Someone",
+          });
+        }
+      } catch (e) {
+        console.warn('[notifications] failed to upsert for recurring assignee', userIdStr, e.message || e);
+      }
+    }
+
+    recipients.delete(actorId && actorId.toString().trim());
+    for (const rid of recipients) {
+      try { sendEventToUser(rid, 'task_updated', payload); } catch (e) {}
+    }
+  } catch (e) {
+    console.warn('[recurrence] next instance notify failed', e.message || e);
+  }
+
+  return nextTask;
+};
+
+export default {
+  normalizeRecurrenceRule,
+  pinDayOfMonth,
+  computeNextDueDate,
+  buildSeriesTemplate,
+  spawnNextInstance,
+};
@@ -0,0 +1,229 @@
+import { DateTime } from "luxon";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Reminder from "../models/Reminder.js";
+import Notification from "../models/Notification.js";
+import { sendNotificationToUser } from "./sseManager.js";
+import { getUserTimeZone, getDueDateKey } from "./dueDates.js";
+import { isChannelEnabled, isGroupMuted, loadWantsInAppNotification } from "./notificationPreferences.js";
+import { emailNotification } from "./emailNotifications.js";
+
+export const DEFAULT_REMINDER_OFFSETS = [24 * 60];
+export const MAX_REMINDER_OFFSETS = 5;
+export const MAX_REMINDER_OFFSET_MINUTES = 30 * 24 * 60;
+// Date-only tasks are "due" at this local time for reminder purposes
+const DATE_ONLY_DUE_TIME = "09:00";
+// Claims older than this are assumed to belong to a crashed run
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+const MAX_DELIVERIES_PER_RUN = 500;
+
+// Validate reminder offsets (minutes before due). Returns { offsets } or { error }.
+export const normalizeReminderOffsets = (input) => {
+  if (!Array.isArray(input)) {
+    return { error: "Reminder offsets must be an array of minutes before the due date" };
+  }
+  if (input.length > MAX_REMINDER_OFFSETS) {
+    return { error: `At most ${MAX_REMINDER_OFFSETS} reminders are allowed` };
+  }
+  const offsets = [];
+  for (const value of input) {
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_REMINDER_OFFSET_MINUTES) {
+      return { error: `Reminder offsets must be whole minutes between 0 and ${MAX_REMINDER_OFFSET_MINUTES}` };
+    }
+    if (!offsets.includes(minutes)) offsets.push(minutes);
+  }
+  return { offsets: offsets.sort((a, b) => b - a) };
+};
+
+// The moment a task is due for a user (date-only tasks use DATE_ONLY_DUE_TIME in their zone)
+export const getDueInstant = (task, timeZone) => {
+  if (!task?.dueDate) return null;
+  if (task.dueHasTime) return new Date(task.dueDate);
+  const key = getDueDateKey(task, timeZone);
+  return key ? DateTime.fromISO(`${key}T${DATE_ONLY_DUE_TIME}`, { zone: timeZone }).toJSDate() : null;
+};
+
+// Owner + assignees
+const taskRecipients = (task) => {
+  const recipients = new Set();
+  if (task.userId) recipients.add(task.userId.toString().trim());
+  (task.assignedTo || []).forEach(a => { if (a) recipients.add(a.toString().trim()); });
+  return recipients;
+};
+
+// Offsets that apply to a user: the task's override, else the user's defaults
+export const getEffectiveReminderOffsets = (task, user) => {
+  if (Array.isArray(task.reminderOffsets)) return task.reminderOffsets;
+  const defaults = user?.preferences?.reminderOffsets;
+  return Array.isArray(defaults) ? defaults : DEFAULT_REMINDER_OFFSETS;
+};
+
+// Reminders a task should currently have scheduled (future ones only)
+const computeTaskReminders = async (task, now) => {
+  if (!task?.dueDate || task.status === "completed" || task.archived) return [];
+
+  const recipients = [...taskRecipients(task)];
+  if (recipients.length === 0) return [];
+
+  const users = await User.find({ auth0Id: { $in: recipients } }).select('auth0Id preferences').lean();
+  const reminders = [];
+  for (const user of users) {
+    // Users who switched reminders off on every channel, or muted the group, get none
+    if (!isChannelEnabled(user, "task_due_reminder", "inApp") &&
+      !isChannelEnabled(user, "task_due_reminder", "email")) continue;
+    if (isGroupMuted(user, task.groupTag)) continue;
+
+    const due = getDueInstant(task, getUserTimeZone(user));
+    if (!due) continue;
+    for (const offsetMinutes of getEffectiveReminderOffsets(task, user)) {
+      const remindAt = new Date(due.getTime() - offsetMinutes * 60 * 1000);
+      if (remindAt <= now) continue;
+      reminders.push({ taskId: task._id, userId: user.auth0Id, offsetMinutes, remindAt });
+    }
+  }
+  return reminders;
+};
+
+// Bring a task's pending reminders in line with its due date, people and offsets.
+// Reminders that were already sent are never re-scheduled. Best-effort: failures are logged.
+export const syncTaskReminders = async (task, now = new Date()) => {
+  try {
+    const desired = await computeTaskReminders(task, now);
+
+    for (const reminder of desired) {
+      try {
+        await Reminder.updateOne(
+          reminder,
+          { $setOnInsert: { ...reminder, status: "pending" } },
+          { upsert: true }
+        );
+      } catch (error) {
+        // A concurrent sync inserted the same reminder
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const stale = { taskId: task._id, status: "pending" };
+    if (desired.length) {
+      stale.$nor = desired.map(({ userId, offsetMinutes, remindAt }) => ({ userId, offsetMinutes, remindAt }));
+    }
+    await Reminder.deleteMany(stale);
+  } catch (error) {
+    console.warn('[reminders] failed to sync task reminders', error && error.message ? error.message : error);
+  }
+};
+
+// Re-sync every open task a user owns or is assigned to (after their defaults or zone change)
+export const syncUserReminders = async (auth0Id, now = new Date()) => {
+  const tasks = await Task.find({
+    $or: [{ userId: auth0Id }, { assignedTo: auth0Id }],
+    status: { $ne: "completed" },
+    dueDate: { $ne: null },
+  });
+  for (const task of tasks) {
+    await syncTaskReminders(task, now);
+  }
+  return tasks.length;
+};
+
+// Drop pending reminders for tasks that no longer need them (e.g. deleted)
+export const cancelTaskReminders = async (taskIds) => {
+  await Reminder.deleteMany({ taskId: { $in: taskIds }, status: "pending" });
+};
+
+// In-app notification (if wanted) + live SSE event or push for a reminder
+const notifyReminder = async (reminder, task, inApp) => {
+  const notification = inApp ? await Notification.create({
+    userId: reminder.userId,
+    type: "task_due_reminder",
+    taskId: task._id,
+    taskTitle: task.title,
+    groupTag: task.groupTag,
+    metadata: {
+      reminderId: reminder._id,
+      dueDate: task.dueDate,
+      dueHasTime: !!task.dueHasTime,
+      offsetMinutes: reminder.offsetMinutes,
+    },
+  }) : null;
+
+  try {
+    sendNotificationToUser(reminder.userId, {
+      type: 'task_due_reminder',
+      notificationId: notification?._id || null,
+      taskId: task._id,
+      taskTitle: task.title,
+      groupTag: task.groupTag,
+      dueDate: task.dueDate,
+      dueHasTime: !!task.dueHasTime,
+      offsetMinutes: reminder.offsetMinutes,
+    }, { inApp });
+  } catch (e) {}
+};
+
+// Send one claimed reminder over the channels the user wants
+const deliverReminder = async (reminder) => {
+  const task = await Task.findById(reminder.taskId).setOptions({ includeArchived: true });
+  const stillRelevant = task && !task.archived && task.status !== "completed" &&
+    taskRecipients(task).has(reminder.userId);
+  if (!stillRelevant) {
+    await Reminder.updateOne({ _id: reminder._id }, { $set: { status: "cancelled" } });
+    return false;
+  }
+
+  const inApp = await loadWantsInAppNotification(reminder.userId, "task_due_reminder", task.groupTag);
+  await notifyReminder(reminder, task, inApp);
+
+  await emailNotification(reminder.userId, 'task_due_reminder', {
+    taskId: task._id,
+    title: task.title,
+    groupTag: task.groupTag,
+    dueDate: task.dueDate,
+    dueHasTime: !!task.dueHasTime,
+    offsetMinutes: reminder.offsetMinutes,
+  });
+
+  await Reminder.updateOne({ _id: reminder._id }, { $set: { status: "sent", sentAt: new Date() } });
+  return true;
+};
+
+// Deliver every reminder whose time has come. Each reminder is claimed atomically,
+// so overlapping runs (or several server instances) never send it twice.
+export const deliverDueReminders = async (now = new Date()) => {
+  await Reminder.updateMany(
+    { status: "sending", claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+    { $set: { status: "pending", claimedAt: null } }
+  );
+
+  let delivered = 0;
+  let cancelled = 0;
+  for (let i = 0; i < MAX_DELIVERIES_PER_RUN; i++) {
+    const reminder = await Reminder.findOneAndUpdate(
+      { status: "pending", remindAt: { $lte: now } },
+      { $set: { status: "sending", claimedAt: new Date() } },
+      { sort: { remindAt: 1 }, new: true }
+    );
+    if (!reminder) break;
+
+    try {
+      if (await deliverReminder(reminder)) delivered++;
+      else cancelled++;
+    } catch (error) {
+      console.error(`[reminders] failed to deliver reminder ${reminder._id}:`, error.message || error);
+      // Leave it claimed; it's retried once the claim goes stale
+    }
+  }
+  return { delivered, cancelled };
+};
+
+export default {
+  DEFAULT_REMINDER_OFFSETS,
+  normalizeReminderOffsets,
+  getDueInstant,
+  getEffectiveReminderOffsets,
+  syncTaskReminders,
+  syncUserReminders,
+  cancelTaskReminders,
+  deliverDueReminders,
+};
@@ -1,9 +1,14 @@
+import { shouldPushNotification } from './notificationPreferences.js';
+import { queuePushNotification } from './pushNotifications.js';
+
 // Simple in-memory SSE manager for development.
 // Not suitable for multi-instance production (use Redis/PG pubsub instead).
 const clientsMap = new Map(); // userId -> Set of response objects
+const preferencesMap = new Map(); // userId -> user preferences, for connected users only
 
-function addClient(userId, res) {
+function addClient(userId, res, preferences) {
   if (!userId) return;
+  if (preferences) preferencesMap.set(userId, preferences);
   if (!clientsMap.has(userId)) clientsMap.set(userId, new Set());
   clientsMap.get(userId).add(res);
   if (process.env.NODE_ENV !== 'production') {
@@ -16,17 +21,32 @@ function removeClient(userId, res) {
   const set = clientsMap.get(userId);
   if (!set) return;
   set.delete(res);
-  if (set.size === 0) clientsMap.delete(userId);
+  if (set.size === 0) {
+    clientsMap.delete(userId);
+    preferencesMap.delete(userId);
+  }
   if (process.env.NODE_ENV !== 'production') {
     console.log('[sse] removeClient', { userId, remainingForUser: set ? set.size : 0, totalUsers: clientsMap.size });
   }
 }
 
+// Keep a connected user's cached preferences current (e.g. after a profile update)
+function setClientPreferences(userId, preferences) {
+  if (!userId || !clientsMap.has(userId)) return;
+  preferencesMap.set(userId, preferences || {});
+}
+
 function sendEventToUser(userId, eventName, data) {
   if (!userId) return false;
   const set = clientsMap.get(userId);
   if (!set || set.size === 0) return false;
 
+  // Muted types/groups and quiet hours hold back live notification pushes
+  if (eventName === 'notification' && data && typeof data === 'object') {
+    const preferences = preferencesMap.get(userId);
+    if (preferences && !shouldPushNotification({ preferences }, data)) return false;
+  }
+
   const payload = typeof data === 'string' ? data : JSON.stringify(data);
   let delivered = false;
 
@@ -43,11 +63,21 @@ function sendEventToUser(userId, eventName, data) {
 
   if (set.size === 0) {
     clientsMap.delete(userId);
+    preferencesMap.delete(userId);
   }
 
   return delivered;
 }
 
+// Send a `notification` event over the channels the user wants: live over SSE when
+// `inApp` is on, and as Web Push when nobody received it live. Push has its own
+// opt-in (checked when sending), so it doesn't depend on the in-app channel.
+function sendNotificationToUser(userId, data, { inApp = true } = {}) {
+  const delivered = inApp ? sendEventToUser(userId, 'notification', data) : false;
+  if (!delivered && userId) queuePushNotification(userId, data);
+  return delivered;
+}
+
 function broadcast(eventName, data) {
   const payload = typeof data === 'string' ? data : JSON.stringify(data);
   for (const [, set] of clientsMap.entries()) {
@@ -66,5 +96,5 @@ function getConnectedUsers() {
   return Array.from(clientsMap.keys());
 }
 
-export { addClient, removeClient, sendEventToUser, broadcast, getConnectedUsers };
-export default { addClient, removeClient, sendEventToUser, broadcast, getConnectedUsers };
+export { addClient, removeClient, setClientPreferences, sendEventToUser, sendNotificationToUser, broadcast, getConnectedUsers };
+export default { addClient, removeClient, setClientPreferences, sendEventToUser, sendNotificationToUser, broadcast, getConnectedUsers };
@@ -0,0 +1,60 @@
+import Group from "../models/Group.js";
+
+// Resolve what the current user may do with a task.
+// Mirrors the role checks in updateTaskStatus: group tasks require accepted
+// membership (viewers may only touch tasks they own or are assigned to),
+// personal tasks require ownership or an editor/admin task collaborator entry.
+// canDelete mirrors deleteTask: the task owner, group owner/editors/admins, or
+// editor/admin task collaborators.
+export const getTaskAccess = async (task, auth0Id, group = undefined) => {
+  const currentUserId = auth0Id ? auth0Id.toString().trim() : '';
+  const taskUserId = task.userId ? task.userId.toString().trim() : '';
+
+  const ownsTask = !!currentUserId && taskUserId === currentUserId;
+  const isAssigned = Array.isArray(task.assignedTo) &&
+    task.assignedTo.some(a => a && a.toString().trim() === currentUserId);
+  const taskCollaborator = (task.collaborators || []).find(
+    c => c.user && c.user.toString().trim() === currentUserId
+  );
+
+  const access = {
+    group: null,
+    role: null,
+    ownsTask,
+    isAssigned,
+    canView: false,
+    canEdit: false,
+    canDelete: false,
+  };
+  const isTaskEditor = !!taskCollaborator && ["editor", "admin"].includes(taskCollaborator.role);
+
+  if (task.groupTag && task.groupTag !== "@personal") {
+    // Allow callers that already loaded the group to pass it in
+    const taskGroup = group !== undefined ? group : await Group.findOne({ tag: task.groupTag });
+    access.group = taskGroup || null;
+    if (!taskGroup) return access;
+
+    if (taskGroup.owner && taskGroup.owner.toString().trim() === currentUserId) {
+      access.role = "owner";
+    } else {
+      const collaborator = (taskGroup.collaborators || []).find(
+        c => c.userId && c.userId.toString().trim() === currentUserId && c.status === "accepted"
+      );
+      access.role = collaborator?.role || null;
+    }
+
+    access.canView = !!access.role;
+    access.canEdit = ["editor", "admin", "owner"].includes(access.role) ||
+      (access.role === "viewer" && (ownsTask || isAssigned));
+    access.canDelete = access.canView &&
+      (ownsTask || ["editor", "admin", "owner"].includes(access.role) || isTaskEditor);
+    return access;
+  }
+
+  access.canView = ownsTask || !!taskCollaborator;
+  access.canEdit = ownsTask || isTaskEditor;
+  access.canDelete = ownsTask || isTaskEditor;
+  return access;
+};
+
+export default { getTaskAccess };
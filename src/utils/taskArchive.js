@@ -0,0 +1,89 @@
+import Task from "../models/Task.js";
+import Comment from "../models/Comment.js";
+import Notification from "../models/Notification.js";
+import TaskRevision from "../models/TaskRevision.js";
+import Attachment from "../models/Attachment.js";
+import Reminder from "../models/Reminder.js";
+import { getStorageForDriver } from "../storage/index.js";
+
+// Days an archived task stays in the trash before the purge job removes it
+export const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TASK_TRASH_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+};
+
+// Move tasks matching a filter to the trash (pending reminders are dropped and notifications
+// hidden; restore re-schedules and unhides them)
+export const archiveTasks = async (filter, { actorId, reason = "deleted" } = {}) => {
+  const tasks = await Task.find({ ...filter, archived: { $ne: true } }).select('_id').lean();
+  const taskIds = tasks.map(t => t._id);
+  if (!taskIds.length) return { matchedCount: 0, modifiedCount: 0 };
+
+  const result = await Task.updateMany(
+    { _id: { $in: taskIds }, archived: { $ne: true } },
+    {
+      $set: {
+        archived: true,
+        archivedAt: new Date(),
+        archivedBy: actorId || null,
+        archivedReason: reason,
+      },
+    }
+  );
+
+  try {
+    await Reminder.deleteMany({ taskId: { $in: taskIds }, status: "pending" });
+  } catch (err) {
+    console.warn('[trash] failed to cancel reminders for archived tasks', err && err.message ? err.message : err);
+  }
+
+  try {
+    await Notification.updateMany({ taskId: { $in: taskIds }, hiddenAt: null }, { $set: { hiddenAt: new Date() } });
+  } catch (err) {
+    console.warn('[trash] failed to hide notifications for archived tasks', err && err.message ? err.message : err);
+  }
+
+  return result;
+};
+
+// Remove stored files and attachment records for tasks being purged
+const purgeAttachments = async (taskIds) => {
+  const attachments = await Attachment.find({ taskId: { $in: taskIds } }).select('storageDriver storageKey').lean();
+  for (const attachment of attachments) {
+    try {
+      await getStorageForDriver(attachment.storageDriver).remove(attachment.storageKey);
+    } catch (err) {
+      console.warn('[trash] failed to remove attachment file', attachment.storageKey, err && err.message ? err.message : err);
+    }
+  }
+  await Attachment.deleteMany({ taskId: { $in: taskIds } });
+};
+
+// Permanently remove tasks and everything hanging off them
+export const purgeTasks = async (taskIds) => {
+  if (!taskIds.length) return 0;
+
+  const { deletedCount } = await Task.deleteMany({ _id: { $in: taskIds }, archived: true });
+
+  try {
+    await Comment.deleteMany({ taskId: { $in: taskIds } });
+    await Notification.deleteMany({ taskId: { $in: taskIds } });
+    await TaskRevision.deleteMany({ taskId: { $in: taskIds } });
+    await Reminder.deleteMany({ taskId: { $in: taskIds } });
+    await purgeAttachments(taskIds);
+    await Task.updateMany({ blockedBy: { $in: taskIds } }, { $pull: { blockedBy: { $in: taskIds } } });
+  } catch (err) {
+    console.warn('[trash] failed to clean up purged tasks', err && err.message ? err.message : err);
+  }
+
+  return deletedCount;
+};
+
+// Purge tasks that have been in the trash longer than the retention period
+export const purgeExpiredTasks = async (retentionDays = getTrashRetentionDays()) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await Task.find({ archived: true, archivedAt: { $lt: cutoff } }).select('_id').lean();
+  return purgeTasks(expired.map(t => t._id));
+};
+
+export default { getTrashRetentionDays, archiveTasks, purgeTasks, purgeExpiredTasks };
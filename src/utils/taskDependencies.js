@@ -0,0 +1,85 @@
+import Task from "../models/Task.js";
+
+// Statuses that require every blocker to be completed first
+export const BLOCKED_STATUSES = ["in-progress", "completed"];
+
+const toIdString = (id) => (id ? id.toString() : null);
+
+const summarizeTask = (t) => ({
+  _id: t._id,
+  title: t.title,
+  status: t.status,
+  groupTag: t.groupTag,
+});
+
+// Return the blockers of a task that are not completed yet
+export const findOpenBlockers = async (task) => {
+  const blockerIds = (task.blockedBy || []).map(toIdString).filter(Boolean);
+  if (blockerIds.length === 0) return [];
+
+  const blockers = await Task.find({
+    _id: { $in: blockerIds },
+    status: { $ne: "completed" },
+  }).select('title status groupTag').lean();
+
+  return blockers.map(summarizeTask);
+};
+
+// Would making `taskId` blocked by `blockerId` close a loop?
+// Walks the blockedBy graph upstream from the blocker looking for the task.
+export const wouldCreateCycle = async (taskId, blockerId) => {
+  const target = toIdString(taskId);
+  const visited = new Set();
+  let frontier = [toIdString(blockerId)];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach(id => visited.add(id));
+
+    const upstream = await Task.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    const next = new Set();
+    for (const t of upstream) {
+      for (const id of t.blockedBy || []) {
+        const idStr = toIdString(id);
+        if (idStr && !visited.has(idStr)) next.add(idStr);
+      }
+    }
+    frontier = Array.from(next);
+  }
+
+  return false;
+};
+
+// Attach `blockers` (tasks this one waits on) and `blocking` (tasks waiting on this one)
+// to plain task objects in a couple of batched queries.
+export const attachDependencyInfo = async (taskObjs) => {
+  if (!Array.isArray(taskObjs) || taskObjs.length === 0) return taskObjs;
+
+  const taskIds = taskObjs.map(t => toIdString(t._id));
+  const blockerIds = new Set();
+  taskObjs.forEach(t => (t.blockedBy || []).forEach(id => blockerIds.add(toIdString(id))));
+
+  const [blockerDocs, dependentDocs] = await Promise.all([
+    blockerIds.size ? Task.find({ _id: { $in: Array.from(blockerIds) } }).select('title status groupTag').lean() : [],
+    Task.find({ blockedBy: { $in: taskIds } }).select('title status groupTag blockedBy').lean(),
+  ]);
+
+  const blockerMap = new Map(blockerDocs.map(b => [toIdString(b._id), summarizeTask(b)]));
+  const blockingMap = new Map();
+  for (const dep of dependentDocs) {
+    for (const id of dep.blockedBy || []) {
+      const idStr = toIdString(id);
+      if (!blockingMap.has(idStr)) blockingMap.set(idStr, []);
+      blockingMap.get(idStr).push(summarizeTask(dep));
+    }
+  }
+
+  return taskObjs.map(t => {
+    t.blockers = (t.blockedBy || []).map(id => blockerMap.get(toIdString(id))).filter(Boolean);
+    t.blocking = blockingMap.get(toIdString(t._id)) || [];
+    t.isBlocked = t.blockers.some(b => b.status !== "completed");
+    return t;
+  });
+};
+
+export default { BLOCKED_STATUSES, findOpenBlockers, wouldCreateCycle, attachDependencyInfo };
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import TaskRevision from "../models/TaskRevision.js";
+
+// Fields whose changes are recorded in a task's history
+export const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "priority",
+  "status",
+  "statusKey",
+  "dueDate",
+  "dueHasTime",
+  "documentationLink",
+  "progress",
+  "tags",
+  "assignedTo",
+  "groupTag",
+];
+
+// Order doesn't matter for these, so compare them as sets
+const UNORDERED_FIELDS = new Set(["tags", "assignedTo"]);
+
+// Plain, comparable representation of a stored value
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) {
+    const items = Array.from(value, v => normalizeValue(field, v));
+    return UNORDERED_FIELDS.has(field) ? items.sort() : items;
+  }
+  if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+// Field-level differences between two versions of a task
+export const diffTask = (before, after) => {
+  const changes = [];
+  for (const field of TRACKED_FIELDS) {
+    const from = normalizeValue(field, before?.[field]);
+    const to = normalizeValue(field, after?.[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+};
+
+// Store a revision for the changes between two versions of a task (no-op when nothing tracked changed).
+// History is best-effort: failures are logged and never fail the request.
+export const recordTaskRevision = async (before, after, { actorId, actorName, source, revertedTo = null }) => {
+  try {
+    const changes = diffTask(before, after);
+    if (changes.length === 0) return null;
+
+    return await TaskRevision.create({
+      taskId: after._id,
+      groupTag: after.groupTag || "@personal",
+      userId: actorId,
+      userName: actorName || "Unknown",
+      source,
+      revertedTo,
+      changes,
+    });
+  } catch (error) {
+    console.warn('[history] failed to record task revision', error && error.message ? error.message : error);
+    return null;
+  }
+};
+
+export default { TRACKED_FIELDS, diffTask, recordTaskRevision };
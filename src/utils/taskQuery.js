@@ -0,0 +1,80 @@
+import Group from "../models/Group.js";
+
+// Personal tasks: @personal or missing groupTag
+const PERSONAL_GROUP_CONDITIONS = [
+  { groupTag: "@personal" },
+  { groupTag: { $exists: false } },
+  { groupTag: null },
+];
+
+// Normalize a group tag from a query string ("web-ui" -> "@web-ui")
+export const normalizeGroupTag = (groupTag) => {
+  if (!groupTag) return null;
+  let normalized = groupTag.toString().trim().toLowerCase();
+  if (!normalized.startsWith('@')) {
+    normalized = `@${normalized}`;
+  }
+  return normalized;
+};
+
+// Tags of all groups the user has access to (owner or accepted collaborator)
+export const getAccessibleGroupTags = async (auth0Id) => {
+  const accessibleGroups = await Group.find({
+    $or: [
+      { owner: auth0Id },
+      { "collaborators.userId": auth0Id, "collaborators.status": "accepted" },
+    ],
+  }).select('tag');
+
+  return accessibleGroups.map(g => g.tag);
+};
+
+// Build the Mongo filter for tasks the user may list.
+// - groupTag "@personal": the user's personal tasks
+// - any other groupTag: every task in that group (403 if the user isn't a member)
+// - no groupTag: personal tasks plus group tasks assigned to the user
+//   (or every accessible group task when includeAllGroupTasks is set)
+// Returns { query } or { error: { status, message } }.
+export const buildTaskAccessQuery = async (auth0Id, { groupTag, includeAllGroupTasks = false } = {}) => {
+  const accessibleGroupTags = await getAccessibleGroupTags(auth0Id);
+  const normalizedGroupTag = normalizeGroupTag(groupTag);
+
+  if (normalizedGroupTag) {
+    if (normalizedGroupTag === "@personal") {
+      return {
+        query: {
+          userId: auth0Id,
+          $or: PERSONAL_GROUP_CONDITIONS,
+        },
+        accessibleGroupTags,
+      };
+    }
+
+    if (!accessibleGroupTags.includes(normalizedGroupTag)) {
+      return {
+        error: { status: 403, message: "You don't have access to this group" },
+        accessibleGroupTags,
+      };
+    }
+
+    return { query: { groupTag: normalizedGroupTag }, accessibleGroupTags };
+  }
+
+  const groupClause = includeAllGroupTasks
+    ? { groupTag: { $in: accessibleGroupTags } }
+    : { groupTag: { $in: accessibleGroupTags }, assignedTo: { $in: [auth0Id] } };
+
+  return {
+    query: {
+      $or: [
+        // User's personal tasks
+        { userId: auth0Id, $or: PERSONAL_GROUP_CONDITIONS },
+        // Group tasks (assigned to the user unless includeAllGroupTasks)
+        groupClause,
+      ],
+    },
+    accessibleGroupTags,
+  };
+};
+
+export default { normalizeGroupTag, getAccessibleGroupTags, buildTaskAccessQuery };
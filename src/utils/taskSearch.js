@@ -0,0 +1,221 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import { buildTaskAccessQuery } from "./taskQuery.js";
+import { loadUserTimeZone, withDueFlags, buildOverdueQuery, buildDueRangeQuery } from "./dueDates.js";
+
+const STATUSES = ["pending", "in-progress", "completed"];
+const PRIORITIES = ["High", "Medium", "Low"];
+const SORT_FIELDS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  dueDate: "dueDate",
+  priority: "priorityRank",
+  title: "title",
+  relevance: "score",
+};
+const DATE_SORT_FIELDS = new Set(["createdAt", "updatedAt", "dueDate"]);
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+export const SEARCH_SORT_KEYS = Object.keys(SORT_FIELDS);
+export const DEFAULT_SEARCH_LIMIT = 25;
+export const MAX_SEARCH_LIMIT = 100;
+
+// Accept arrays or comma-separated strings
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const items = Array.isArray(value) ? value : value.toString().split(',');
+  return items.map(v => v.toString().trim()).filter(Boolean);
+};
+
+const toBoolean = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value === 'boolean') return value;
+  return value.toString().toLowerCase() === 'true';
+};
+
+// Validate and normalize filter input (query string or stored view filters).
+// Returns { filters } or { error }.
+export const parseTaskFilters = (input = {}) => {
+  const filters = {};
+
+  if (input.q !== undefined && input.q !== null && input.q.toString().trim()) {
+    filters.q = input.q.toString().trim();
+  }
+
+  const status = toList(input.status);
+  if (status.some(s => !STATUSES.includes(s))) {
+    return { error: `status must be one of: ${STATUSES.join(', ')}` };
+  }
+  if (status.length) filters.status = status;
+
+  const priority = toList(input.priority);
+  if (priority.some(p => !PRIORITIES.includes(p))) {
+    return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+  }
+  if (priority.length) filters.priority = priority;
+
+  // "me", "unassigned" or auth0Ids
+  const assignee = toList(input.assignee);
+  if (assignee.length) filters.assignee = assignee;
+
+  const tags = toList(input.tags);
+  if (tags.length) filters.tags = tags;
+
+  for (const key of ["dueFrom", "dueTo"]) {
+    if (input[key]) {
+      const value = input[key].toString().trim();
+      if (!DATE_ONLY.test(value)) {
+        return { error: `${key} must be a date in YYYY-MM-DD format` };
+      }
+      filters[key] = value;
+    }
+  }
+
+  const overdue = toBoolean(input.overdue);
+  if (overdue !== undefined) filters.overdue = overdue;
+
+  if (input.group) filters.group = input.group.toString().trim();
+
+  return { filters };
+};
+
+// Build the non-access part of the search filter (due dates are calendar days in the user's zone)
+const buildFilterClauses = (filters, auth0Id, timeZone) => {
+  const clauses = [];
+
+  if (filters.status) clauses.push({ status: { $in: filters.status } });
+  if (filters.priority) clauses.push({ priority: { $in: filters.priority } });
+  if (filters.tags) clauses.push({ tags: { $in: filters.tags } });
+
+  if (filters.assignee) {
+    const ids = filters.assignee.filter(a => a !== "unassigned").map(a => (a === "me" ? auth0Id : a));
+    const or = [];
+    if (ids.length) or.push({ assignedTo: { $in: ids } });
+    if (filters.assignee.includes("unassigned")) {
+      or.push({ assignedTo: { $size: 0 } }, { assignedTo: { $exists: false } });
+    }
+    clauses.push({ $or: or });
+  }
+
+  if (filters.dueFrom || filters.dueTo) {
+    clauses.push(buildDueRangeQuery(filters.dueFrom, filters.dueTo, timeZone));
+  }
+
+  if (filters.overdue !== undefined) {
+    const overdue = buildOverdueQuery(timeZone);
+    clauses.push(filters.overdue ? overdue : { $nor: [overdue] });
+  }
+
+  return clauses;
+};
+
+const encodeCursor = (sortKey, value, id) =>
+  Buffer.from(JSON.stringify({ s: sortKey, v: value, id: id.toString() })).toString('base64url');
+
+const decodeCursor = (cursor, sortKey) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (parsed.s !== sortKey || !mongoose.Types.ObjectId.isValid(parsed.id)) return null;
+    const value = DATE_SORT_FIELDS.has(sortKey) && parsed.v ? new Date(parsed.v) : parsed.v;
+    return { value, id: new mongoose.Types.ObjectId(parsed.id) };
+  } catch (e) {
+    return null;
+  }
+};
+
+// Rows after the cursor. Null/missing values sort before everything else, and
+// $gt/$lt never match null, so the step between null and non-null rows is explicit.
+const cursorClauses = (sortField, direction, { value, id }) => {
+  const cmp = direction === 1 ? "$gt" : "$lt";
+  const sameValue = { [sortField]: value, _id: { [cmp]: id } };
+  if (value === null || value === undefined) {
+    // Ascending: the remaining nulls, then every non-null. Descending: nulls come last.
+    return direction === 1 ? [sameValue, { [sortField]: { $ne: null } }] : [sameValue];
+  }
+  const clauses = [{ [sortField]: { [cmp]: value } }, sameValue];
+  if (direction === -1) clauses.push({ [sortField]: null });
+  return clauses;
+};
+
+// Run a filtered, paginated task search restricted to what the user can access.
+// Returns { tasks, pageInfo } or { error: { status, message } }.
+export const searchTasks = async (auth0Id, filters, { sort, order, limit, cursor } = {}) => {
+  const { query: accessQuery, error } = await buildTaskAccessQuery(auth0Id, {
+    groupTag: filters.group,
+    includeAllGroupTasks: true,
+  });
+  if (error) return { error };
+
+  const sortKey = sort || (filters.q ? "relevance" : "createdAt");
+  if (!SORT_FIELDS[sortKey]) {
+    return { error: { status: 400, message: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` } };
+  }
+  if (sortKey === "relevance" && !filters.q) {
+    return { error: { status: 400, message: "sort=relevance requires a search query" } };
+  }
+  const direction = (order || (sortKey === "title" || sortKey === "dueDate" ? "asc" : "desc")) === "asc" ? 1 : -1;
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+  const timeZone = await loadUserTimeZone(auth0Id);
+
+  // Aggregations skip the Task find middleware, so leave out archived tasks here
+  const match = { $and: [accessQuery, { archived: { $ne: true } }, ...buildFilterClauses(filters, auth0Id, timeZone)] };
+  if (filters.q) {
+    match.$text = { $search: filters.q };
+  }
+
+  const sortField = SORT_FIELDS[sortKey];
+  const pipeline = [
+    { $match: match },
+    {
+      $addFields: {
+        priorityRank: {
+          $switch: {
+            branches: [
+              { case: { $eq: ["$priority", "High"] }, then: 3 },
+              { case: { $eq: ["$priority", "Medium"] }, then: 2 },
+              { case: { $eq: ["$priority", "Low"] }, then: 1 },
+            ],
+            default: 0,
+          },
+        },
+        ...(filters.q ? { score: { $meta: "textScore" } } : {}),
+      },
+    },
+  ];
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor, sortKey);
+    if (!decoded) {
+      return { error: { status: 400, message: "Invalid cursor" } };
+    }
+    pipeline.push({ $match: { $or: cursorClauses(sortField, direction, decoded) } });
+  }
+
+  pipeline.push(
+    { $sort: { [sortField]: direction, _id: direction } },
+    { $limit: pageSize + 1 }
+  );
+
+  const results = await Task.aggregate(pipeline);
+  const hasMore = results.length > pageSize;
+  const page = hasMore ? results.slice(0, pageSize) : results;
+  const last = page[page.length - 1];
+
+  return {
+    tasks: page.map(t => {
+      const { priorityRank, ...rest } = t;
+      return withDueFlags(rest, timeZone);
+    }),
+    pageInfo: {
+      limit: pageSize,
+      sort: sortKey,
+      order: direction === 1 ? "asc" : "desc",
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor(sortKey, last[sortField] ?? null, last._id) : null,
+    },
+  };
+};
+
+export default { parseTaskFilters, searchTasks, SEARCH_SORT_KEYS, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT };
@@ -0,0 +1,78 @@
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][\w.-]*)\s*\}\}/g;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PLANNING_CATEGORIES = ["work", "learning", "admin", "health", "personal", "rest"];
+const PLANNING_RECURRENCE = ["none", "daily", "weekdays"];
+
+// Names of the {{variables}} used in a string
+export const extractTemplateVariables = (...texts) => {
+  const names = new Set();
+  for (const text of texts) {
+    if (!text) continue;
+    for (const match of text.toString().matchAll(VARIABLE_PATTERN)) {
+      names.add(match[1]);
+    }
+  }
+  return Array.from(names);
+};
+
+// Replace {{variables}} with values. Returns { text, missing } so callers can reject
+// requests that leave placeholders unfilled. Only own properties count, so names like
+// {{constructor}} don't pick up inherited object methods.
+export const renderTemplateString = (text, variables = {}) => {
+  const missing = new Set();
+  const rendered = (text || "").toString().replace(VARIABLE_PATTERN, (token, name) => {
+    const value = Object.hasOwn(variables, name) ? variables[name] : undefined;
+    if (value === undefined || value === null) {
+      missing.add(name);
+      return token;
+    }
+    return value.toString();
+  });
+  return { text: rendered, missing: Array.from(missing) };
+};
+
+// Validate timePlanning defaults stored on a template (same fields as Task.timePlanning).
+// Returns { timePlanning } (null when empty) or { error }.
+export const normalizeTimePlanningDefaults = (input) => {
+  if (input === undefined || input === null) return { timePlanning: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: "timePlanning must be an object" };
+  }
+
+  const timePlanning = {};
+  for (const key of ["enabled", "autoPlanOnStart", "showPlanningPrompt"]) {
+    if (input[key] !== undefined) timePlanning[key] = !!input[key];
+  }
+  for (const key of ["defaultStartTime", "defaultEndTime"]) {
+    if (input[key] !== undefined && input[key] !== null) {
+      if (!TIME_PATTERN.test(input[key])) {
+        return { error: `timePlanning.${key} must be in HH:MM format` };
+      }
+      timePlanning[key] = input[key];
+    }
+  }
+  if (input.defaultDuration !== undefined && input.defaultDuration !== null) {
+    const minutes = Number(input.defaultDuration);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return { error: "timePlanning.defaultDuration must be a positive number of minutes" };
+    }
+    timePlanning.defaultDuration = minutes;
+  }
+  if (input.categoryId !== undefined && input.categoryId !== null) {
+    if (!PLANNING_CATEGORIES.includes(input.categoryId)) {
+      return { error: `timePlanning.categoryId must be one of: ${PLANNING_CATEGORIES.join(', ')}` };
+    }
+    timePlanning.categoryId = input.categoryId;
+  }
+  if (input.recurrence !== undefined && input.recurrence !== null) {
+    const type = typeof input.recurrence === 'object' ? input.recurrence.type : input.recurrence;
+    if (!PLANNING_RECURRENCE.includes(type)) {
+      return { error: `timePlanning.recurrence must be one of: ${PLANNING_RECURRENCE.join(', ')}` };
+    }
+    timePlanning.recurrence = { type };
+  }
+
+  return { timePlanning: Object.keys(timePlanning).length > 0 ? timePlanning : null };
+};
+
+export default { extractTemplateVariables, renderTemplateString, normalizeTimePlanningDefaults };
@@ -0,0 +1,391 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import mongoose from "mongoose";
+import Activity from "../models/Activity.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+// Any Activity type can be subscribed to
+export const WEBHOOK_EVENTS = Activity.schema.path("type").enumValues;
+export const MAX_WEBHOOKS_PER_GROUP = 10;
+// Wait before retry n (after attempt n failed); the attempt after the last delay is final
+export const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 6 * 60 * 60].map(s => s * 1000);
+export const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+const MAX_DELIVERIES_PER_RUN = 200;
+
+// Host names that point back into our own network
+const PRIVATE_HOST = /^(localhost|.*\.localhost|.*\.internal|.*\.local)$/i;
+
+// Addresses webhooks may never connect to: loopback, private, link-local, unspecified,
+// CGNAT, multicast/reserved, and IPv6 forms that embed an IPv4 address
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["::", 96], ["64:ff9b::", 96], ["100::", 64],
+  ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+// Kept apart: BlockList matches IPv4 addresses against IPv4-mapped rules too
+const IPV4_MAPPED = new net.BlockList();
+IPV4_MAPPED.addSubnet("::ffff:0:0", 96, "ipv6");
+
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+// Whether an IP address is on a network webhooks may not reach
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (family === 6 && IPV4_MAPPED.check(address, "ipv6")) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+// dns.lookup replacement for outgoing webhook requests: fails if the name resolves
+// to any blocked address, so a DNS answer can't point a delivery at our own network
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const list = Array.isArray(addresses) ? addresses : [{ address: addresses, family: options.family || 4 }];
+    if (!list.length) return callback(new Error(`${hostname} did not resolve`));
+    if (!allowPrivateUrls() && list.some(a => isBlockedAddress(a.address))) {
+      const blocked = new Error("url resolves to a private address");
+      blocked.code = "EWEBHOOKBLOCKED";
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, list);
+    callback(null, list[0].address, list[0].family);
+  });
+};
+
+// http(s) URL that isn't on a private network (unless WEBHOOK_ALLOW_PRIVATE_URLS=true).
+// Names are checked again against their DNS answers every time a delivery is sent.
+export const validateWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || "").trim());
+  } catch (e) {
+    return "url must be a valid http(s) URL";
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    return "url must be a valid http(s) URL";
+  }
+  if (url.username || url.password) {
+    return "url must not contain credentials";
+  }
+  if (!allowPrivateUrls()) {
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host)) {
+      if (isBlockedAddress(host)) return "url must point to a public host";
+    } else if (PRIVATE_HOST.test(host) || !host.includes(".")) {
+      // Single-label names (e.g. "mongo") only resolve inside our network
+      return "url must point to a public host";
+    }
+  }
+  return null;
+};
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Validate webhook fields from the client. With `partial`, omitted fields are left out.
+// Returns { value } or { error }.
+export const normalizeWebhookInput = (input, { partial = false } = {}) => {
+  if (!input || typeof input !== 'object') {
+    return { error: "Webhook must be an object" };
+  }
+  const value = {};
+
+  if (input.url !== undefined || !partial) {
+    const urlError = validateWebhookUrl(input.url);
+    if (urlError) return { error: urlError };
+    value.url = String(input.url).trim();
+  }
+
+  if (input.events !== undefined || !partial) {
+    if (!Array.isArray(input.events) || input.events.length === 0) {
+      return { error: "events must be a non-empty array of activity types" };
+    }
+    const unknown = input.events.find(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown) {
+      return { error: `Unknown event "${unknown}" (use: ${WEBHOOK_EVENTS.join(', ')})` };
+    }
+    value.events = [...new Set(input.events)];
+  }
+
+  if (input.secret !== undefined && input.secret !== null) {
+    if (typeof input.secret !== 'string' || input.secret.length < 16) {
+      return { error: "secret must be at least 16 characters" };
+    }
+    value.secret = input.secret;
+  }
+
+  if (input.description !== undefined) {
+    value.description = String(input.description || "").trim().slice(0, 200);
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      return { error: "active must be true or false" };
+    }
+    value.active = input.active;
+  }
+
+  return { value };
+};
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// POST `body` to `url`, connecting only to public addresses. Resolves with the status code;
+// the response body is drained but never kept.
+const postJson = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, "");
+  // IP literals skip the lookup, so check them here
+  if (net.isIP(host) && !allowPrivateUrls() && isBlockedAddress(host)) {
+    const blocked = new Error("url resolves to a private address");
+    blocked.code = "EWEBHOOKBLOCKED";
+    return reject(blocked);
+  }
+
+  const client = target.protocol === "https:" ? https : http;
+  const req = client.request(target, {
+    method: "POST",
+    headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+    lookup: safeLookup,
+    timeout: REQUEST_TIMEOUT_MS,
+  }, (res) => {
+    res.resume();
+    res.on("end", () => resolve(res.statusCode));
+    res.on("error", reject);
+  });
+  req.on("timeout", () => {
+    const timeout = new Error("Request timed out");
+    timeout.name = "TimeoutError";
+    req.destroy(timeout);
+  });
+  req.on("error", reject);
+  req.end(body);
+});
+
+// POST one delivery. Returns the attempt outcome; never throws.
+const sendWebhookRequest = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  // Re-checked on every attempt: the URL may predate a stricter check
+  const urlError = validateWebhookUrl(webhook.url);
+  if (urlError) {
+    return { ok: false, permanent: true, responseStatus: null, error: urlError, durationMs: 0 };
+  }
+
+  try {
+    const status = await postJson(webhook.url, {
+      "Content-Type": "application/json",
+      "User-Agent": "Efficio-Webhooks/1.0",
+      "X-Efficio-Event": delivery.event,
+      "X-Efficio-Delivery": delivery._id.toString(),
+      "X-Efficio-Timestamp": String(timestamp),
+      "X-Efficio-Signature": `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`,
+    }, body);
+    const ok = status >= 200 && status < 300;
+    return {
+      ok,
+      responseStatus: status,
+      error: ok ? null : `HTTP ${status}`,
+      durationMs: Date.now() - started,
+    };
+  } catch (error) {
+    const blocked = error.code === "EWEBHOOKBLOCKED";
+    return {
+      ok: false,
+      // No point retrying a destination we refuse to connect to
+      permanent: blocked,
+      responseStatus: null,
+      error: blocked ? error.message
+        : error.name === "TimeoutError" ? "Request timed out"
+        // Only the error code: messages can echo internal addresses
+        : (error.code ? `Connection failed (${error.code})` : "Connection failed"),
+      durationMs: Date.now() - started,
+    };
+  }
+};
+
+// Attempt a claimed delivery and record the outcome (retry later, succeed, or give up)
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId);
+  if (!webhook || !webhook.active) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: "failed", error: "Webhook was disabled or deleted", claimedAt: null } }
+    );
+    return "failed";
+  }
+
+  const outcome = await sendWebhookRequest(webhook, delivery);
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+
+  let status = "success";
+  let nextAttemptAt = null;
+  if (!outcome.ok) {
+    status = attempts >= MAX_ATTEMPTS || outcome.permanent ? "failed" : "pending";
+    if (status === "pending") nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS_MS[attempts - 1]);
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status,
+        attempts,
+        claimedAt: null,
+        responseStatus: outcome.responseStatus,
+        error: outcome.error,
+        durationMs: outcome.durationMs,
+        ...(nextAttemptAt ? { nextAttemptAt } : {}),
+        ...(outcome.ok ? { deliveredAt: now } : {}),
+      },
+    }
+  );
+  if (status !== "pending") {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastDeliveryAt: now, lastDeliveryStatus: status } }
+    );
+  }
+  return status;
+};
+
+// Claim a pending delivery so the job and the immediate attempt never both send it
+const claimDelivery = (filter) =>
+  WebhookDelivery.findOneAndUpdate(
+    { ...filter, status: "pending" },
+    { $set: { status: "sending", claimedAt: new Date() } },
+    { new: true }
+  );
+
+const deliverNow = async (deliveryId) => {
+  const delivery = await claimDelivery({ _id: deliveryId });
+  if (delivery) await attemptDelivery(delivery);
+};
+
+// Activity fields a webhook receives. Anything else on the emitted activity (the actor's
+// email and picture in particular) stays in the app.
+const ACTIVITY_FIELDS = [
+  "_id", "type", "taskId", "taskTitle", "subtaskTitle", "commentId", "attachmentName",
+  "taskIds", "taskCount", "changes", "userId", "userName", "groupTag",
+  "fromStatus", "toStatus", "fromStatusKey", "toStatusKey", "fromStatusName", "toStatusName",
+  "timestamp",
+];
+
+const pickActivityFields = (activity) => {
+  const picked = {};
+  for (const field of ACTIVITY_FIELDS) {
+    if (activity[field] !== undefined) picked[field] = activity[field];
+  }
+  return picked;
+};
+
+// Body sent for an activity
+const buildPayload = (deliveryId, activity, group) => ({
+  id: deliveryId.toString(),
+  event: activity.type,
+  createdAt: new Date().toISOString(),
+  group: { id: group._id.toString(), tag: group.tag, name: group.name },
+  activity: pickActivityFields(activity),
+});
+
+/**
+ * Log a delivery for every active webhook of the group subscribed to this activity's
+ * type and make the first attempt right away (in the background). Failed attempts are
+ * retried by the webhook delivery job.
+ */
+export const queueWebhookDeliveries = async (activity, group) => {
+  if (!activity?.type || !group?._id) return 0;
+
+  const webhooks = await Webhook.find({ groupId: group._id, active: true, events: activity.type }).lean();
+  if (!webhooks.length) return 0;
+
+  const deliveries = webhooks.map((webhook) => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      webhookId: webhook._id,
+      groupTag: group.tag,
+      activityId: mongoose.Types.ObjectId.isValid(activity._id) ? activity._id : null,
+      event: activity.type,
+      payload: buildPayload(_id, activity, group),
+      status: "pending",
+      nextAttemptAt: new Date(),
+    };
+  });
+  await WebhookDelivery.insertMany(deliveries);
+
+  for (const delivery of deliveries) {
+    deliverNow(delivery._id).catch((error) => {
+      console.warn('[webhooks] delivery attempt failed', error && error.message ? error.message : error);
+    });
+  }
+  return deliveries.length;
+};
+
+// Send a logged delivery again as a new delivery (same body, new id)
+export const redeliverWebhook = async (delivery) => {
+  const _id = new mongoose.Types.ObjectId();
+  const copy = await WebhookDelivery.create({
+    _id,
+    webhookId: delivery.webhookId,
+    groupTag: delivery.groupTag,
+    activityId: delivery.activityId,
+    event: delivery.event,
+    payload: { ...delivery.payload, id: _id.toString() },
+    status: "pending",
+    nextAttemptAt: new Date(),
+  });
+  await deliverNow(copy._id);
+  return WebhookDelivery.findById(copy._id).lean();
+};
+
+// Retry every delivery whose next attempt is due
+export const deliverPendingWebhooks = async (now = new Date()) => {
+  await WebhookDelivery.updateMany(
+    { status: "sending", claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+    { $set: { status: "pending", claimedAt: null } }
+  );
+
+  const counts = { success: 0, pending: 0, failed: 0 };
+  for (let i = 0; i < MAX_DELIVERIES_PER_RUN; i++) {
+    const delivery = await claimDelivery({ nextAttemptAt: { $lte: now } });
+    if (!delivery) break;
+    try {
+      counts[await attemptDelivery(delivery)]++;
+    } catch (error) {
+      console.error(`[webhooks] failed to deliver ${delivery._id}:`, error.message || error);
+      // Left claimed; retried once the claim goes stale
+    }
+  }
+  return counts;
+};
+
+export default {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_GROUP,
+  RETRY_DELAYS_MS,
+  MAX_ATTEMPTS,
+  validateWebhookUrl,
+  isBlockedAddress,
+  generateWebhookSecret,
+  normalizeWebhookInput,
+  signWebhookPayload,
+  queueWebhookDeliveries,
+  redeliverWebhook,
+  deliverPendingWebhooks,
+};
@@ -0,0 +1,225 @@
+import Task from "../models/Task.js";
+import Group from "../models/Group.js";
+
+// The three states every custom status maps onto. Task.status always holds one of these,
+// so blockers, overdue checks, recurrence and time planning keep working on base states.
+export const BASE_STATUSES = ["pending", "in-progress", "completed"];
+
+// Workflow used by personal tasks and groups that haven't defined their own
+export const DEFAULT_WORKFLOW = [
+  { key: "pending", name: "Pending", category: "pending", color: null, order: 0 },
+  { key: "in-progress", name: "In Progress", category: "in-progress", color: null, order: 1 },
+  { key: "completed", name: "Completed", category: "completed", color: null, order: 2 },
+];
+
+// Spacing between ranks so most moves only need a midpoint
+export const RANK_STEP = 1024;
+const MIN_RANK_GAP = 1e-6;
+const MAX_STATUSES = 20;
+const PERSONAL_GROUP_CONDITIONS = [
+  { groupTag: "@personal" },
+  { groupTag: { $exists: false } },
+  { groupTag: null },
+];
+
+const slugify = (value) =>
+  value.toString().trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+
+// Ordered statuses for a group (or the default workflow)
+export const getWorkflow = (group) => {
+  const statuses = group && Array.isArray(group.statuses) ? group.statuses : [];
+  if (statuses.length === 0) return DEFAULT_WORKFLOW;
+  return statuses
+    .map(s => (s.toObject ? s.toObject() : { ...s }))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+};
+
+// Workflow for a task's board: its group's statuses, or the default for personal tasks
+export const getWorkflowForGroupTag = async (groupTag) => {
+  if (!groupTag || groupTag === "@personal") return DEFAULT_WORKFLOW;
+  const group = await Group.findOne({ tag: groupTag }).select('statuses');
+  return getWorkflow(group);
+};
+
+// Resolve a requested status (custom key or base state) to a workflow entry.
+// Base states resolve to the first status in that category. Returns null when unknown.
+export const resolveStatus = (workflow, input) => {
+  if (!input) return null;
+  const value = input.toString().trim();
+  const byKey = workflow.find(s => s.key === value);
+  if (byKey) return byKey;
+  if (BASE_STATUSES.includes(value)) {
+    return workflow.find(s => s.category === value) || null;
+  }
+  return null;
+};
+
+// The column a task sits in. Tasks without a (still valid) statusKey fall back to
+// the first status of their base state.
+export const getTaskStatusEntry = (workflow, task) => {
+  if (task.statusKey) {
+    const entry = workflow.find(s => s.key === task.statusKey && s.category === task.status);
+    if (entry) return entry;
+  }
+  return workflow.find(s => s.category === task.status) || workflow[0];
+};
+
+// Validate a workflow submitted by a group owner/admin.
+// Returns { statuses } (ordered by array position) or { error }.
+export const normalizeWorkflowInput = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "statuses must be a non-empty array" };
+  }
+  if (input.length > MAX_STATUSES) {
+    return { error: `A workflow can have at most ${MAX_STATUSES} statuses` };
+  }
+
+  const statuses = [];
+  const keys = new Set();
+  for (const [index, item] of input.entries()) {
+    const name = item && typeof item.name === 'string' ? item.name.trim() : '';
+    if (!name) {
+      return { error: "Each status needs a name" };
+    }
+    if (!BASE_STATUSES.includes(item.category)) {
+      return { error: `Status "${name}" must map to one of: ${BASE_STATUSES.join(', ')}` };
+    }
+    const key = slugify(item.key || name);
+    if (!key) {
+      return { error: `Status "${name}" needs a key made of letters or numbers` };
+    }
+    // Base state names stay unambiguous when used as a status
+    if (BASE_STATUSES.includes(key) && key !== item.category) {
+      return { error: `Status key "${key}" can only map to ${key}` };
+    }
+    if (keys.has(key)) {
+      return { error: `Duplicate status key "${key}"` };
+    }
+    keys.add(key);
+    statuses.push({
+      key,
+      name: name.slice(0, 50),
+      category: item.category,
+      color: item.color || null,
+      order: index,
+    });
+  }
+
+  const missing = BASE_STATUSES.filter(base => !statuses.some(s => s.category === base));
+  if (missing.length > 0) {
+    return { error: `Workflow needs at least one status for: ${missing.join(', ')}` };
+  }
+
+  return { statuses };
+};
+
+// Add startedAt/completedAt changes for a base-state transition to update data
+export const addStatusChangeTimestamps = (task, updateData) => {
+  if (!updateData.status || updateData.status === task.status) {
+    return updateData;
+  }
+
+  const now = new Date();
+  const newStatus = updateData.status;
+  const oldStatus = task.status;
+
+  // Record when task moves to in-progress
+  if (newStatus === "in-progress" && oldStatus !== "in-progress") {
+    updateData.startedAt = now;
+  }
+
+  // Record when task moves to completed
+  if (newStatus === "completed" && oldStatus !== "completed") {
+    updateData.completedAt = now;
+    // If startedAt wasn't set, set it to completedAt (task was completed without going through in-progress)
+    if (!task.startedAt) {
+      updateData.startedAt = now;
+    }
+  }
+
+  // Clear timestamps if moving back from completed/in-progress to pending
+  if (newStatus === "pending") {
+    if (oldStatus === "in-progress") {
+      updateData.startedAt = null;
+    }
+    if (oldStatus === "completed") {
+      updateData.completedAt = null;
+      updateData.startedAt = null;
+    }
+  }
+
+  return updateData;
+};
+
+// Filter for tasks on the same board as the task (same group, or the owner's personal tasks)
+const boardQuery = (task) => (
+  task.groupTag && task.groupTag !== "@personal"
+    ? { groupTag: task.groupTag }
+    : { userId: task.userId, $or: PERSONAL_GROUP_CONDITIONS }
+);
+
+// Other tasks in a column, in rank order (unranked tasks last, oldest first)
+const getColumnTasks = async (task, workflow, entry) => {
+  const query = { ...boardQuery(task), status: entry.category };
+  if (task._id) query._id = { $ne: task._id };
+  const tasks = await Task.find(query).select('_id rank status statusKey createdAt');
+  return tasks
+    .filter(t => getTaskStatusEntry(workflow, t).key === entry.key)
+    .sort((a, b) => {
+      const ar = a.rank ?? Infinity;
+      const br = b.rank ?? Infinity;
+      if (ar !== br) return ar - br;
+      return a.createdAt - b.createdAt;
+    });
+};
+
+// Rank that puts a task at the bottom of a column
+export const getNextRank = async (task, workflow, entry) => {
+  const siblings = await getColumnTasks(task, workflow, entry);
+  const ranked = siblings.filter(t => typeof t.rank === 'number');
+  return ranked.length > 0 ? ranked[ranked.length - 1].rank + RANK_STEP : RANK_STEP;
+};
+
+// Rank for placing a task at a 0-based position within a column.
+// Uses the midpoint of its neighbours; when that isn't possible (unranked
+// neighbours or no gap left) the column is re-spaced.
+export const getRankForPosition = async (task, workflow, entry, position) => {
+  const siblings = await getColumnTasks(task, workflow, entry);
+  const index = Math.min(Math.max(parseInt(position, 10) || 0, 0), siblings.length);
+  const prev = siblings[index - 1];
+  const next = siblings[index];
+
+  const prevRank = prev ? prev.rank : 0;
+  const nextRank = next ? next.rank : undefined;
+  const neighboursRanked = (!prev || typeof prev.rank === 'number') && (!next || typeof next.rank === 'number');
+
+  if (neighboursRanked) {
+    if (nextRank === undefined) return prevRank + RANK_STEP;
+    if (nextRank - prevRank > MIN_RANK_GAP) return (prevRank + nextRank) / 2;
+  }
+
+  // Re-space the column, leaving a slot at the requested position
+  const ops = siblings.map((t, i) => ({
+    updateOne: {
+      filter: { _id: t._id },
+      update: { $set: { rank: (i < index ? i + 1 : i + 2) * RANK_STEP } },
+      timestamps: false,
+    },
+  }));
+  if (ops.length > 0) await Task.bulkWrite(ops);
+  return (index + 1) * RANK_STEP;
+};
+
+export default {
+  BASE_STATUSES,
+  DEFAULT_WORKFLOW,
+  RANK_STEP,
+  getWorkflow,
+  getWorkflowForGroupTag,
+  resolveStatus,
+  getTaskStatusEntry,
+  normalizeWorkflowInput,
+  getNextRank,
+  getRankForPosition,
+  addStatusChangeTimestamps,
+};
@@ -0,0 +1,90 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/User.js";
+import EmailDigestItem from "../src/models/EmailDigestItem.js";
+import { setEmailTransport } from "../src/email/index.js";
+import { sendEmailDigests } from "../src/utils/emailNotifications.js";
+import { query, stubModel } from "./helpers/models.js";
+
+let users;
+let items;
+let sent;
+
+const user = (auth0Id, emailDigest) => ({
+  auth0Id,
+  email: `${auth0Id}@example.com`,
+  name: auth0Id,
+  preferences: emailDigest ? { emailDigest } : {},
+});
+
+const queue = (userId) => {
+  items.push({
+    _id: `${userId}-${items.length}`,
+    userId,
+    type: "task_assigned",
+    data: { tasks: [{ taskId: "t1", title: "Write docs", groupTag: "@personal" }] },
+    createdAt: new Date(),
+  });
+};
+
+beforeEach(() => {
+  users = [];
+  items = [];
+  sent = [];
+
+  stubModel(EmailDigestItem, {
+    distinct: async () => [...new Set(items.map((item) => item.userId))],
+    find: ({ userId }) => query(items.filter((item) => item.userId === userId)),
+    deleteMany: async ({ _id }) => {
+      items = items.filter((item) => !_id.$in.includes(item._id));
+    },
+  });
+  stubModel(User, { find: ({ auth0Id }) => query(users.filter((u) => auth0Id.$in.includes(u.auth0Id))) });
+  setEmailTransport({
+    async send(message) {
+      sent.push(message);
+      return { id: String(sent.length) };
+    },
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setEmailTransport(undefined);
+});
+
+test("sends the digest to users on that schedule", async () => {
+  users.push(user("daily-user", "daily"), user("weekly-user", "weekly"));
+  queue("daily-user");
+  queue("weekly-user");
+
+  const result = await sendEmailDigests("daily");
+
+  assert.deepEqual(result, { users: 1, items: 1 });
+  assert.deepEqual(sent.map((m) => m.to), ["daily-user@example.com"]);
+  assert.deepEqual(items.map((item) => item.userId), ["weekly-user"]);
+});
+
+test("flushes items queued before the user switched back to immediate emails", async () => {
+  users.push(user("switched-user", "immediate"), user("default-user"));
+  queue("switched-user");
+  queue("default-user");
+
+  const result = await sendEmailDigests("weekly");
+
+  assert.deepEqual(result, { users: 2, items: 2 });
+  assert.equal(items.length, 0);
+});
+
+test("leaves items for users who moved to the other schedule", async () => {
+  users.push(user("moved-user", "weekly"));
+  queue("moved-user");
+
+  await sendEmailDigests("daily");
+  assert.equal(sent.length, 0);
+  assert.equal(items.length, 1);
+
+  await sendEmailDigests("weekly");
+  assert.equal(sent.length, 1);
+  assert.equal(items.length, 0);
+});
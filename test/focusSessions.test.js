@@ -0,0 +1,143 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import FocusSession from "../src/time-tracker/models/focusSession.js";
+import TimeSession from "../src/time-tracker/models/timeSession.js";
+import {
+  FOCUS_DEFAULTS,
+  advanceFocusSession,
+  skipFocusPhase,
+  startFocusSession,
+  stopFocusSession,
+} from "../src/time-tracker/services/focusService.js";
+import { stubModel } from "./helpers/models.js";
+
+const USER_ID = "auth0|focus-user";
+const START = new Date("2026-03-02T09:00:00Z");
+
+let focusDocs;
+let segments;
+
+const minutes = (n) => new Date(START.getTime() + n * 60000);
+
+// Equality on the fields the service filters by (ids, status, phase, dates)
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value instanceof Date) return doc[key]?.getTime() === value.getTime();
+  if (value === null) return doc[key] == null;
+  return String(doc[key]) === String(value);
+});
+
+const apply = (doc, update) => {
+  Object.assign(doc, update.$set || {});
+  for (const [key, value] of Object.entries(update.$push || {})) doc[key] = [...doc[key], value];
+};
+
+const copy = (doc) => (doc ? { ...doc, cycles: [...doc.cycles] } : null);
+
+const start = (settings = FOCUS_DEFAULTS) =>
+  startFocusSession(USER_ID, { categoryId: "work", taskTitle: "Deep work", settings }, START);
+
+// [phase, start minute, end minute or null] for each logged segment
+const timeline = () => segments.map((s) => [
+  s.focusPhase,
+  (s.startTime - START) / 60000,
+  s.endTime ? (s.endTime - START) / 60000 : null,
+]);
+
+beforeEach(() => {
+  focusDocs = [];
+  segments = [];
+
+  stubModel(FocusSession, {
+    create: async (fields) => {
+      const doc = { _id: new mongoose.Types.ObjectId(), cycles: [], completedCycles: 0, ...fields };
+      focusDocs.push(doc);
+      return copy(doc);
+    },
+    findOne: async (filter) => copy(focusDocs.find((doc) => matches(doc, filter))),
+    findById: async (id) => copy(focusDocs.find((doc) => String(doc._id) === String(id))),
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      const doc = focusDocs.find((d) => matches(d, filter));
+      if (!doc) return null;
+      const before = copy(doc);
+      apply(doc, update);
+      return options.new ? copy(doc) : before;
+    },
+    updateOne: async (filter, update) => {
+      const doc = focusDocs.find((d) => matches(d, filter));
+      if (doc) apply(doc, update);
+    },
+  });
+  stubModel(TimeSession, {
+    create: async (fields) => {
+      segments.push({ ...fields });
+      return fields;
+    },
+    updateMany: async (filter, update) => {
+      for (const segment of segments) {
+        if (segment.endTime === null && matches(segment, filter)) segment.endTime = update.$set.endTime;
+      }
+    },
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("phases change at their scheduled end, even when the job runs late", async () => {
+  const focus = await start();
+
+  const current = await advanceFocusSession(focus, minutes(61));
+
+  assert.equal(current.phase, "work");
+  assert.equal(current.completedCycles, 2);
+  assert.deepEqual(timeline(), [
+    ["work", 0, 25],
+    ["short_break", 25, 30],
+    ["work", 30, 55],
+    ["short_break", 55, 60],
+    ["work", 60, null],
+  ]);
+});
+
+test("a long break comes every few cycles and the run ends after the target", async () => {
+  const settings = { workMinutes: 10, shortBreakMinutes: 2, longBreakMinutes: 5, longBreakEvery: 2, targetCycles: 3 };
+  const focus = await start(settings);
+
+  const finished = await advanceFocusSession(focus, minutes(100));
+
+  assert.equal(finished.status, "completed");
+  assert.deepEqual(finished.endedAt, minutes(37));
+  assert.equal(finished.completedCycles, 3);
+  assert.deepEqual(timeline(), [
+    ["work", 0, 10],
+    ["short_break", 10, 12],
+    ["work", 12, 22],
+    ["long_break", 22, 27],
+    ["work", 27, 37],
+  ]);
+});
+
+test("a skipped work phase is logged but not counted", async () => {
+  const focus = await start();
+
+  const onBreak = await skipFocusPhase(focus, minutes(10));
+
+  assert.equal(onBreak.phase, "short_break");
+  assert.deepEqual(onBreak.phaseEndsAt, minutes(15));
+  assert.equal(onBreak.completedCycles, 0);
+  assert.deepEqual(onBreak.cycles.map((c) => c.completed), [false]);
+  assert.deepEqual(timeline(), [["work", 0, 10], ["short_break", 10, null]]);
+});
+
+test("stopping mid-work keeps the partial cycle and closes the open segment", async () => {
+  const focus = await start();
+
+  const stopped = await stopFocusSession(focus, minutes(40));
+
+  assert.equal(stopped.status, "stopped");
+  assert.equal(stopped.completedCycles, 1);
+  assert.deepEqual(stopped.cycles.map((c) => [c.completed, (c.endTime - START) / 60000]), [[true, 25], [false, 40]]);
+  assert.deepEqual(timeline().at(-1), ["work", 30, 40]);
+});
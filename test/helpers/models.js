@@ -0,0 +1,25 @@
+import { mock } from "node:test";
+
+// Tests run without MongoDB: model calls are swapped for in-memory stand-ins with
+// node:test's mock.method, and restored with mock.restoreAll() after each test.
+
+// A query stand-in: chains like find()/findOne() and resolves to `value`
+export const query = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    setOptions: () => chain,
+    lean: async () => value,
+    exec: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Replace statics of a model, e.g. stubModel(User, { findOne: () => query(user) })
+export const stubModel = (Model, methods) => {
+  for (const [name, implementation] of Object.entries(methods)) {
+    mock.method(Model, name, implementation);
+  }
+};
@@ -0,0 +1,71 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import TimeSession from "../src/time-tracker/models/timeSession.js";
+import { resumeSession } from "../src/time-tracker/controllers/sessionsController.js";
+import { findIdleCutoff } from "../src/time-tracker/services/idleSessionService.js";
+import { stubModel } from "./helpers/models.js";
+
+const SETTINGS = { idleMinutes: 30, maxMinutes: 12 * 60 };
+const at = (hhmm) => new Date(`2026-03-02T${hhmm}:00Z`);
+
+let session;
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+beforeEach(() => {
+  // Last heartbeat just before a two-hour lunch break
+  session = {
+    _id: "session-1",
+    userId: "auth0|tracker",
+    startTime: at("09:00"),
+    endTime: null,
+    lastHeartbeatAt: at("11:55"),
+    pauses: [{ start: at("12:00"), end: null }],
+    async save() {
+      return this;
+    },
+  };
+  stubModel(TimeSession, { findOne: async () => session });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("resuming a timer restarts the idle clock", async () => {
+  mock.timers.enable({ apis: ["Date"], now: at("14:00") });
+  try {
+    const res = response();
+    await resumeSession({ params: { id: session._id }, auth0Id: session.userId }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(session.pauses[0].end, at("14:00"));
+    assert.deepEqual(session.lastHeartbeatAt, at("14:00"));
+    // A sweep right after the resume leaves it running
+    assert.equal(findIdleCutoff(session, at("14:05"), SETTINGS), null);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("a resumed timer still goes idle once heartbeats stop", () => {
+  session.pauses[0].end = at("14:00");
+  session.lastHeartbeatAt = at("14:00");
+
+  assert.deepEqual(findIdleCutoff(session, at("14:31"), SETTINGS), { cutoff: at("14:00"), reason: "heartbeat" });
+});
+
+test("paused timers are never cut off", () => {
+  assert.equal(findIdleCutoff(session, at("18:00"), SETTINGS), null);
+});
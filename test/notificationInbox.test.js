@@ -0,0 +1,80 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Task from "../src/models/Task.js";
+import Notification from "../src/models/Notification.js";
+import Reminder from "../src/models/Reminder.js";
+import { archiveTasks } from "../src/utils/taskArchive.js";
+import { buildInboxQuery, countUnread } from "../src/utils/notificationInbox.js";
+import { query, stubModel } from "./helpers/models.js";
+
+const USER_ID = "auth0|inbox-user";
+
+let pipelines;
+let rows;
+
+const id = () => new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  pipelines = [];
+  rows = [];
+
+  stubModel(Notification, {
+    aggregate: async (pipeline) => {
+      pipelines.push(pipeline);
+      return rows;
+    },
+    find: () => assert.fail("counting shouldn't load notifications"),
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("counts unread notifications per counter from one aggregate", async () => {
+  rows.push(
+    { _id: "task_assigned", count: 2 },
+    { _id: "task_due_reminder", count: 1 },
+    { _id: "task_overdue", count: 3 },
+    { _id: "invitation", count: 1 }
+  );
+
+  const counts = await countUnread(USER_ID, null);
+
+  assert.equal(pipelines.length, 1);
+  assert.deepEqual(pipelines[0][0], { $match: buildInboxQuery(USER_ID, null, { unread: true }) });
+  assert.equal(counts.taskAssignmentsCount, 2);
+  assert.equal(counts.remindersCount, 1);
+  assert.equal(counts.overdueCount, 3);
+  assert.equal(counts.pendingInvitationsCount, 1);
+  assert.equal(counts.totalUnreadCount, 7);
+  assert.deepEqual(counts.byType, { task_assigned: 2, task_due_reminder: 1, task_overdue: 3, invitation: 1 });
+});
+
+test("the inbox leaves out notifications hidden with their trashed task", () => {
+  assert.equal(buildInboxQuery(USER_ID, null).hiddenAt, null);
+  assert.equal(buildInboxQuery(USER_ID, null, { archived: true }).hiddenAt, null);
+});
+
+test("trashing a task hides its notifications", async () => {
+  const taskId = id();
+  const updates = [];
+  stubModel(Task, {
+    find: () => query([{ _id: taskId }]),
+    updateMany: async () => ({ matchedCount: 1, modifiedCount: 1 }),
+  });
+  stubModel(Reminder, { deleteMany: async () => ({ deletedCount: 0 }) });
+  stubModel(Notification, {
+    updateMany: async (filter, update) => {
+      updates.push({ filter, update });
+      return { modifiedCount: 2 };
+    },
+  });
+
+  await archiveTasks({ _id: taskId }, { actorId: USER_ID });
+
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].filter, { taskId: { $in: [taskId] }, hiddenAt: null });
+  assert.ok(updates[0].update.$set.hiddenAt instanceof Date);
+});
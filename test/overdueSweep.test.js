@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Task from "../src/models/Task.js";
+import User from "../src/models/User.js";
+import Group from "../src/models/Group.js";
+import Activity from "../src/models/Activity.js";
+import Notification from "../src/models/Notification.js";
+import { clearResolvedOverdue, sweepOverdueTasks } from "../src/utils/overdueSweep.js";
+import { query, stubModel } from "./helpers/models.js";
+
+const OWNER = "auth0|overdue-owner";
+const ASSIGNEE = "auth0|overdue-assignee";
+const NOW = new Date("2026-03-10T12:00:00Z");
+
+let taskUpdates;
+let deletedNotifications;
+let candidates;
+let flagged;
+let activities;
+let notified;
+
+const task = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: OWNER,
+  title: "Report",
+  status: "todo",
+  dueDate: new Date("2026-03-05T00:00:00Z"),
+  dueHasTime: false,
+  isOverdue: true,
+  assignedTo: [],
+  ...fields,
+});
+
+beforeEach(() => {
+  taskUpdates = [];
+  deletedNotifications = [];
+  candidates = [];
+  flagged = [];
+  activities = [];
+  notified = [];
+
+  stubModel(User, {
+    find: () => query([{ auth0Id: OWNER, preferences: { timezone: "UTC" } }]),
+    findOne: () => query(null),
+  });
+  stubModel(Group, { findOne: async () => null, find: async () => [] });
+  stubModel(Task, {
+    find: (filter) => query(filter.isOverdue === true ? flagged : candidates),
+    updateOne: async (filter, update) => { taskUpdates.push({ filter, update }); },
+    updateMany: async (filter, update) => { taskUpdates.push({ filter, update }); },
+  });
+  stubModel(Activity, {
+    create: async (fields) => {
+      activities.push(fields);
+      return fields;
+    },
+  });
+  stubModel(Notification, {
+    deleteMany: async (filter) => { deletedNotifications.push(filter); },
+    findOneAndUpdate: async (filter) => { notified.push(filter); },
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("completing an overdue task clears the flag and its overdue notifications", async () => {
+  const done = task({ status: "completed" });
+
+  await clearResolvedOverdue(done, NOW);
+
+  assert.deepEqual(taskUpdates, [{ filter: { _id: done._id }, update: { $set: { isOverdue: false } } }]);
+  assert.deepEqual(deletedNotifications, [{ type: "task_overdue", taskId: done._id }]);
+});
+
+test("moving the due date out clears an overdue task", async () => {
+  await clearResolvedOverdue(task({ dueDate: new Date("2026-03-12T00:00:00Z") }), NOW);
+
+  assert.equal(taskUpdates.length, 1);
+  assert.equal(deletedNotifications.length, 1);
+});
+
+test("tasks that are still overdue, or weren't flagged, are left alone", async () => {
+  await clearResolvedOverdue(task({ title: "Still late" }), NOW);
+  await clearResolvedOverdue(task({ status: "completed", isOverdue: false }), NOW);
+
+  assert.equal(taskUpdates.length, 0);
+  assert.equal(deletedNotifications.length, 0);
+});
+
+test("the sweep announces tasks that just slipped and flags older ones quietly", async () => {
+  const yesterday = task({ title: "Yesterday", dueDate: new Date("2026-03-09T00:00:00Z"), isOverdue: false, assignedTo: [ASSIGNEE] });
+  const longAgo = task({ title: "Long ago", dueDate: new Date("2026-01-15T00:00:00Z"), isOverdue: false, assignedTo: [ASSIGNEE] });
+  candidates.push(yesterday, longAgo);
+
+  const result = await sweepOverdueTasks(NOW);
+
+  assert.equal(result.flagged, 2);
+  assert.equal(result.announced, 1);
+  assert.deepEqual(taskUpdates[0].filter, { _id: { $in: [yesterday._id, longAgo._id] } });
+  assert.deepEqual(activities.map((a) => a.taskTitle), ["Yesterday"]);
+  assert.deepEqual(notified.map((n) => n.taskId), [yesterday._id]);
+});
+
+test("the sweep clears tasks that are no longer overdue along with their notifications", async () => {
+  const done = task({ status: "completed" });
+  flagged.push(done);
+
+  const result = await sweepOverdueTasks(NOW);
+
+  assert.equal(result.cleared, 1);
+  assert.deepEqual(taskUpdates[0].update, { $set: { isOverdue: false } });
+  assert.deepEqual(deletedNotifications, [{ type: "task_overdue", taskId: { $in: [done._id] } }]);
+});
@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import TimeSession from "../src/time-tracker/models/timeSession.js";
+import {
+  applyOverlapPolicy,
+  findOverlapPairs,
+  longestFreeGap,
+} from "../src/time-tracker/services/overlapService.js";
+import { query, stubModel } from "./helpers/models.js";
+
+const USER_ID = "auth0|time-user";
+const NOW = new Date("2026-03-02T18:00:00Z");
+
+let sessions;
+let created;
+let deleted;
+
+const at = (hhmm) => new Date(`2026-03-02T${hhmm}:00Z`);
+
+// A stored session: plain fields plus the bits of a document the service uses
+const session = (start, end, pauses = []) => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: USER_ID,
+    categoryId: "work",
+    startTime: at(start),
+    endTime: end ? at(end) : null,
+    pauses: pauses.map(([from, to]) => ({ start: at(from), end: to ? at(to) : null })),
+    saved: 0,
+    toObject() {
+      const { toObject, save, saved, ...fields } = this;
+      return fields;
+    },
+    async save() {
+      this.saved++;
+      return this;
+    },
+  };
+  sessions.push(doc);
+  return doc;
+};
+
+beforeEach(() => {
+  sessions = [];
+  created = [];
+  deleted = [];
+
+  stubModel(TimeSession, {
+    find: () => query(sessions),
+    create: async (fields) => {
+      const doc = { _id: new mongoose.Types.ObjectId(), ...fields };
+      created.push(doc);
+      return doc;
+    },
+    deleteOne: async ({ _id }) => { deleted.push(String(_id)); },
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("an entry inside another session's pause isn't an overlap", async () => {
+  session("09:00", "17:00", [["12:00", "13:00"]]);
+
+  const result = await applyOverlapPolicy(USER_ID, { start: at("12:10"), end: at("12:50") }, "reject", { now: NOW });
+
+  assert.equal(result.conflict, undefined);
+  assert.equal(result.overlaps, null);
+});
+
+test("an entry running into busy time is still rejected", async () => {
+  session("09:00", "17:00", [["12:00", "13:00"]]);
+
+  const result = await applyOverlapPolicy(USER_ID, { start: at("12:30"), end: at("13:30") }, "reject", { now: NOW });
+
+  assert.equal(result.conflict, true);
+});
+
+test("an open pause of a running session counts as free", async () => {
+  session("09:00", null, [["12:00", null]]);
+
+  const result = await applyOverlapPolicy(USER_ID, { start: at("12:30"), end: at("13:00") }, "reject", { now: NOW });
+
+  assert.equal(result.overlaps, null);
+});
+
+test("trim fits the entry into the pause", async () => {
+  session("09:00", "17:00", [["12:00", "13:00"]]);
+
+  const result = await applyOverlapPolicy(USER_ID, { start: at("11:30"), end: at("14:00") }, "trim", { now: NOW });
+
+  assert.deepEqual([result.start, result.end], [at("12:00"), at("13:00")]);
+});
+
+test("trim moves a running entry past a running session that's paused", async () => {
+  session("09:00", null, [["17:00", null]]);
+
+  const result = await applyOverlapPolicy(USER_ID, { start: at("16:00"), end: null }, "trim", { now: NOW });
+
+  assert.deepEqual([result.start, result.end], [at("17:00"), null]);
+});
+
+test("split cuts where busy time stops and resumes around the entry", async () => {
+  const existing = session("09:00", "17:00", [["12:00", "13:00"]]);
+
+  // Overlaps the end of the break and the first half hour after it
+  const result = await applyOverlapPolicy(USER_ID, { start: at("12:30"), end: at("13:30") }, "split", { now: NOW });
+
+  assert.equal(result.overlaps.policy, "split");
+  assert.equal(created.length, 1);
+  // The earlier part stops where the break started and keeps no dangling pause
+  assert.deepEqual(created[0].endTime, at("12:00"));
+  assert.deepEqual(created[0].pauses, []);
+  // The original keeps the busy time after the entry
+  assert.deepEqual(existing.startTime, at("13:30"));
+  assert.deepEqual(existing.pauses, []);
+});
+
+test("split trims a session whose only busy time outside the entry is before it", async () => {
+  const existing = session("09:00", "13:00", [["12:00", "13:00"]]);
+
+  await applyOverlapPolicy(USER_ID, { start: at("11:00"), end: at("14:00") }, "split", { now: NOW });
+
+  assert.equal(created.length, 0);
+  assert.deepEqual(existing.endTime, at("11:00"));
+  assert.deepEqual(existing.pauses, []);
+});
+
+test("the free gap skips paused stretches", () => {
+  const busy = { startTime: at("09:00"), endTime: at("12:00"), pauses: [{ start: at("10:00"), end: at("11:30") }] };
+
+  assert.deepEqual(longestFreeGap(at("09:00"), at("12:00"), [busy], NOW), { start: at("10:00"), end: at("11:30") });
+});
+
+test("scans don't report sessions that only meet during a pause", () => {
+  const day = { _id: "day", startTime: at("09:00"), endTime: at("17:00"), pauses: [{ start: at("12:00"), end: at("13:00") }] };
+  const lunch = { _id: "lunch", startTime: at("12:00"), endTime: at("13:00"), pauses: [] };
+  const meeting = { _id: "meeting", startTime: at("12:30"), endTime: at("14:00"), pauses: [] };
+
+  const pairs = findOverlapPairs([day, lunch, meeting], NOW);
+
+  assert.deepEqual(pairs.map(p => p.sessionIds), [["day", "meeting"], ["lunch", "meeting"]]);
+  assert.deepEqual([pairs[0].overlapStart, pairs[0].overlapEnd, pairs[0].overlapMinutes], [at("13:00"), at("14:00"), 60]);
+  assert.equal(pairs[1].overlapMinutes, 30);
+});
@@ -0,0 +1,125 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { Readable, Writable } from "node:stream";
+import User from "../src/models/User.js";
+import { setStorage } from "../src/storage/index.js";
+import { getProfilePicture, uploadProfilePicture } from "../src/controllers/userController.js";
+import { query, stubModel } from "./helpers/models.js";
+
+const USER_ID = "auth0|picture-user";
+const PNG = `data:image/png;base64,${Buffer.from("png-bytes").toString("base64")}`;
+
+let user;
+let files;
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const upload = async (imageBase64) => {
+  const res = response();
+  await uploadProfilePicture({ auth0Id: USER_ID, body: { imageBase64 } }, res);
+  return res;
+};
+
+beforeEach(() => {
+  files = new Map();
+  user = {
+    auth0Id: USER_ID,
+    customPicture: "data:image/png;base64,bGVnYWN5",
+    customPictureStorage: {},
+    async save() {
+      return this;
+    },
+  };
+
+  setStorage({
+    driver: "memory",
+    async put(key, body) {
+      files.set(key, body);
+      return { key, size: body.length };
+    },
+    async get(key) {
+      return { stream: Readable.from([files.get(key)]), size: files.get(key).length };
+    },
+    async remove(key) {
+      files.delete(key);
+    },
+  });
+  stubModel(User, {
+    findOne: (filter) => {
+      if (filter.auth0Id) return user;
+      return query(filter["customPictureStorage.key"] === user.customPictureStorage.key ? user : null);
+    },
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setStorage(null);
+});
+
+test("uploads go to storage and the user keeps a URL", async () => {
+  const res = await upload(PNG);
+
+  assert.equal(res.statusCode, 200);
+  assert.match(user.customPicture, /^\/api\/users\/pictures\/[0-9a-f-]{36}$/);
+  assert.equal(user.customPictureStorage.driver, "memory");
+  assert.equal(user.customPictureStorage.contentType, "image/png");
+  assert.equal(String(files.get(user.customPictureStorage.key)), "png-bytes");
+  assert.equal(res.body.data.customPicture, user.customPicture);
+});
+
+test("a new upload replaces the stored file", async () => {
+  await upload(PNG);
+  const firstKey = user.customPictureStorage.key;
+
+  await upload(PNG);
+
+  assert.notEqual(user.customPictureStorage.key, firstKey);
+  assert.deepEqual([...files.keys()], [user.customPictureStorage.key]);
+});
+
+test("rejects other types and oversized images", async () => {
+  assert.equal((await upload("data:image/svg+xml;base64,PHN2Zz4=")).statusCode, 415);
+  assert.equal((await upload("not a data url")).statusCode, 400);
+
+  const large = `data:image/jpeg;base64,${Buffer.alloc(2 * 1024 * 1024 + 1).toString("base64")}`;
+  assert.equal((await upload(large)).statusCode, 413);
+  assert.equal(files.size, 0);
+});
+
+test("serves the stored picture by its id", async () => {
+  await upload(PNG);
+  const pictureId = user.customPicture.split("/").pop();
+  const chunks = [];
+  const res = Object.assign(
+    new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    }),
+    { headers: {}, setHeader(name, value) { this.headers[name] = value; } }
+  );
+
+  await getProfilePicture({ params: { pictureId } }, res);
+  await once(res, "finish");
+
+  assert.equal(res.headers["Content-Type"], "image/png");
+  assert.equal(String(Buffer.concat(chunks)), "png-bytes");
+
+  const missing = response();
+  await getProfilePicture({ params: { pictureId: "../../etc/passwd" } }, missing);
+  assert.equal(missing.statusCode, 404);
+});
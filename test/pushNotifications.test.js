@@ -0,0 +1,120 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/User.js";
+import PushSubscription from "../src/models/PushSubscription.js";
+import { setPushSender } from "../src/push/index.js";
+import { pushNotificationToUser } from "../src/utils/pushNotifications.js";
+import { addClient, removeClient, sendNotificationToUser } from "../src/utils/sseManager.js";
+import { query, stubModel } from "./helpers/models.js";
+
+const USER_ID = "auth0|push-user";
+
+let user;
+let subscriptions;
+let sent;
+let deleted;
+
+// queuePushNotification doesn't return its promise; let it run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+const pushOn = (type) => ({ notifications: { [type]: { inApp: false, push: true } } });
+
+beforeEach(() => {
+  user = { auth0Id: USER_ID, preferences: pushOn("task_assigned") };
+  subscriptions = [{ _id: "sub-1", userId: USER_ID, endpoint: "https://push.example.com/1", keys: { p256dh: "k", auth: "a" } }];
+  sent = [];
+  deleted = [];
+
+  stubModel(User, { findOne: () => query(user) });
+  stubModel(PushSubscription, {
+    find: () => query(subscriptions),
+    updateOne: async () => ({}),
+    deleteOne: async ({ _id }) => { deleted.push(_id); },
+  });
+  setPushSender({
+    name: "stub",
+    async send(subscription, payload) {
+      sent.push({ subscription, payload });
+    },
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setPushSender(undefined);
+});
+
+test("pushes when the in-app channel is off but push is on", async () => {
+  const delivered = sendNotificationToUser(USER_ID, { type: "task_assigned", taskTitle: "Write docs" }, { inApp: false });
+  await settle();
+
+  assert.equal(delivered, false);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].subscription.endpoint, "https://push.example.com/1");
+  assert.equal(sent[0].payload.title, "New assignment");
+  assert.equal(sent[0].payload.tag, "task_assigned");
+});
+
+test("doesn't push types the user hasn't opted in to", async () => {
+  user.preferences = {};
+  sendNotificationToUser(USER_ID, { type: "task_assigned", taskTitle: "Write docs" }, { inApp: false });
+  await settle();
+
+  assert.equal(sent.length, 0);
+});
+
+test("falls back to push when the user has no SSE clients", async () => {
+  user.preferences = { notifications: { comment_mention: { push: true } } };
+  const delivered = sendNotificationToUser(USER_ID, { type: "comment_mention", excerpt: "hi" });
+  await settle();
+
+  assert.equal(delivered, false);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].payload.body, "hi");
+});
+
+test("doesn't push what a connected client received live", async () => {
+  const writes = [];
+  const res = { write: (chunk) => writes.push(chunk) };
+  addClient(USER_ID, res);
+  try {
+    const delivered = sendNotificationToUser(USER_ID, { type: "task_assigned", taskTitle: "Write docs" });
+    await settle();
+
+    assert.equal(delivered, true);
+    assert.equal(writes[0], "event: notification\n");
+    assert.equal(sent.length, 0);
+  } finally {
+    removeClient(USER_ID, res);
+  }
+});
+
+test("respects muted groups and quiet hours", async () => {
+  user.preferences = { ...pushOn("task_assigned"), mutedGroups: ["@team"] };
+  assert.equal(await pushNotificationToUser(USER_ID, { type: "task_assigned", groupTag: "@team" }), 0);
+
+  // A window around the current time (UTC), wrapping past midnight if needed
+  const hhmm = (d) => d.toISOString().slice(11, 16);
+  const quietHours = { enabled: true, start: hhmm(new Date(Date.now() - 3600000)), end: hhmm(new Date(Date.now() + 3600000)) };
+  user.preferences = { ...pushOn("task_assigned"), timezone: "UTC", quietHours };
+  assert.equal(await pushNotificationToUser(USER_ID, { type: "task_assigned" }), 0);
+  assert.equal(sent.length, 0);
+});
+
+test("removes subscriptions the push service reports as gone", async () => {
+  setPushSender({
+    name: "stub",
+    async send() {
+      throw Object.assign(new Error("Gone"), { statusCode: 410 });
+    },
+  });
+
+  assert.equal(await pushNotificationToUser(USER_ID, { type: "task_assigned" }), 0);
+  assert.deepEqual(deleted, ["sub-1"]);
+});
+
+test("does nothing when push is disabled", async () => {
+  setPushSender(null);
+  assert.equal(await pushNotificationToUser(USER_ID, { type: "task_assigned" }), 0);
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeNextDueDate, normalizeRecurrenceRule, pinDayOfMonth } from "../src/utils/recurrence.js";
+
+// Far-future dates, so no occurrence is skipped as already past
+const NEW_YORK = "America/New_York";
+
+const monthly = (input = {}) => normalizeRecurrenceRule({ frequency: "monthly", ...input }).rule;
+
+test("monthly rules without a day are pinned to the task's due day", () => {
+  const rule = pinDayOfMonth(monthly(), { dueDate: new Date("2099-01-31T00:00:00Z"), dueHasTime: false }, "UTC");
+  assert.equal(rule.dayOfMonth, 31);
+
+  // The due day as the owner sees it, for timed tasks
+  const timed = pinDayOfMonth(monthly(), { dueDate: new Date("2099-02-01T03:00:00Z"), dueHasTime: true }, NEW_YORK);
+  assert.equal(timed.dayOfMonth, 31);
+
+  assert.equal(pinDayOfMonth(monthly({ dayOfMonth: 5 }), null, "UTC").dayOfMonth, 5);
+});
+
+test("a monthly series on the 31st goes back to the 31st after February", () => {
+  const rule = pinDayOfMonth(monthly(), { dueDate: new Date("2099-01-31T00:00:00Z") }, "UTC");
+
+  const feb = computeNextDueDate(rule, new Date("2099-01-31T00:00:00Z"));
+  const mar = computeNextDueDate(rule, feb);
+  assert.equal(feb.toISOString(), "2099-02-28T00:00:00.000Z");
+  assert.equal(mar.toISOString(), "2099-03-31T00:00:00.000Z");
+});
+
+test("weekly timed tasks keep the owner's weekday and time across DST", () => {
+  const rule = normalizeRecurrenceRule({ frequency: "weekly", weekdays: [1] }).rule;
+  // Monday 23:30 in New York is Tuesday in UTC
+  const mondayNight = new Date("2099-03-03T04:30:00Z");
+
+  const next = computeNextDueDate(rule, mondayNight, new Date(), true, NEW_YORK);
+  // The following Monday, 23:30 EDT (clocks moved forward on March 8)
+  assert.equal(next.toISOString(), "2099-03-10T03:30:00.000Z");
+});
+
+test("daily timed tasks keep their wall-clock time across DST", () => {
+  const rule = normalizeRecurrenceRule({ frequency: "daily" }).rule;
+
+  const next = computeNextDueDate(rule, new Date("2099-03-07T14:00:00Z"), new Date(), true, NEW_YORK);
+  assert.equal(next.toISOString(), "2099-03-08T13:00:00.000Z");
+});
+
+test("date-only due dates stay calendar dates", () => {
+  const rule = normalizeRecurrenceRule({ frequency: "weekly", weekdays: [1] }).rule;
+
+  const next = computeNextDueDate(rule, new Date("2099-03-02T00:00:00Z"), new Date(), false, NEW_YORK);
+  assert.equal(next.toISOString(), "2099-03-09T00:00:00.000Z");
+});
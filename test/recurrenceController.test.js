@@ -0,0 +1,90 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Group from "../src/models/Group.js";
+import TaskSeries from "../src/models/TaskSeries.js";
+import { stopSeries } from "../src/controllers/recurrenceController.js";
+import { stubModel } from "./helpers/models.js";
+
+const OWNER = "auth0|owner";
+const ASSIGNEE = "auth0|assignee";
+const EDITOR = "auth0|editor";
+
+let series;
+let group;
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const stop = async (auth0Id) => {
+  const res = response();
+  await stopSeries({ params: { seriesId: String(series._id) }, auth0Id }, res);
+  return res;
+};
+
+beforeEach(() => {
+  group = {
+    tag: "@team",
+    owner: "auth0|group-owner",
+    collaborators: [
+      { userId: ASSIGNEE, role: "viewer", status: "accepted" },
+      { userId: EDITOR, role: "editor", status: "accepted" },
+    ],
+  };
+  series = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: OWNER,
+    groupTag: "@team",
+    active: true,
+    template: { assignedTo: [ASSIGNEE] },
+    async save() {
+      return this;
+    },
+  };
+
+  stubModel(TaskSeries, { findById: async () => series });
+  stubModel(Group, { findOne: async () => group });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("an assigned viewer can't change the series", async () => {
+  const res = await stop(ASSIGNEE);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(series.active, true);
+});
+
+test("group editors can change the series", async () => {
+  const res = await stop(EDITOR);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(series.active, false);
+});
+
+test("the owner of a personal series can change it", async () => {
+  series.groupTag = "@personal";
+  const res = await stop(OWNER);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(series.stoppedBy, OWNER);
+});
+
+test("an assignee of a personal series can't change it", async () => {
+  series.groupTag = "@personal";
+  const res = await stop(ASSIGNEE);
+
+  assert.equal(res.statusCode, 403);
+});
@@ -0,0 +1,135 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Task from "../src/models/Task.js";
+import User from "../src/models/User.js";
+import Reminder from "../src/models/Reminder.js";
+import Notification from "../src/models/Notification.js";
+import {
+  deliverDueReminders,
+  getDueInstant,
+  normalizeReminderOffsets,
+  syncTaskReminders,
+} from "../src/utils/reminders.js";
+import { query, stubModel } from "./helpers/models.js";
+
+const OWNER = "auth0|reminder-owner";
+const ASSIGNEE = "auth0|reminder-assignee";
+const NOW = new Date("2026-03-10T12:00:00Z");
+const HOUR = 60;
+
+let users;
+let scheduled;
+let dropped;
+let reminderUpdates;
+let notifications;
+
+const task = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: OWNER,
+  title: "Ship it",
+  status: "todo",
+  groupTag: "@personal",
+  dueDate: new Date("2026-03-12T15:00:00Z"),
+  dueHasTime: true,
+  assignedTo: [],
+  ...fields,
+});
+
+beforeEach(() => {
+  users = [
+    { auth0Id: OWNER, preferences: { timezone: "UTC" } },
+    { auth0Id: ASSIGNEE, preferences: { timezone: "America/New_York", reminderOffsets: [2 * HOUR] } },
+  ];
+  scheduled = [];
+  dropped = [];
+  reminderUpdates = [];
+  notifications = [];
+
+  stubModel(User, {
+    find: ({ auth0Id }) => query(users.filter((u) => auth0Id.$in.includes(u.auth0Id))),
+    findOne: ({ auth0Id }) => query(users.find((u) => u.auth0Id === auth0Id) || null),
+  });
+  stubModel(Reminder, {
+    updateOne: async (filter, update) => {
+      if (update.$setOnInsert) scheduled.push(update.$setOnInsert);
+      else reminderUpdates.push({ filter, update });
+    },
+    deleteMany: async (filter) => { dropped.push(filter); },
+  });
+  stubModel(Notification, {
+    create: async (fields) => {
+      notifications.push(fields);
+      return { _id: new mongoose.Types.ObjectId(), ...fields };
+    },
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("offsets are de-duplicated, sorted and bounded", () => {
+  assert.deepEqual(normalizeReminderOffsets([60, 1440, 60, 0]), { offsets: [1440, 60, 0] });
+  assert.ok(normalizeReminderOffsets([-5]).error);
+  assert.ok(normalizeReminderOffsets([1, 2, 3, 4, 5, 6]).error);
+  assert.ok(normalizeReminderOffsets("60").error);
+});
+
+test("date-only tasks are due at 09:00 in the recipient's zone", () => {
+  const dateOnly = task({ dueDate: new Date("2026-03-12T00:00:00Z"), dueHasTime: false });
+
+  assert.equal(getDueInstant(dateOnly, "UTC").toISOString(), "2026-03-12T09:00:00.000Z");
+  assert.equal(getDueInstant(dateOnly, "America/New_York").toISOString(), "2026-03-12T13:00:00.000Z");
+});
+
+test("each recipient gets their own offsets, and past ones are skipped", async () => {
+  const shipIt = task({ assignedTo: [ASSIGNEE], dueDate: new Date("2026-03-11T08:00:00Z") });
+
+  await syncTaskReminders(shipIt, NOW);
+
+  // The owner's default day-before reminder has already passed
+  assert.deepEqual(scheduled.map(({ userId, offsetMinutes, remindAt }) => [userId, offsetMinutes, remindAt.toISOString()]), [
+    [ASSIGNEE, 2 * HOUR, "2026-03-11T06:00:00.000Z"],
+  ]);
+  assert.deepEqual(dropped[0].$nor, [{ userId: ASSIGNEE, offsetMinutes: 2 * HOUR, remindAt: scheduled[0].remindAt }]);
+});
+
+test("a task's own offsets override the users' defaults", async () => {
+  await syncTaskReminders(task({ reminderOffsets: [30] }), NOW);
+
+  assert.deepEqual(scheduled.map((r) => [r.userId, r.offsetMinutes]), [[OWNER, 30]]);
+});
+
+test("completed tasks and muted groups get no reminders", async () => {
+  users[0].preferences.mutedGroups = ["@team"];
+
+  await syncTaskReminders(task({ status: "completed" }), NOW);
+  await syncTaskReminders(task({ groupTag: "@team" }), NOW);
+
+  assert.equal(scheduled.length, 0);
+  // Pending ones are cleared without exceptions
+  assert.deepEqual(dropped.map((filter) => filter.$nor), [undefined, undefined]);
+});
+
+test("due reminders are delivered once and stale ones cancelled", async () => {
+  const open = task({ title: "Open" });
+  const done = task({ title: "Done", status: "completed" });
+  const tasks = new Map([open, done].map((t) => [String(t._id), t]));
+  const queue = [
+    { _id: "r1", taskId: open._id, userId: OWNER, offsetMinutes: 60 },
+    { _id: "r2", taskId: done._id, userId: OWNER, offsetMinutes: 60 },
+  ];
+  stubModel(Reminder, {
+    updateMany: async () => ({}),
+    findOneAndUpdate: async () => queue.shift() || null,
+    updateOne: async (filter, update) => { reminderUpdates.push({ filter, update }); },
+  });
+  stubModel(Task, { findById: (taskId) => query(tasks.get(String(taskId))) });
+
+  const result = await deliverDueReminders(NOW);
+
+  assert.deepEqual(result, { delivered: 1, cancelled: 1 });
+  assert.deepEqual(notifications.map((n) => [n.type, n.taskTitle]), [["task_due_reminder", "Open"]]);
+  assert.deepEqual(reminderUpdates.map((u) => [u.filter._id, u.update.$set.status]), [["r1", "sent"], ["r2", "cancelled"]]);
+});
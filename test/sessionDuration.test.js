@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { activeMinutes, openPause, sessionMinutes } from "../src/time-tracker/utils/sessionDuration.js";
+
+const at = (hhmm) => new Date(`2026-03-02T${hhmm}:00Z`);
+
+const session = (start, end, pauses = []) => ({
+  startTime: at(start),
+  endTime: end ? at(end) : null,
+  pauses: pauses.map(([from, to]) => ({ start: at(from), end: to ? at(to) : null })),
+});
+
+test("paused time is left out of a session's minutes", () => {
+  const day = session("09:00", "17:00", [["12:00", "13:00"], ["15:00", "15:15"]]);
+
+  assert.deepEqual(sessionMinutes(day), { minutes: 405, pausedMinutes: 75 });
+});
+
+test("a window only counts the running time inside it", () => {
+  const day = session("09:00", "17:00", [["12:00", "13:00"]]);
+
+  // 11:30-12:00 running, 12:00-12:30 paused
+  assert.deepEqual(sessionMinutes(day, at("11:30"), at("12:30")), { minutes: 30, pausedMinutes: 30 });
+  assert.equal(activeMinutes(day, at("12:15"), at("12:45")), 0);
+  assert.equal(activeMinutes(day, at("18:00"), at("19:00")), 0);
+});
+
+test("a running session counts up to now", () => {
+  assert.equal(activeMinutes(session("09:00", null, [["09:30", "09:40"]]), null, null, at("10:00")), 50);
+});
+
+test("an open pause lasts until the session ends", () => {
+  const paused = session("09:00", null, [["09:45", null]]);
+
+  assert.deepEqual(sessionMinutes(paused, null, null, at("11:00")), { minutes: 45, pausedMinutes: 75 });
+  // Stopped while paused: the pause runs to the end
+  assert.deepEqual(sessionMinutes(session("09:00", "10:00", [["09:45", null]])), { minutes: 45, pausedMinutes: 15 });
+});
+
+test("only the last pause can be open", () => {
+  assert.equal(openPause(session("09:00", null, [["09:10", "09:20"]])), null);
+  assert.deepEqual(openPause(session("09:00", null, [["09:10", "09:20"], ["09:30", null]])), { start: at("09:30"), end: null });
+  assert.equal(openPause({ startTime: at("09:00") }), null);
+});
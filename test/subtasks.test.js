@@ -0,0 +1,63 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Task from "../src/models/Task.js";
+import User from "../src/models/User.js";
+import Activity from "../src/models/Activity.js";
+import { createSubtask, deleteSubtask, toggleSubtask } from "../src/controllers/subtaskController.js";
+import { query, stubModel } from "./helpers/models.js";
+
+const USER_ID = "auth0|checklist-user";
+
+let task;
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const call = async (handler, params = {}, body = {}) => {
+  const res = response();
+  await handler({ params: { id: String(task._id), ...params }, body, auth0Id: USER_ID }, res);
+  return res;
+};
+
+beforeEach(() => {
+  task = new Task({ userId: USER_ID, title: "Release", groupTag: "@personal", subtasks: [{ title: "Tag", completed: true }] });
+  task.progress = 100;
+  task.save = async function () {
+    return this;
+  };
+
+  stubModel(Task, { findById: async () => task });
+  stubModel(User, { findOne: () => query(null) });
+  stubModel(Activity, { create: async (fields) => fields });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("progress follows the checklist", async () => {
+  await call(createSubtask, {}, { title: "Announce" });
+  assert.equal(task.progress, 50);
+
+  await call(toggleSubtask, { subtaskId: String(task.subtasks[1]._id) });
+  assert.equal(task.progress, 100);
+});
+
+test("deleting the last item clears the derived progress", async () => {
+  const res = await call(deleteSubtask, { subtaskId: String(task.subtasks[0]._id) });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(task.subtasks.length, 0);
+  assert.equal(task.progress, undefined);
+  assert.equal(res.body.data.progress, undefined);
+});
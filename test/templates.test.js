@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractTemplateVariables, renderTemplateString } from "../src/utils/templates.js";
+
+test("fills variables and reports the missing ones", () => {
+  const result = renderTemplateString("Release {{version}} for {{ client }} ({{date}})", { version: 2, client: "Acme" });
+
+  assert.equal(result.text, "Release 2 for Acme ({{date}})");
+  assert.deepEqual(result.missing, ["date"]);
+});
+
+test("inherited object properties aren't template values", () => {
+  const result = renderTemplateString("{{constructor}} {{toString}} {{hasOwnProperty}}", { user: "Ana" });
+
+  assert.equal(result.text, "{{constructor}} {{toString}} {{hasOwnProperty}}");
+  assert.deepEqual(result.missing, ["constructor", "toString", "hasOwnProperty"]);
+});
+
+test("own values with those names are still used", () => {
+  assert.equal(renderTemplateString("{{constructor}}", { constructor: "Bob" }).text, "Bob");
+});
+
+test("lists each variable once", () => {
+  assert.deepEqual(extractTemplateVariables("{{a}} {{b}}", "{{ a }} {{c.d}}", null), ["a", "b", "c.d"]);
+});
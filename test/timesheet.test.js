@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTimesheet, normalizeExportOptions, roundMinutes, timesheetToCsv } from "../src/time-tracker/utils/timesheet.js";
+
+const sheet = (groups) => ({
+  groups: groups.map((g) => ({ minutes: 60, roundedMinutes: 60, sessions: 1, ...g })),
+  totals: { minutes: 60 * groups.length, roundedMinutes: 60 * groups.length, sessions: groups.length },
+});
+
+const rows = (csv) => csv.trimEnd().split("\r\n");
+
+test("group tags are written as they are", () => {
+  const csv = timesheetToCsv(sheet([{ group: "@personal" }, { group: "@web-ui" }]), "group");
+
+  assert.deepEqual(rows(csv).slice(1, 3), ["@personal,60,1.00,60,1", "@web-ui,60,1.00,60,1"]);
+});
+
+test("group tags next to task titles are left alone too", () => {
+  const csv = timesheetToCsv(sheet([{ task: "Write docs", group: "@personal" }]), "task");
+
+  assert.equal(rows(csv)[1], "Write docs,@personal,60,1.00,60,1");
+});
+
+test("formula-like values are escaped", () => {
+  const csv = timesheetToCsv(sheet([
+    { task: "=HYPERLINK(\"http://x\")", group: "@team" },
+    { task: "@SUM(A1)", group: "" },
+    { task: "-1", group: "+cmd" },
+  ]), "task");
+
+  assert.deepEqual(rows(csv).slice(1, 4), [
+    "\"'=HYPERLINK(\"\"http://x\"\")\",@team,60,1.00,60,1",
+    "'@SUM(A1),,60,1.00,60,1",
+    "'-1,'+cmd,60,1.00,60,1",
+  ]);
+});
+
+test("group tags that don't look like plain tags are still escaped", () => {
+  const csv = timesheetToCsv(sheet([{ group: "@sum(a1:a9)" }]), "group");
+
+  assert.equal(rows(csv)[1], "'@sum(a1:a9),60,1.00,60,1");
+});
+
+const at = (iso) => new Date(`2026-03-${iso}:00Z`);
+const WINDOW = { start: at("01T00:00"), end: at("08T00:00") };
+
+const entry = (id, start, end, fields = {}) => ({
+  _id: id,
+  startTime: at(start),
+  endTime: at(end),
+  pauses: [],
+  categoryId: "work",
+  groupTag: "@team",
+  ...fields,
+});
+
+test("minutes round to the step in the chosen direction", () => {
+  assert.equal(roundMinutes(22, "nearest", 15), 15);
+  assert.equal(roundMinutes(23, "nearest", 15), 30);
+  assert.equal(roundMinutes(16, "up", 15), 30);
+  assert.equal(roundMinutes(29, "down", 15), 15);
+  assert.equal(roundMinutes(7, "up", 6), 12);
+  assert.equal(roundMinutes(22, "none", 15), 22);
+  assert.equal(roundMinutes(0, "up", 15), 0);
+});
+
+test("entries are rounded one by one and groups from their raw sum", () => {
+  const sessions = [
+    entry("a", "02T09:00", "02T09:07"),
+    entry("b", "02T10:00", "02T10:07"),
+  ];
+
+  const sheet = buildTimesheet(sessions, { window: WINDOW, groupBy: "day", rounding: "nearest", roundTo: 15 });
+
+  assert.deepEqual(sheet.entries.map((e) => e.roundedMinutes), [0, 0]);
+  assert.deepEqual(sheet.groups, [{ date: "2026-03-02", minutes: 14, sessions: 2, roundedMinutes: 15 }]);
+  assert.deepEqual([sheet.totals.minutes, sheet.totals.roundedMinutes], [14, 15]);
+});
+
+test("paused time and time outside the window aren't billed", () => {
+  const sessions = [
+    entry("paused", "02T09:00", "02T11:00", { pauses: [{ start: at("02T10:00"), end: at("02T10:30") }] }),
+    entry("past-end", "07T23:30", "08T01:00"),
+  ];
+
+  const sheet = buildTimesheet(sessions, { window: WINDOW, groupBy: "group", rounding: "up", roundTo: 60 });
+
+  assert.deepEqual(sheet.entries.map((e) => [e.id, e.minutes, e.roundedMinutes]), [["paused", 90, 120], ["past-end", 30, 60]]);
+  assert.deepEqual(sheet.groups, [{ group: "@team", minutes: 120, sessions: 2, roundedMinutes: 120 }]);
+});
+
+test("day grouping splits sessions at midnight in the user's zone", () => {
+  const sessions = [entry("late", "03T03:00", "03T06:00")];
+
+  const sheet = buildTimesheet(sessions, { window: WINDOW, tz: "America/New_York", groupBy: "day" });
+
+  // 22:00-01:00 in New York
+  assert.deepEqual(sheet.groups.map((g) => [g.date, g.minutes]), [["2026-03-02", 120], ["2026-03-03", 60]]);
+});
+
+test("export options are checked against the allowed values", () => {
+  assert.deepEqual(normalizeExportOptions({}).value, { format: "csv", groupBy: "day", rounding: "none", roundTo: 15, include: "sessions" });
+  assert.ok(normalizeExportOptions({ rounding: "nearest", roundTo: "7" }).error);
+  assert.ok(normalizeExportOptions({ format: "csv", include: "plans" }).error);
+  assert.equal(normalizeExportOptions({ format: "ics", include: "both" }).value.include, "both");
+});
@@ -0,0 +1,52 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Webhook from "../src/models/Webhook.js";
+import WebhookDelivery from "../src/models/WebhookDelivery.js";
+import { queueWebhookDeliveries } from "../src/utils/webhooks.js";
+import { query, stubModel } from "./helpers/models.js";
+
+const group = { _id: new mongoose.Types.ObjectId(), tag: "@team", name: "Team" };
+
+let queued;
+
+beforeEach(() => {
+  queued = [];
+  stubModel(Webhook, {
+    find: () => query([{ _id: new mongoose.Types.ObjectId(), url: "https://hooks.example.com/x", secret: "s", active: true }]),
+  });
+  stubModel(WebhookDelivery, {
+    insertMany: async (docs) => { queued.push(...docs); },
+    // Nothing to claim: the background attempt stops there
+    findOneAndUpdate: async () => null,
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("webhook payloads only carry the activity's own fields", async () => {
+  const activity = {
+    _id: new mongoose.Types.ObjectId(),
+    type: "task_created",
+    taskId: new mongoose.Types.ObjectId(),
+    taskTitle: "Write docs",
+    userId: "auth0|actor",
+    userName: "Ada",
+    groupTag: "@team",
+    timestamp: new Date(),
+    // Added by activityEmitter for the app, not for third parties
+    userEmail: "ada@example.com",
+    userPicture: "data:image/png;base64,AAAA",
+    userInitials: "AD",
+  };
+
+  assert.equal(await queueWebhookDeliveries(activity, group), 1);
+  const { payload } = queued[0];
+
+  assert.equal(payload.event, "task_created");
+  assert.deepEqual(payload.group, { id: String(group._id), tag: "@team", name: "Team" });
+  assert.deepEqual(Object.keys(payload.activity).sort(), ["_id", "groupTag", "taskId", "taskTitle", "timestamp", "type", "userId", "userName"]);
+  assert.equal(payload.activity.userName, "Ada");
+});